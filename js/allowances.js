@@ -0,0 +1,273 @@
+/**
+ * Allowance Manager
+ * Lists ERC20 allowances for the protocol contracts, applies the user's
+ * approval policy when a swap needs more allowance, and revokes to zero.
+ * With the permit option on, the allowance is granted by a signed EIP-2612
+ * permit sent in one batch with the swap instead of an approve() transaction.
+ */
+
+import { CONFIG } from './config.js';
+import { wallet } from './wallet.js';
+import { TOKENS, USDC, parseTokenAmount } from './tokens.js';
+
+export const APPROVAL_POLICY = {
+    EXACT: 'exact',       // approve exactly what the swap needs
+    BUFFERED: 'buffered', // approve 0.5% more to absorb minor param changes
+    CAP: 'cap'            // approve a fixed per-token amount (or the need, if larger)
+};
+
+const STORAGE_KEY = 'openswap_approval_policy';
+const PERMIT_TTL = 30 * 60; // Seconds a signed permit stays valid
+
+const PERMIT_ABI = [
+    "function name() view returns (string)",
+    "function version() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)"
+];
+
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ]
+};
+
+class AllowanceManager {
+    constructor() {
+        this.policy = this.loadPolicy();
+        this.permitDomains = new Map(); // `${chainId}:${token}` -> EIP-712 domain, or null if no permit
+    }
+
+    /**
+     * Load approval policy from localStorage
+     */
+    loadPolicy() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (stored && Object.values(APPROVAL_POLICY).includes(stored.mode)) {
+                return { mode: stored.mode, caps: stored.caps || {}, permit: stored.permit === true };
+            }
+        } catch (e) {
+            console.log('[Allowances] Ignoring invalid stored policy');
+        }
+        return { mode: APPROVAL_POLICY.BUFFERED, caps: {}, permit: false };
+    }
+
+    /**
+     * Get current approval policy: { mode, caps: { tokenAddress: humanAmount }, permit }
+     */
+    getPolicy() {
+        return this.policy;
+    }
+
+    /**
+     * Set approval mode
+     */
+    setMode(mode) {
+        if (!Object.values(APPROVAL_POLICY).includes(mode)) {
+            throw new Error(`Unknown approval policy: ${mode}`);
+        }
+        this.policy.mode = mode;
+        this.savePolicy();
+    }
+
+    /**
+     * Turn the signed-permit path on or off
+     */
+    setPermit(enabled) {
+        this.policy.permit = Boolean(enabled);
+        this.savePolicy();
+    }
+
+    /**
+     * Set fixed approval cap for a token (human-readable amount, empty to clear)
+     */
+    setCap(tokenAddress, amount) {
+        const key = tokenAddress.toLowerCase();
+        if (!amount || parseFloat(amount) <= 0) {
+            delete this.policy.caps[key];
+        } else {
+            this.policy.caps[key] = amount.toString();
+        }
+        this.savePolicy();
+    }
+
+    /**
+     * Get fixed approval cap for a token (human-readable), or null
+     */
+    getCap(tokenAddress) {
+        return this.policy.caps[tokenAddress.toLowerCase()] || null;
+    }
+
+    savePolicy() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.policy));
+    }
+
+    /**
+     * ERC20 tokens to list: USDC, tokens picked in the swap form this session
+     * and tokens with a configured cap (the full token list would cost an RPC
+     * call per token per spender)
+     */
+    getTokens() {
+        return TOKENS.filter(t => !t.isNative && t.address &&
+            (t === USDC || t.balance !== undefined || this.getCap(t.address)));
+    }
+
+    /**
+     * Protocol contracts that can hold an allowance (skips ones not deployed on
+     * this network, e.g. Base's zero-address oracleBounty)
+     */
+    getSpenders() {
+        return [
+            { name: 'openSwap', address: CONFIG.contracts.openSwap },
+            { name: 'openOracle', address: CONFIG.contracts.openOracle },
+            { name: 'oracleBounty', address: CONFIG.contracts.oracleBounty }
+        ].filter(s => s.address && s.address !== ethers.ZeroAddress);
+    }
+
+    /**
+     * Read every token/spender allowance for the connected wallet
+     * @returns {Array<{token, spender, allowance: bigint|null, error?: string}>}
+     */
+    async list() {
+        if (!wallet.isConnected()) return [];
+
+        const pairs = [];
+        for (const token of this.getTokens()) {
+            for (const spender of this.getSpenders()) {
+                pairs.push({ token, spender });
+            }
+        }
+
+        return await Promise.all(pairs.map(async ({ token, spender }) => {
+            try {
+                const allowance = await wallet.getAllowance(token.address, spender.address);
+                return { token, spender, allowance };
+            } catch (e) {
+                console.error(`[Allowances] Failed to read ${token.symbol} allowance for ${spender.name}:`, e);
+                return { token, spender, allowance: null, error: e.message };
+            }
+        }));
+    }
+
+    /**
+     * Amount to approve when `needed` exceeds the current allowance, per policy
+     * @param {string} tokenAddress
+     * @param {number} decimals
+     * @param {bigint} needed - Amount the pending transaction will pull
+     */
+    getApprovalAmount(tokenAddress, decimals, needed) {
+        switch (this.policy.mode) {
+            case APPROVAL_POLICY.EXACT:
+                return needed;
+            case APPROVAL_POLICY.CAP: {
+                const cap = this.getCap(tokenAddress);
+                if (cap) {
+                    const capWei = parseTokenAmount(cap, decimals);
+                    return capWei > needed ? capWei : needed;
+                }
+                // No cap configured for this token - behave like buffered
+                return needed + (needed / 200n);
+            }
+            default:
+                return needed + (needed / 200n);
+        }
+    }
+
+    /**
+     * Make sure `spender` can pull `needed`, approving per policy if not
+     * @returns {boolean} True if an approval transaction was sent
+     */
+    async ensureAllowance(tokenAddress, decimals, spender, needed) {
+        const allowance = await wallet.getAllowance(tokenAddress, spender);
+        if (allowance >= needed) return false;
+
+        const amount = this.getApprovalAmount(tokenAddress, decimals, needed);
+        console.log(`[Allowances] Approving ${amount} of ${tokenAddress} for ${spender} (${this.policy.mode})`);
+        await wallet.approve(tokenAddress, spender, amount);
+        return true;
+    }
+
+    /**
+     * Sign an EIP-2612 permit for `spender` (amount per policy) and return the
+     * permit() call to send in one batch with the transaction that spends it.
+     * Null when the permit option is off, the allowance already covers `needed`,
+     * or the token or wallet can't do it - the caller then uses ensureAllowance().
+     * @returns {Promise<{to: string, data: string}|null>}
+     */
+    async preparePermit(tokenAddress, decimals, spender, needed) {
+        if (!this.policy.permit) return null;
+        const allowance = await wallet.getAllowance(tokenAddress, spender);
+        if (allowance >= needed) return null;
+
+        const domain = await this.getPermitDomain(tokenAddress);
+        if (!domain || !await wallet.supportsAtomicBatch()) return null;
+
+        const token = new ethers.Contract(tokenAddress, PERMIT_ABI, wallet.provider);
+        const message = {
+            owner: wallet.address,
+            spender,
+            value: this.getApprovalAmount(tokenAddress, decimals, needed),
+            nonce: await token.nonces(wallet.address),
+            deadline: Math.floor(Date.now() / 1000) + PERMIT_TTL
+        };
+
+        let signature;
+        try {
+            signature = ethers.Signature.from(await wallet.signTypedData(domain, PERMIT_TYPES, message));
+        } catch (e) {
+            if (e.code === 'ACTION_REJECTED') throw e;
+            console.log('[Allowances] Wallet could not sign the permit, using approve():', e.message);
+            return null;
+        }
+
+        console.log(`[Allowances] Permit signed for ${message.value} of ${tokenAddress} to ${spender}`);
+        return {
+            to: tokenAddress,
+            data: token.interface.encodeFunctionData('permit', [
+                message.owner, spender, message.value, message.deadline, signature.v, signature.r, signature.s
+            ])
+        };
+    }
+
+    /**
+     * EIP-712 domain of a token's permit, or null if it has none. The domain is
+     * rebuilt from name() / version() and only trusted if it hashes to the
+     * token's DOMAIN_SEPARATOR() (cached per chain + token)
+     */
+    async getPermitDomain(tokenAddress) {
+        const key = `${CONFIG.chainId}:${tokenAddress.toLowerCase()}`;
+        if (this.permitDomains.has(key)) return this.permitDomains.get(key);
+
+        const token = new ethers.Contract(tokenAddress, PERMIT_ABI, wallet.provider);
+        let domain = null;
+        try {
+            const [name, separator] = await Promise.all([token.name(), token.DOMAIN_SEPARATOR()]);
+            const version = await token.version().catch(() => '1'); // Most tokens without version() use '1'
+            const candidate = { name, version, chainId: CONFIG.chainId, verifyingContract: tokenAddress };
+            if (ethers.TypedDataEncoder.hashDomain(candidate) === separator) {
+                domain = candidate;
+            } else {
+                console.log(`[Allowances] ${tokenAddress} permit domain doesn't match DOMAIN_SEPARATOR, using approve()`);
+            }
+        } catch (e) {
+            console.log(`[Allowances] ${tokenAddress} has no EIP-2612 permit`);
+        }
+        this.permitDomains.set(key, domain);
+        return domain;
+    }
+
+    /**
+     * Revoke an allowance (approve zero)
+     */
+    async revoke(tokenAddress, spender) {
+        return await wallet.approve(tokenAddress, spender, 0n);
+    }
+}
+
+export const allowances = new AllowanceManager();
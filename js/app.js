@@ -1,17 +1,42 @@
 /**
  * openSwap Application
- * Main application entry point - ETH/USDC only with Coinbase price feed
+ * Main application entry point - any listed token pair, priced via Coinbase
  */
 
-import { CONFIG, NETWORKS, setNetwork } from './config.js';
+import { CONFIG, NETWORKS, setNetwork, getNetworkByChainId } from './config.js';
 import { wallet } from './wallet.js';
 import { openSwap } from './contract.js';
-import { ETH, USDC, getToken, formatTokenAmount, parseTokenAmount } from './tokens.js';
+import {
+    ETH,
+    USDC,
+    TOKENS,
+    getToken,
+    loadTokenList,
+    importToken,
+    removeCustomToken,
+    isStablecoin,
+    getDisplayDecimals,
+    formatTokenAmount,
+    parseTokenAmount
+} from './tokens.js';
 import { priceFeed } from './price.js';
+import { tokenPrices } from './tokenPrices.js';
 import { priceValidator } from './priceValidator.js';
 import { volatility } from './volatility.js';
 import { gasOracle } from './gasOracle.js';
-import { statusTracker } from './statusTracker.js';
+import { buildSwapParams, getSettlementVolatility, calculateBountyUsd } from './swapParams.js';
+import { validateSwapParams, hasBlockingFindings, getMaxSellAmount, SEVERITY } from './swapValidator.js';
+import { trackers } from './trackers.js';
+import { MILESTONE } from './statusTracker.js';
+import { notifications } from './notifications.js';
+import { autoSettle, LOG_STATUS } from './autoSettle.js';
+import { splitOrders, planChunks, CHUNK_STATUS } from './splitOrder.js';
+import { allowances, APPROVAL_POLICY } from './allowances.js';
+import { tempHoldings } from './tempHoldings.js';
+import { bulkActions, BULK_ACTION, ITEM_STATUS } from './bulkActions.js';
+import { orderHistory } from './orderHistory.js';
+import { matcherStats, REFUND_REASON } from './matcherStats.js';
+import { buildExportRows, toCsv, toJson } from './orderExport.js';
 import {
     showToast,
     openModal,
@@ -22,10 +47,21 @@ import {
     formatTimeRemaining,
     debounce,
     shortenAddress,
+    isValidAddress,
+    escapeHtml,
+    downloadFile,
+    copyToClipboard,
     validateNumericInput,
     createAvatar
 } from './ui.js';
 
+// Max swap notional in USD while the protocol is in testing
+const MAX_SWAP_NOTIONAL_USD = 45;
+
+// Split order chunks are sized this far under the cap so a small price move
+// between planning and submission doesn't push a chunk over it
+const SPLIT_CHUNK_HEADROOM_PCT = 2n;
+
 // Application State
 const state = {
     sellToken: ETH,
@@ -35,6 +71,9 @@ const state = {
     currentView: 'swap',
     userOrders: [],
     currentPrice: null,
+    ethBalance: undefined, // Cached ETH balance (wei, BigInt), needed for ERC20 sells
+    tokenModalSide: null, // 'sell' or 'buy' while the token modal is open
+    tokenImportCandidate: null, // On-chain metadata of the address pasted in the token search
     priceSourcesValid: true, // False when price sources disagree
     isRecalculating: false, // True when recalculating slippage/bounty
     pendingRecalcId: 0, // Increments on user-triggered recalc, used to ignore stale callbacks
@@ -42,8 +81,14 @@ const state = {
     ordersRefreshInterval: null, // Interval for refreshing orders view (contract data)
     countdownInterval: null, // Interval for updating countdown displays every second
     matchedSwapIds: new Map(), // Track optimistically matched swaps: swapId -> bailoutDeadline
+    selectedOrders: new Set(), // swapIds ticked in My Orders for bulk actions
     needsSellAmountUpdate: false, // True when manual initLiq causes sellAmt + bounty > balance
     estTotalCostPct: null, // Estimated total cost as percentage of swap notional
+    splitOrderPair: null, // { sellToken, buyToken } of the last split order, for its progress panel
+    detailRoute: null, // { kind: 'swap'|'report', id } shown in the detail view
+    detailRequestId: 0, // Increments per detail load, used to ignore stale responses
+    matchersChainId: null, // Chain the rendered matcher stats belong to
+    manualSlippage: false, // Slippage typed in for this pair (required when it has no volatility feed)
     settings: {
         slippage: 0.2,
         deadline: 60
@@ -81,9 +126,15 @@ async function init() {
     setupEventListeners();
     setupWalletListeners();
     setupPriceFeed();
+    setupTokenPrices();
     setupVolatilityTracker();
     initializeTokenDisplay();
     updateSwapButton();
+    loadTokenList();
+    handleRoute();
+
+    // Pick up swaps that were being tracked before a reload
+    trackers.restore();
 
     // Auto-connect if previously authorized
     tryAutoConnect();
@@ -96,7 +147,7 @@ async function init() {
     }, 5000);
 
     // Refresh balances when swap is executed (with retry for RPC staleness)
-    statusTracker.onExecuted(() => {
+    trackers.onExecuted(() => {
         console.log('[App] Swap executed, refreshing balances with pending blockTag...');
         updateBalances('pending');
         // RPC may be stale, retry with increasing delays
@@ -106,14 +157,43 @@ async function init() {
     });
 
     // Refresh balances when swap is cancelled
-    statusTracker.onCancelled(() => {
+    trackers.onCancelled(() => {
         console.log('[App] Swap cancelled, refreshing balances...');
         updateBalances('pending');
         setTimeout(() => updateBalances('pending'), 1000);
     });
 
+    // A failed payout at execution or refund lands in tempHolding
+    trackers.on(({ event }) => {
+        if (event === 'finished') refreshHeldFunds();
+    });
+
+    // Desktop / sound alerts for lifecycle milestones (opt-in)
+    trackers.on(({ event, ...data }) => {
+        if (event === 'milestone') notifications.notify(data);
+    });
+    notifications.on(({ event, swapId }) => {
+        if (event !== 'clicked' || !trackers.get(swapId)) return;
+        if (state.currentView !== 'swap') navigate('#/');
+        trackers.expand(swapId);
+        trackers.scrollIntoView();
+    });
+    notifications.unlockAudio();
+
+    // Opt-in auto-settle once a tracked swap's settlement window elapses
+    trackers.on(({ event, swapId, milestone }) => {
+        if (event !== 'milestone' || milestone !== MILESTONE.SETTLEABLE) return;
+        const tracker = trackers.get(swapId);
+        if (!tracker) return;
+        autoSettle.settle({ swapId, reportId: tracker.reportId });
+    });
+    autoSettle.on(({ entry }) => {
+        renderAutoSettleLog();
+        if (entry) handleAutoSettleEntry(entry);
+    });
+
     // Refresh orders when swap is matched
-    statusTracker.onMatched((swapId, bailoutDeadline) => {
+    trackers.onMatched((swapId, bailoutDeadline) => {
         console.log('[App] Swap matched, updating orders...', { swapId, bailoutDeadline });
         // Track this as optimistically matched with bailout deadline
         if (swapId) state.matchedSwapIds.set(swapId.toString(), bailoutDeadline);
@@ -124,7 +204,7 @@ async function init() {
     // Handle page visibility change - refresh data when user returns
     setupVisibilityHandler();
 
-    console.log('openSwap UI initialized - ETH/USDC');
+    console.log('openSwap UI initialized');
 }
 
 /**
@@ -230,6 +310,12 @@ function cacheElements() {
         swapDirectionBtn: document.getElementById('swapDirectionBtn'),
         swapDetails: document.getElementById('swapDetails'),
         swapBtn: document.getElementById('swapBtn'),
+        swapFindings: document.getElementById('swapFindings'),
+        splitOrderPanel: document.getElementById('splitOrderPanel'),
+        splitOrderTitle: document.getElementById('splitOrderTitle'),
+        splitOrderChunks: document.getElementById('splitOrderChunks'),
+        splitOrderSummary: document.getElementById('splitOrderSummary'),
+        splitOrderStopBtn: document.getElementById('splitOrderStopBtn'),
 
         // Advanced settings
         advancedToggle: document.getElementById('advancedToggle'),
@@ -241,6 +327,14 @@ function cacheElements() {
         maxBountyInput: document.getElementById('maxBountyInput'),
         maxBountyLabel: document.getElementById('maxBountyLabel'),
         delayModeToggle: document.getElementById('delayModeToggle'),
+        splitOrderToggle: document.getElementById('splitOrderToggle'),
+        desktopAlertsToggle: document.getElementById('desktopAlertsToggle'),
+        soundAlertsToggle: document.getElementById('soundAlertsToggle'),
+        autoSettleToggle: document.getElementById('autoSettleToggle'),
+        autoSettleOptions: document.getElementById('autoSettleOptions'),
+        autoSettleMaxGasInput: document.getElementById('autoSettleMaxGasInput'),
+        autoSettleLog: document.getElementById('autoSettleLog'),
+        autoSettleLogClear: document.getElementById('autoSettleLogClear'),
         slippageInput: document.getElementById('slippageInput'),
 
         // Gas debug
@@ -276,6 +370,41 @@ function cacheElements() {
         ordersList: document.getElementById('ordersList'),
         loadOrderInput: document.getElementById('loadOrderInput'),
         loadOrderBtn: document.getElementById('loadOrderBtn'),
+        allowancesBtn: document.getElementById('allowancesBtn'),
+        heldFundsBtn: document.getElementById('heldFundsBtn'),
+        bulkActionsBar: document.getElementById('bulkActionsBar'),
+        bulkSelectAll: document.getElementById('bulkSelectAll'),
+        bulkSelectedCount: document.getElementById('bulkSelectedCount'),
+        bulkCancelBtn: document.getElementById('bulkCancelBtn'),
+        bulkBailOutBtn: document.getElementById('bulkBailOutBtn'),
+        bulkSettleBtn: document.getElementById('bulkSettleBtn'),
+        bulkStopBtn: document.getElementById('bulkStopBtn'),
+        bulkSummary: document.getElementById('bulkSummary'),
+        heldFundsBadge: document.getElementById('heldFundsBadge'),
+        heldFundsCount: document.getElementById('heldFundsCount'),
+        detailTitle: document.getElementById('detailTitle'),
+        detailSubtitle: document.getElementById('detailSubtitle'),
+        detailContent: document.getElementById('detailContent'),
+        detailCopyLinkBtn: document.getElementById('detailCopyLinkBtn'),
+        detailRefreshBtn: document.getElementById('detailRefreshBtn'),
+        matchersSubtitle: document.getElementById('matchersSubtitle'),
+        matchersRefreshBtn: document.getElementById('matchersRefreshBtn'),
+        matchersList: document.getElementById('matchersList'),
+        exportCsvBtn: document.getElementById('exportCsvBtn'),
+        exportJsonBtn: document.getElementById('exportJsonBtn'),
+
+        // Held funds modal
+        heldFundsClose: document.getElementById('heldFundsClose'),
+        heldFundsHolder: document.getElementById('heldFundsHolder'),
+        heldFundsCheck: document.getElementById('heldFundsCheck'),
+        heldFundsList: document.getElementById('heldFundsList'),
+
+        // Allowances modal
+        allowancesClose: document.getElementById('allowancesClose'),
+        allowancesRefresh: document.getElementById('allowancesRefresh'),
+        allowanceCaps: document.getElementById('allowanceCaps'),
+        approvalPermit: document.getElementById('approvalPermit'),
+        allowanceList: document.getElementById('allowanceList'),
 
         // Price display
         swapRate: document.getElementById('swapRate'),
@@ -284,7 +413,7 @@ function cacheElements() {
 }
 
 /**
- * Initialize token display with ETH and USDC
+ * Initialize token display with the default pair (ETH/USDC)
  */
 function initializeTokenDisplay() {
     updateTokenDisplay('sell', state.sellToken);
@@ -328,6 +457,38 @@ function setupPriceFeed() {
     priceValidator.start();
 }
 
+/**
+ * Setup USD price polling for non-ETH, non-stable tokens
+ */
+function setupTokenPrices() {
+    tokenPrices.on(({ event, symbol }) => {
+        if (event !== 'price') return;
+        if (symbol === state.sellToken.symbol || symbol === state.buyToken.symbol) {
+            updatePriceDisplay();
+            autoCalculateBuyAmount();
+        }
+    });
+    tokenPrices.track([state.sellToken, state.buyToken]);
+}
+
+/**
+ * USD price of a token, or null while it is loading
+ * Imported tokens have no price of their own: on the swap form it is implied
+ * from the amounts typed for both sides and the other side's price
+ */
+function getTokenPriceUsd(token) {
+    const price = tokenPrices.getPriceUsd(token, state.currentPrice);
+    if (price !== null || !token?.isCustom) return price;
+
+    const isSell = token.address === state.sellToken?.address;
+    if (!isSell && token.address !== state.buyToken?.address) return null;
+    const otherPrice = tokenPrices.getPriceUsd(isSell ? state.buyToken : state.sellToken, state.currentPrice);
+    const amount = parseFloat(isSell ? state.sellAmount : state.buyAmount);
+    const otherAmount = parseFloat(isSell ? state.buyAmount : state.sellAmount);
+    if (!otherPrice || !(amount > 0) || !(otherAmount > 0)) return null;
+    return otherAmount * otherPrice / amount;
+}
+
 /**
  * Setup volatility tracker for auto-slippage
  */
@@ -372,15 +533,23 @@ function setupVolatilityTracker() {
 function updatePriceDisplay() {
     if (!state.currentPrice) return;
 
-    const priceFormatted = formatNumber(state.currentPrice, 2);
+    // Show the USD price of the non-stable side (ETH for ETH/USDC)
+    const quoted = isStablecoin(state.sellToken) ? state.buyToken : state.sellToken;
+    const quotedPrice = getTokenPriceUsd(quoted);
+    const quotedSymbol = quoted.symbol === 'WETH' ? 'ETH' : quoted.symbol;
 
-    // Always show ETH price in USD
     if (elements.swapRate) {
         if (!state.priceSourcesValid) {
             elements.swapRate.textContent = 'Price sources disagree';
             elements.swapRate.style.color = 'var(--error)';
+        } else if (!quotedPrice && quoted.isCustom) {
+            elements.swapRate.textContent = `No ${quotedSymbol} price - enter both amounts`;
+            elements.swapRate.style.color = '';
+        } else if (!quotedPrice) {
+            elements.swapRate.textContent = `Loading ${quotedSymbol} price...`;
+            elements.swapRate.style.color = '';
         } else {
-            elements.swapRate.textContent = `1 ETH = $${priceFormatted}`;
+            elements.swapRate.textContent = `1 ${quotedSymbol} = $${formatNumber(quotedPrice, 2)}`;
             elements.swapRate.style.color = '';
         }
     }
@@ -398,13 +567,8 @@ function updateUsdValues() {
     const sellAmt = parseFloat(state.sellAmount) || 0;
     const buyAmt = parseFloat(state.buyAmount) || 0;
 
-    if (state.sellToken.symbol === 'ETH') {
-        elements.sellUsdValue.textContent = formatUSD(sellAmt * state.currentPrice);
-        elements.buyUsdValue.textContent = formatUSD(buyAmt);
-    } else {
-        elements.sellUsdValue.textContent = formatUSD(sellAmt);
-        elements.buyUsdValue.textContent = formatUSD(buyAmt * state.currentPrice);
-    }
+    elements.sellUsdValue.textContent = formatUSD(sellAmt * (getTokenPriceUsd(state.sellToken) || 0));
+    elements.buyUsdValue.textContent = formatUSD(buyAmt * (getTokenPriceUsd(state.buyToken) || 0));
 }
 
 /**
@@ -432,16 +596,14 @@ function autoCalculateBuyAmount() {
     const sellAmt = parseFloat(state.sellAmount);
     if (isNaN(sellAmt) || sellAmt <= 0) return;
 
-    let buyAmt;
-    if (state.sellToken.symbol === 'ETH') {
-        // Selling ETH for USDC
-        buyAmt = sellAmt * state.currentPrice;
-    } else {
-        // Selling USDC for ETH
-        buyAmt = sellAmt / state.currentPrice;
-    }
+    const sellPrice = getTokenPriceUsd(state.sellToken);
+    const buyPrice = getTokenPriceUsd(state.buyToken);
+    if (!sellPrice || !buyPrice) return;
+
+    // Cross through USD (ETH -> USDC is sellAmt * ethPrice)
+    const buyAmt = sellAmt * sellPrice / buyPrice;
 
-    state.buyAmount = buyAmt.toFixed(state.buyToken.symbol === 'USDC' ? 2 : 12);
+    state.buyAmount = buyAmt.toFixed(isStablecoin(state.buyToken) ? 2 : Math.min(12, state.buyToken.decimals));
     elements.buyAmount.value = state.buyAmount;
 
     updateSwapDetails();
@@ -473,12 +635,27 @@ function setupEventListeners() {
         option.addEventListener('click', () => handleNetworkChange(option.dataset.network));
     });
 
-    // Navigation
+    // Navigation (views are hash routes so swaps and reports can be linked)
     elements.navTabs.forEach(tab => {
-        tab.addEventListener('click', () => switchView(tab.dataset.view));
+        tab.addEventListener('click', () => navigate(tab.dataset.view === 'swap' ? '#/' : `#/${tab.dataset.view}`));
     });
     elements.mobileNavItems.forEach(item => {
-        item.addEventListener('click', () => switchView(item.dataset.view));
+        item.addEventListener('click', () => navigate(item.dataset.view === 'swap' ? '#/' : `#/${item.dataset.view}`));
+    });
+    window.addEventListener('hashchange', handleRoute);
+
+    // Matcher stats
+    elements.matchersRefreshBtn.addEventListener('click', () => loadMatcherStats());
+    matcherStats.on(({ event }) => {
+        if (event === 'progress' && state.currentView === 'matchers' && state.matchersChainId === CONFIG.chainId) {
+            renderMatcherStats(matcherStats.getStats());
+        }
+    });
+
+    // Swap detail
+    elements.detailCopyLinkBtn.addEventListener('click', () => copyToClipboard(window.location.href, 'Link copied to clipboard'));
+    elements.detailRefreshBtn.addEventListener('click', () => {
+        if (state.detailRoute) loadDetail(state.detailRoute.kind, state.detailRoute.id);
     });
 
     // Swap direction
@@ -491,14 +668,44 @@ function setupEventListeners() {
     // Swap button
     elements.swapBtn.addEventListener('click', handleSwap);
 
+    // Stale preflight findings are cleared as soon as any swap input is edited
+    [
+        elements.sellAmount, elements.buyAmount, elements.expirationInput, elements.slippageInput,
+        elements.settlementTimeInput, elements.settlerRewardInput, elements.initialLiquidityInput,
+        elements.maxBountyInput
+    ].forEach(input => {
+        input.addEventListener('input', () => {
+            if (elements.swapFindings.classList.contains('visible')) {
+                renderSwapFindings([]);
+            }
+        });
+    });
+
     // Advanced toggle
     elements.advancedToggle.addEventListener('click', toggleAdvanced);
 
     // Cost breakdown toggle
     elements.costBreakdownToggle.addEventListener('click', toggleCostBreakdown);
 
-    // Token modal close (we won't use the modal for selection anymore)
+    // Token selection
+    elements.sellTokenSelector.addEventListener('click', () => openTokenModal('sell'));
+    elements.buyTokenSelector.addEventListener('click', () => openTokenModal('buy'));
     elements.tokenClose.addEventListener('click', () => closeModal('tokenModal'));
+    elements.tokenSearch.addEventListener('input', debounce(renderTokenList, 150));
+    elements.tokenList.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('[data-remove-token]');
+        if (removeBtn) {
+            handleRemoveCustomToken(removeBtn.dataset.removeToken);
+            return;
+        }
+        const importBtn = e.target.closest('#tokenImportBtn');
+        if (importBtn) {
+            handleImportToken();
+            return;
+        }
+        const item = e.target.closest('.token-list-item');
+        if (item) selectToken(item.dataset.address);
+    });
 
     // Slippage manual input (capped at 0.5%)
     elements.slippageInput.addEventListener('change', () => {
@@ -507,7 +714,9 @@ function setupEventListeners() {
             val = Math.min(0.5, val); // cap at 0.5%
             elements.slippageInput.value = val;
             state.settings.slippage = val;
+            state.manualSlippage = true;
             updateSwapDetails();
+            updateSwapButton();
         }
     });
 
@@ -555,6 +764,49 @@ function setupEventListeners() {
         saveDelayMode(elements.delayModeToggle.checked);
     });
 
+    // Split order toggle - changes what the swap button does for large sells
+    elements.splitOrderToggle.addEventListener('change', updateSwapButton);
+
+    // Milestone alerts - desktop needs the browser's permission first
+    const alertSettings = notifications.getSettings();
+    elements.desktopAlertsToggle.checked = alertSettings.desktop;
+    elements.soundAlertsToggle.checked = alertSettings.sound;
+    elements.desktopAlertsToggle.addEventListener('change', async () => {
+        try {
+            await notifications.setDesktop(elements.desktopAlertsToggle.checked);
+        } catch (e) {
+            elements.desktopAlertsToggle.checked = false;
+            showToast('Notifications Unavailable', e.message, 'error');
+        }
+    });
+    elements.soundAlertsToggle.addEventListener('change', () => {
+        notifications.setSound(elements.soundAlertsToggle.checked);
+    });
+
+    // Auto-settle - options and log only show while it's on
+    const autoSettleSettings = autoSettle.getSettings();
+    elements.autoSettleToggle.checked = autoSettleSettings.enabled;
+    elements.autoSettleMaxGasInput.value = autoSettleSettings.maxGasEth;
+    elements.autoSettleOptions.classList.toggle('visible', autoSettleSettings.enabled);
+    renderAutoSettleLog();
+    elements.autoSettleToggle.addEventListener('change', () => {
+        autoSettle.setEnabled(elements.autoSettleToggle.checked);
+        elements.autoSettleOptions.classList.toggle('visible', elements.autoSettleToggle.checked);
+    });
+    elements.autoSettleMaxGasInput.addEventListener('change', () => {
+        try {
+            autoSettle.setMaxGas(elements.autoSettleMaxGasInput.value);
+        } catch (e) {
+            showToast('Invalid Max Gas', e.message, 'error');
+            elements.autoSettleMaxGasInput.value = autoSettle.getSettings().maxGasEth;
+        }
+    });
+    elements.autoSettleLogClear.addEventListener('click', () => autoSettle.clearLog());
+
+    // Split order progress
+    elements.splitOrderStopBtn.addEventListener('click', () => splitOrders.stop());
+    splitOrders.on(renderSplitOrder);
+
     // Close modals on overlay click
     document.querySelectorAll('.modal-overlay').forEach(overlay => {
         overlay.addEventListener('click', (e) => {
@@ -601,8 +853,11 @@ function setupEventListeners() {
             const maxSellable = balanceEth - overheadEth;
             return maxSellable > 0 ? maxSellable : null;
         } else {
-            // For USDC, reserve exact amount for bounty (bounty is paid in USDC when selling USDC)
-            const balanceUsdc = parseFloat(rawBalance.toString()) / 1e6;
+            // For ERC20s, reserve exact amount for bounty (bounty is paid in the sell token)
+            // Worked in USD, then converted back to token units
+            const sellPrice = getTokenPriceUsd(state.sellToken);
+            if (!sellPrice || !state.currentPrice) return null;
+            const balanceUsd = parseFloat(rawBalance.toString()) / 10 ** state.sellToken.decimals * sellPrice;
 
             // Calculate gas-floor minInitLiq (same as createSwap)
             const gasCostWei = gasOracle.getDisputeCostForInitLiq();
@@ -610,48 +865,32 @@ function setupEventListeners() {
             const gasCostUsd = gasCostEth * state.currentPrice;
             const minInitLiqUsd = gasCostUsd * 12500; // gasCost / 0.008%
 
-            // Get settlement-time volatility
-            const settlementTime = parseInt(elements.settlementTimeInput.value) || CONFIG.defaults.settlementTime;
-            let volSettlement;
-            if (volatility.lastKrakenVol !== null) {
-                volSettlement = volatility.lastKrakenVol / 6.5;
-            } else if (volatility.lastCandleVol !== null) {
-                volSettlement = (volatility.lastCandleVol / 1.5) / Math.sqrt(60 / settlementTime);
-            } else {
-                volSettlement = 0.001;
-            }
-
             // Calculate bounty from minInitLiq (fixed cost regardless of sell amount)
             const minBountyFromGas = minInitLiqUsd * 0.0015; // 0.15% of gas-floor initLiq
 
-            // Calculate bounty ratio for 10%-of-sell case
-            const initLiqRatio = 0.1;
-            const minBountyStartRatio = 0.000065 * initLiqRatio;
-            const maxBountyStartRatio = 0.002 * initLiqRatio;
-            const volBountyStartRatio = 0.5 * volSettlement * initLiqRatio;
-            const bountyStartRatio = Math.min(Math.max(volBountyStartRatio, minBountyStartRatio), maxBountyStartRatio);
-            const bountyRatioFromTenPct = Math.max(0.0015 * initLiqRatio, 2 * bountyStartRatio);
+            // Bounty ratio for the 10%-of-sell case (the bounty is linear in initLiq)
+            const bountyRatioFromTenPct = calculateBountyUsd(0.1, getVolSettlement()).totalBountyUsd;
 
             // Solve for maxSellable considering both cases:
             const threshold = minInitLiqUsd / 0.1;
             const buffer = 0.0001; // 0.01% buffer
 
-            let maxSellable;
-            if (balanceUsdc - minBountyFromGas < threshold) {
+            let maxSellableUsd;
+            if (balanceUsd - minBountyFromGas < threshold) {
                 // Gas floor dominates: bounty is fixed
-                maxSellable = balanceUsdc - minBountyFromGas - buffer * balanceUsdc;
+                maxSellableUsd = balanceUsd - minBountyFromGas - buffer * balanceUsd;
             } else {
                 // 10% of sell dominates: bounty is proportional
-                maxSellable = balanceUsdc / (1 + bountyRatioFromTenPct + buffer);
+                maxSellableUsd = balanceUsd / (1 + bountyRatioFromTenPct + buffer);
             }
 
-            return maxSellable > 0 ? maxSellable : null;
+            return maxSellableUsd > 0 ? maxSellableUsd / sellPrice : null;
         }
     }
 
     // Helper to set sell amount and update UI
     function setSellAmount(amount) {
-        const decimals = state.sellToken.address === ethers.ZeroAddress ? 6 : 6;
+        const decimals = Math.min(6, state.sellToken.decimals);
         elements.sellAmount.value = amount.toFixed(decimals);
         state.sellAmount = elements.sellAmount.value;
         autoCalculateBuyAmount();
@@ -674,7 +913,7 @@ function setupEventListeners() {
                 if (state.sellToken.address === ethers.ZeroAddress) {
                     showToast('Insufficient Balance', 'Not enough ETH to cover swap overhead costs', 'error');
                 } else {
-                    showToast('Insufficient Balance', 'Not enough USDC to cover bounty', 'error');
+                    showToast('Insufficient Balance', `Not enough ${state.sellToken.symbol} to cover bounty`, 'error');
                 }
                 return;
             }
@@ -706,7 +945,7 @@ function setupEventListeners() {
                 if (state.sellToken.address === ethers.ZeroAddress) {
                     showToast('Insufficient Balance', 'Not enough ETH to cover swap overhead costs', 'error');
                 } else {
-                    showToast('Insufficient Balance', 'Not enough USDC to cover bounty', 'error');
+                    showToast('Insufficient Balance', `Not enough ${state.sellToken.symbol} to cover bounty`, 'error');
                 }
                 return;
             }
@@ -721,6 +960,53 @@ function setupEventListeners() {
     elements.loadOrderInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') handleLoadOrder();
     });
+
+    // Order history scan progress (only shown until the first orders arrive)
+    orderHistory.on(renderHistoryProgress);
+
+    // Order export
+    elements.exportCsvBtn.addEventListener('click', () => handleExportOrders('csv', elements.exportCsvBtn));
+    elements.exportJsonBtn.addEventListener('click', () => handleExportOrders('json', elements.exportJsonBtn));
+
+    // Bulk order actions
+    elements.bulkSelectAll.addEventListener('change', () => {
+        state.selectedOrders = elements.bulkSelectAll.checked
+            ? new Set(state.userOrders.map(order => order.swapId))
+            : new Set();
+        renderOrdersList();
+    });
+    elements.bulkCancelBtn.addEventListener('click', () => handleBulkAction(BULK_ACTION.CANCEL));
+    elements.bulkBailOutBtn.addEventListener('click', () => handleBulkAction(BULK_ACTION.BAILOUT));
+    elements.bulkSettleBtn.addEventListener('click', () => handleBulkAction(BULK_ACTION.SETTLE));
+    elements.bulkStopBtn.addEventListener('click', () => bulkActions.stop());
+    bulkActions.on(({ event }) => {
+        if (event === 'progress' || event === 'started') renderOrdersList();
+        if (event === 'stopping') elements.bulkStopBtn.disabled = true;
+    });
+
+    // Held funds (tempHolding)
+    elements.heldFundsBtn.addEventListener('click', openHeldFunds);
+    elements.heldFundsBadge.addEventListener('click', openHeldFunds);
+    elements.heldFundsClose.addEventListener('click', () => closeModal('heldFundsModal'));
+    elements.heldFundsCheck.addEventListener('click', renderHeldFunds);
+    elements.heldFundsHolder.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') renderHeldFunds();
+    });
+    tempHoldings.on(({ event, holdings }) => {
+        if (event === 'updated') updateHeldFundsBadge(holdings);
+    });
+
+    // Allowances
+    elements.allowancesBtn.addEventListener('click', openAllowances);
+    elements.allowancesClose.addEventListener('click', () => closeModal('allowancesModal'));
+    elements.allowancesRefresh.addEventListener('click', renderAllowances);
+    document.querySelectorAll('input[name="approvalPolicy"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            allowances.setMode(radio.value);
+            renderAllowancePolicy();
+        });
+    });
+    elements.approvalPermit.addEventListener('change', () => allowances.setPermit(elements.approvalPermit.checked));
 }
 
 /**
@@ -739,11 +1025,13 @@ function setupWalletListeners() {
                 if (state.currentView === 'orders') {
                     loadUserOrders();
                 }
+                refreshHeldFunds();
                 showToast('Connected', `Wallet connected: ${shortenAddress(address)}`, 'success');
                 break;
 
             case 'disconnect':
                 updateConnectButton(null);
+                tempHoldings.clear();
                 showToast('Disconnected', 'Wallet disconnected', 'info');
                 break;
 
@@ -752,6 +1040,9 @@ function setupWalletListeners() {
                 await updateBalances('pending');
                 // Load delay mode setting for new address
                 elements.delayModeToggle.checked = loadDelayMode();
+                refreshHeldFunds();
+                state.selectedOrders.clear();
+                bulkActions.clear();
                 showToast('Account Changed', `Now using: ${shortenAddress(address)}`, 'info');
                 break;
 
@@ -790,6 +1081,29 @@ async function handleNetworkChange(networkKey) {
     // Update contract address
     openSwap.address = CONFIG.contracts.openSwap;
 
+    // Reload the token list for the new chain; fall back to ETH/USDC for tokens not on it
+    await loadTokenList();
+    resetMissingTokens();
+    tempHoldings.clear();
+    refreshHeldFunds();
+    state.selectedOrders.clear();
+    bulkActions.clear();
+    // Trackers are per chain - set the old network's aside and resume this one's
+    trackers.restore();
+    renderAutoSettleLog();
+
+    // Stats are per chain - reload the matchers view against the new network. A swap page
+    // is reloaded when a link brought us here, and left when it belongs to the old network.
+    if (state.currentView === 'matchers') {
+        handleRoute();
+    } else if (state.currentView === 'detail') {
+        if (parseRoute(window.location.hash).chainId === CONFIG.chainId) {
+            handleRoute();
+        } else {
+            navigate('#/');
+        }
+    }
+
     // If wallet connected, prompt to switch chain
     if (wallet.isConnected()) {
         try {
@@ -839,6 +1153,73 @@ function updateConnectButton(address) {
     }
 }
 
+/**
+ * Parse a location hash: #/ (swap), #/orders, #/matchers, #/<chainId>/swap/<swapId>,
+ * #/<chainId>/report/<reportId>. Links without a chainId (#/swap/<swapId>) are for the current chain.
+ * @returns {{view: string, kind?: string, id?: string, chainId?: number}}
+ */
+function parseRoute(hash) {
+    const parts = hash.replace(/^#\/?/, '').split('/');
+    const chainId = /^\d+$/.test(parts[0]) ? Number(parts.shift()) : undefined;
+    const [section, id] = parts;
+    if (section === 'orders') return { view: 'orders' };
+    if (section === 'matchers') return { view: 'matchers' };
+    if ((section === 'swap' || section === 'report') && /^\d+$/.test(id || '')) {
+        return { view: 'detail', kind: section, id, chainId: chainId ?? CONFIG.chainId };
+    }
+    return { view: 'swap' };
+}
+
+/**
+ * Hash route of a swap or report page on the current chain
+ * @param {string} kind - 'swap' or 'report'
+ */
+function detailHash(kind, id) {
+    return `#/${CONFIG.chainId}/${kind}/${id}`;
+}
+
+/**
+ * Show the view for the current location hash
+ */
+function handleRoute() {
+    const route = parseRoute(window.location.hash);
+    if (route.view === 'detail' && route.chainId !== CONFIG.chainId) {
+        // Swap and report IDs are per chain - follow the link to its network if it can be selected
+        const networkKey = Object.keys(NETWORKS).find(key => NETWORKS[key].chainId === route.chainId);
+        const option = networkKey && elements.networkDropdown.querySelector(`.network-option[data-network="${networkKey}"]`);
+        if (!option || option.classList.contains('disabled')) {
+            const chainName = getNetworkByChainId(route.chainId)?.chainName ?? `chain ${route.chainId}`;
+            showToast('Unsupported Network', `This link is for a swap on ${chainName}, which isn't available here`, 'error');
+            navigate('#/');
+            return;
+        }
+        switchView('detail');
+        handleNetworkChange(networkKey);
+        return;
+    }
+    if (route.view === 'detail') {
+        // Pin the chain into links written without one, so Copy Link shares the right swap
+        history.replaceState(null, '', detailHash(route.kind, route.id));
+    }
+    switchView(route.view);
+    if (route.view === 'detail') {
+        loadDetail(route.kind, route.id);
+    } else if (route.view === 'matchers') {
+        loadMatcherStats();
+    }
+}
+
+/**
+ * Go to a hash route (re-renders even if it is already the current one)
+ */
+function navigate(hash) {
+    if (window.location.hash === hash || (hash === '#/' && !window.location.hash)) {
+        handleRoute();
+    } else {
+        window.location.hash = hash;
+    }
+}
+
 /**
  * Switch view
  */
@@ -904,12 +1285,209 @@ function updateTokenDisplay(side, token) {
     const iconEl = side === 'sell' ? elements.sellTokenIcon : elements.buyTokenIcon;
 
     symbolEl.textContent = token.symbol;
+    iconEl.innerHTML = renderTokenIcon(token);
+}
 
+/**
+ * Token icon markup (logo with two-letter fallback)
+ */
+function renderTokenIcon(token) {
+    const initials = escapeHtml(token.symbol.slice(0, 2));
     if (token.logo) {
-        iconEl.innerHTML = `<img src="${token.logo}" alt="${token.symbol}" onerror="this.style.display='none';this.parentElement.querySelector('span').style.display='block'"><span style="display:none">${token.symbol.slice(0, 2)}</span>`;
+        return `<img src="${escapeHtml(token.logo)}" alt="${escapeHtml(token.symbol)}" onerror="this.style.display='none';this.parentElement.querySelector('span').style.display='block'"><span style="display:none">${initials}</span>`;
+    }
+    return `<span>${initials}</span>`;
+}
+
+/**
+ * Open token selector for one side of the swap
+ */
+function openTokenModal(side) {
+    state.tokenModalSide = side;
+    elements.tokenSearch.value = '';
+    renderTokenList();
+    openModal('tokenModal');
+    elements.tokenSearch.focus();
+}
+
+/**
+ * Render the token list, filtered by the search box (symbol, name or address)
+ */
+function renderTokenList() {
+    const query = elements.tokenSearch.value.trim().toLowerCase();
+    const matches = TOKENS.filter(token => !query ||
+        token.symbol.toLowerCase().includes(query) ||
+        (token.name || '').toLowerCase().includes(query) ||
+        token.address.toLowerCase() === query);
+
+    state.tokenImportCandidate = null;
+    if (matches.length === 0) {
+        if (isValidAddress(query)) {
+            renderTokenImport(query);
+            return;
+        }
+        elements.tokenList.innerHTML = `
+            <div class="empty-state">
+                <h3>No tokens found</h3>
+                <p>Try a symbol, name or token address</p>
+            </div>
+        `;
+        return;
+    }
+
+    elements.tokenList.innerHTML = matches.map(token => `
+        <div class="token-list-item" data-address="${escapeHtml(token.address)}">
+            <div class="token-icon">${renderTokenIcon(token)}</div>
+            <div class="token-list-info">
+                <div class="token-list-name">
+                    ${escapeHtml(token.symbol)}
+                    ${token.isCustom ? '<span class="token-unverified-badge">Unverified</span>' : ''}
+                </div>
+                <div class="token-list-symbol">${escapeHtml(token.name || shortenAddress(token.address))}</div>
+            </div>
+            <div class="token-list-balance">${token.balance ?? ''}</div>
+            ${token.isCustom ? `<button class="btn btn-xs btn-secondary" data-remove-token="${escapeHtml(token.address)}">Remove</button>` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * Look up a pasted address on-chain and offer to import it
+ */
+async function renderTokenImport(address) {
+    elements.tokenList.innerHTML = `
+        <div class="empty-state">
+            <p>Looking up token...</p>
+        </div>
+    `;
+
+    let metadata;
+    try {
+        metadata = await wallet.getTokenMetadata(address);
+    } catch (e) {
+        if (elements.tokenSearch.value.trim().toLowerCase() !== address) return;
+        elements.tokenList.innerHTML = `
+            <div class="empty-state">
+                <h3>Cannot import token</h3>
+                <p>${escapeHtml(e.message)}</p>
+            </div>
+        `;
+        return;
+    }
+
+    // Search changed while we were reading the contract
+    if (elements.tokenSearch.value.trim().toLowerCase() !== address) return;
+
+    state.tokenImportCandidate = metadata;
+    const explorerUrl = `${CONFIG.blockExplorer}/token/${metadata.address}`;
+    elements.tokenList.innerHTML = `
+        <div class="token-import">
+            <div class="token-import-preview">
+                <div class="token-icon">${renderTokenIcon(metadata)}</div>
+                <div class="token-list-info">
+                    <div class="token-list-name">
+                        ${escapeHtml(metadata.symbol)}
+                        <span class="token-unverified-badge">Unverified</span>
+                    </div>
+                    <div class="token-list-symbol">${escapeHtml(metadata.name)} · ${metadata.decimals} decimals</div>
+                </div>
+            </div>
+            <div class="token-import-warning">
+                This token is not on the ${escapeHtml(CONFIG.chainName)} token list. Anyone can deploy a token
+                with any name and symbol, including copies of real tokens, and its USD price is looked up by symbol.
+                Check the address on the <a href="${explorerUrl}" target="_blank" rel="noopener">block explorer</a>
+                before trading it.
+            </div>
+            <button class="btn btn-secondary" id="tokenImportBtn">Import ${escapeHtml(metadata.symbol)}</button>
+        </div>
+    `;
+}
+
+/**
+ * Import the looked-up token and select it for the open side
+ */
+function handleImportToken() {
+    const metadata = state.tokenImportCandidate;
+    if (!metadata) return;
+    const token = importToken(metadata);
+    state.tokenImportCandidate = null;
+    showToast('Token Imported', `${token.symbol} added on ${CONFIG.chainName}`, 'success');
+    selectToken(token.address);
+}
+
+/**
+ * Remove an imported token (resets the pair if it was selected)
+ */
+function handleRemoveCustomToken(address) {
+    const token = getToken(address);
+    removeCustomToken(address);
+    if (token === state.sellToken || token === state.buyToken) {
+        resetMissingTokens();
+    }
+    renderTokenList();
+}
+
+/**
+ * Apply token chosen in the modal (picking the other side's token flips the pair)
+ */
+function selectToken(address) {
+    const token = getToken(address);
+    const side = state.tokenModalSide;
+    closeModal('tokenModal');
+    if (!token || !side) return;
+
+    const current = side === 'sell' ? state.sellToken : state.buyToken;
+    const other = side === 'sell' ? state.buyToken : state.sellToken;
+    if (token === current) return;
+    if (token === other) {
+        swapTokens();
+        return;
+    }
+
+    if (side === 'sell') {
+        state.sellToken = token;
+        elements.sellBalance.textContent = token.balance ?? '0.00';
     } else {
-        iconEl.innerHTML = `<span>${token.symbol.slice(0, 2)}</span>`;
+        state.buyToken = token;
+        elements.buyBalance.textContent = token.balance ?? '0.00';
+    }
+    onTokensChanged();
+}
+
+/**
+ * After a network switch, replace tokens that are not on the new chain's list
+ */
+function resetMissingTokens() {
+    state.sellToken = getToken(state.sellToken.address) || ETH;
+    state.buyToken = getToken(state.buyToken.address) || USDC;
+    if (state.sellToken === state.buyToken) {
+        state.sellToken = ETH;
+        state.buyToken = USDC;
     }
+    onTokensChanged();
+}
+
+/**
+ * Refresh everything that depends on the selected pair
+ */
+function onTokensChanged() {
+    state.estTotalCostPct = null;
+    elements.initialLiquidityInput.value = ''; // Units changed - back to auto
+    updateTokenDisplay('sell', state.sellToken);
+    updateTokenDisplay('buy', state.buyToken);
+    tokenPrices.track([state.sellToken, state.buyToken]);
+    // Slippage, bounty and fee sizing follow the pair's own volatility
+    volatility.setPair(state.sellToken, state.buyToken);
+    state.manualSlippage = false;
+
+    // Buy amount is in the old token's units - recalculate once prices are in
+    state.buyAmount = '';
+    elements.buyAmount.value = '';
+    autoCalculateBuyAmount();
+    updateBalances('pending');
+    updatePriceDisplay();
+    updateUsdValues();
+    updateSwapButton();
 }
 
 /**
@@ -983,13 +1561,15 @@ function handleBuyAmountChange() {
 async function updateSwapDetails() {
     const hasAmounts = state.sellAmount && state.buyAmount && parseFloat(state.sellAmount) > 0 && parseFloat(state.buyAmount) > 0;
 
-    if (hasAmounts && state.currentPrice) {
+    const sellPrice = getTokenPriceUsd(state.sellToken);
+
+    if (hasAmounts && state.currentPrice && sellPrice) {
         elements.swapDetails.classList.add('visible');
 
         // Calculate min received based on slippage
         const slippage = state.settings.slippage / 100;
         const minReceived = parseFloat(state.buyAmount) * (1 - slippage);
-        document.getElementById('minReceived').textContent = `${formatNumber(minReceived, state.buyToken.symbol === 'USDC' ? 2 : 6)} ${state.buyToken.symbol}`;
+        document.getElementById('minReceived').textContent = `${formatNumber(minReceived, getDisplayDecimals(state.buyToken))} ${state.buyToken.symbol}`;
         const startingFeePct = (CONFIG.defaults.startingFee / 100000).toFixed(4).replace(/0+$/, '').replace(/\.$/, '');
         const maxFeePct = (CONFIG.defaults.maxFee / 100000).toFixed(4).replace(/0+$/, '').replace(/\.$/, '');
         document.getElementById('fulfillmentFee').textContent = `${startingFeePct}% / ${maxFeePct}%`;
@@ -1020,7 +1600,7 @@ async function updateSwapDetails() {
                 const manualInitLiq = elements.initialLiquidityInput.value;
                 const hasManualInitLiq = manualInitLiq && manualInitLiq !== '' && manualInitLiq !== 'auto';
 
-                if (state.sellToken.symbol === 'ETH') {
+                if (state.sellToken.address === ethers.ZeroAddress) {
                     if (hasManualInitLiq) {
                         initLiqValue = parseFloat(manualInitLiq);
                         initLiqUsd = initLiqValue * state.currentPrice;
@@ -1035,51 +1615,21 @@ async function updateSwapDetails() {
                     document.getElementById('initialLiquidityLabel').querySelector('span').textContent = 'Initial Liquidity (WETH)';
                 } else {
                     if (hasManualInitLiq) {
-                        initLiqUsd = parseFloat(manualInitLiq);
+                        initLiqUsd = parseFloat(manualInitLiq) * sellPrice;
                     } else {
                         const gasCostEth = Number(gasCostWei) / 1e18;
                         const gasCostUsd = gasCostEth * state.currentPrice;
                         const minInitLiqUsd = gasCostUsd * 12500;  // gasCost / 0.008%
-                        const tenPercentSellUsd = sellAmt * 0.10;
+                        const tenPercentSellUsd = sellAmt * 0.10 * sellPrice;
                         initLiqUsd = tenPercentSellUsd > minInitLiqUsd ? tenPercentSellUsd : minInitLiqUsd;
-                        elements.initialLiquidityInput.placeholder = initLiqUsd.toFixed(2);
+                        elements.initialLiquidityInput.placeholder = (initLiqUsd / sellPrice).toFixed(getDisplayDecimals(state.sellToken));
                     }
-                    document.getElementById('initialLiquidityLabel').querySelector('span').textContent = 'Initial Liquidity (USDC)';
+                    document.getElementById('initialLiquidityLabel').querySelector('span').textContent = `Initial Liquidity (${state.sellToken.symbol})`;
                 }
 
                 // Calculate bounty based on settlement-time volatility
-                const settlementTime = parseInt(elements.settlementTimeInput.value) || CONFIG.defaults.settlementTime;
-                let volSettlement;
-                if (volatility.lastKrakenVol !== null) {
-                    volSettlement = volatility.lastKrakenVol / 6.5; // already scaled to settlement time
-                } else if (volatility.lastCandleVol !== null) {
-                    volSettlement = (volatility.lastCandleVol / 1.5) / Math.sqrt(60 / settlementTime); // remove 1.5x, scale 1-min to settlement time
-                } else {
-                    volSettlement = 0.001; // fallback
-                }
-
-                // bountyStartAmt = 0.5 * vol * initLiq, min 0.0065%, capped at 0.2%
-                const minBountyStartUsd = initLiqUsd * 0.000065; // 0.0065% floor
-                const maxBountyStartUsd = initLiqUsd * 0.002; // 0.2% cap
-                let bountyStartUsd = Math.max(0.5 * volSettlement * initLiqUsd, minBountyStartUsd);
-                bountyStartUsd = Math.min(bountyStartUsd, maxBountyStartUsd);
-
-                // totalAmtDeposited = max(0.15% of initLiq, 2 * bountyStartAmt)
-                const minTotalUsd = initLiqUsd * 0.0015; // 0.15% floor
-                const twiceBountyStart = bountyStartUsd * 2;
-                const totalBountyUsd = Math.max(minTotalUsd, twiceBountyStart);
-
-                // Display in USDC when selling USDC, ETH when selling ETH
-                if (state.sellToken.address !== ethers.ZeroAddress) {
-                    document.getElementById('oracleBounty').textContent = `${totalBountyUsd.toFixed(6)} USDC`;
-                    elements.maxBountyInput.value = totalBountyUsd.toFixed(6);
-                    elements.maxBountyLabel.querySelector('span').textContent = 'Max Bounty (USDC)';
-                } else {
-                    const totalBountyEth = totalBountyUsd / state.currentPrice;
-                    document.getElementById('oracleBounty').textContent = `${totalBountyEth.toFixed(9)} ETH`;
-                    elements.maxBountyInput.value = totalBountyEth.toFixed(9);
-                    elements.maxBountyLabel.querySelector('span').textContent = 'Max Bounty (ETH)';
-                }
+                const { totalBountyUsd } = calculateBountyUsd(initLiqUsd, getVolSettlement());
+                showBountyEstimate(totalBountyUsd, sellPrice);
             }
         } catch (e) {
             // Silently fail
@@ -1094,65 +1644,46 @@ async function updateSwapDetails() {
 }
 
 /**
- * Recalculate bounty based on initial liquidity input
- * bountyStartAmt = 0.5 * vol * initLiq, capped at 0.2%
- * totalAmtDeposited = 2 * bountyStartAmt
+ * Settlement-time σ (decimal) from the volatility tracker, for the settlement time in the advanced settings
+ */
+function getVolSettlement() {
+    const settlementTime = parseInt(elements.settlementTimeInput.value) || CONFIG.defaults.settlementTime;
+    return getSettlementVolatility({ krakenVol: volatility.lastKrakenVol, candleVol: volatility.lastCandleVol }, settlementTime);
+}
+
+/**
+ * Recalculate bounty based on initial liquidity input (same sizing as buildSwapParams)
  */
 function recalculateBounty() {
     const initLiqInput = elements.initialLiquidityInput.value;
-    if (!initLiqInput || initLiqInput === '' || !state.currentPrice) return;
+    const sellPrice = getTokenPriceUsd(state.sellToken);
+    if (!initLiqInput || initLiqInput === '' || !state.currentPrice || !sellPrice) return;
 
     try {
-        let initLiqUsd;
         const initLiqValue = parseFloat(initLiqInput);
         if (isNaN(initLiqValue) || initLiqValue <= 0) return;
 
-        if (state.sellToken.address === ethers.ZeroAddress) {
-            // Selling ETH - initial liquidity is in ETH
-            initLiqUsd = initLiqValue * state.currentPrice;
-        } else {
-            // Selling USDC - initial liquidity is in USDC
-            initLiqUsd = initLiqValue;
-        }
-
-        // Get settlement-time σ as decimal
-        const settlementTime = parseInt(elements.settlementTimeInput.value) || CONFIG.defaults.settlementTime;
-        let volSettlement;
-        if (volatility.lastKrakenVol !== null) {
-            volSettlement = volatility.lastKrakenVol / 6.5; // already scaled to settlement time
-        } else if (volatility.lastCandleVol !== null) {
-            volSettlement = (volatility.lastCandleVol / 1.5) / Math.sqrt(60 / settlementTime); // remove 1.5x, scale 1-min to settlement time
-        } else {
-            volSettlement = 0.001; // fallback
-        }
-
-        // bountyStartAmt = 0.5 * vol * initLiq, min 0.0065%, capped at 0.2%
-        const minBountyStartUsd = initLiqUsd * 0.000065; // 0.0065% floor
-        const maxBountyStartUsd = initLiqUsd * 0.002; // 0.2% cap
-        let bountyStartUsd = Math.max(0.5 * volSettlement * initLiqUsd, minBountyStartUsd);
-        bountyStartUsd = Math.min(bountyStartUsd, maxBountyStartUsd);
-
-        // totalAmtDeposited = max(0.15% of initLiq, 2 * bountyStartAmt)
-        const minTotalUsd = initLiqUsd * 0.0015; // 0.15% floor
-        const twiceBountyStart = bountyStartUsd * 2;
-        const totalBountyUsd = Math.max(minTotalUsd, twiceBountyStart);
-
-        // Display in USDC when selling USDC, ETH when selling ETH
-        if (state.sellToken.address !== ethers.ZeroAddress) {
-            document.getElementById('oracleBounty').textContent = `${totalBountyUsd.toFixed(6)} USDC`;
-            elements.maxBountyInput.value = totalBountyUsd.toFixed(6);
-            elements.maxBountyLabel.querySelector('span').textContent = 'Max Bounty (USDC)';
-        } else {
-            const totalBountyEth = totalBountyUsd / state.currentPrice;
-            document.getElementById('oracleBounty').textContent = `${totalBountyEth.toFixed(9)} ETH`;
-            elements.maxBountyInput.value = totalBountyEth.toFixed(9);
-            elements.maxBountyLabel.querySelector('span').textContent = 'Max Bounty (ETH)';
-        }
+        // Initial liquidity is in sell token units
+        const initLiqUsd = initLiqValue * sellPrice;
+        const { totalBountyUsd } = calculateBountyUsd(initLiqUsd, getVolSettlement());
+        showBountyEstimate(totalBountyUsd, sellPrice);
     } catch (e) {
         // Silently fail
     }
 }
 
+/**
+ * Show the estimated total bounty in sell token units (ETH when selling ETH)
+ */
+function showBountyEstimate(totalBountyUsd, sellPrice) {
+    const { symbol } = state.sellToken;
+    const precision = state.sellToken.address === ethers.ZeroAddress ? 9 : Math.min(6, state.sellToken.decimals);
+    const totalBounty = (totalBountyUsd / sellPrice).toFixed(precision);
+    document.getElementById('oracleBounty').textContent = `${totalBounty} ${symbol}`;
+    elements.maxBountyInput.value = totalBounty;
+    elements.maxBountyLabel.querySelector('span').textContent = `Max Bounty (${symbol})`;
+}
+
 // Balance update sequence counter to prevent race conditions
 let balanceUpdateSeq = 0;
 
@@ -1172,11 +1703,15 @@ async function updateBalances(blockTag = 'latest') {
     const sellAddr = state.sellToken.address;
     const buyAddr = state.buyToken.address;
 
-    // Fetch both balances in parallel
-    const [sellResult, buyResult] = await Promise.allSettled([
-        wallet.getTokenBalance(sellAddr, blockTag),
-        wallet.getTokenBalance(buyAddr, blockTag)
-    ]);
+    // Fetch both balances in one batched read (plus ETH for settler reward / gas comp when neither side is ETH)
+    const needsEth = sellAddr !== ETH.address && buyAddr !== ETH.address;
+    const tokens = needsEth ? [sellAddr, buyAddr, ETH.address] : [sellAddr, buyAddr];
+    let balances = null;
+    try {
+        balances = await wallet.getTokenBalances(tokens, blockTag);
+    } catch (e) {
+        console.error('[Balances] Balance fetch failed:', e);
+    }
 
     // If a newer call started while we were fetching, discard our results
     if (mySeq !== balanceUpdateSeq) {
@@ -1190,14 +1725,19 @@ async function updateBalances(blockTag = 'latest') {
         return;
     }
 
-    const sellBal = sellResult.status === 'fulfilled' ? sellResult.value.toString() : '0';
-    const buyBal = buyResult.status === 'fulfilled' ? buyResult.value.toString() : '0';
+    const sellBal = balances ? balances[0].toString() : '0';
+    const buyBal = balances ? balances[1].toString() : '0';
 
     // Store raw and formatted balances in state for other functions to use
     state.sellToken.rawBalance = BigInt(sellBal);
     state.buyToken.rawBalance = BigInt(buyBal);
     state.sellToken.balance = formatTokenAmount(sellBal, state.sellToken.decimals);
     state.buyToken.balance = formatTokenAmount(buyBal, state.buyToken.decimals);
+    if (!needsEth) {
+        state.ethBalance = sellAddr === ETH.address ? state.sellToken.rawBalance : state.buyToken.rawBalance;
+    } else if (balances) {
+        state.ethBalance = BigInt(balances[2].toString());
+    }
 
     console.log(`[Balances] ${state.sellToken.symbol}: ${sellBal} (${state.sellToken.balance}), ${state.buyToken.symbol}: ${buyBal} (${state.buyToken.balance})`);
 
@@ -1216,6 +1756,12 @@ function updateSwapButton() {
         return;
     }
 
+    if (splitOrders.isRunning()) {
+        btn.textContent = 'Split Order Running...';
+        btn.disabled = true;
+        return;
+    }
+
     if (!wallet.isConnected()) {
         btn.textContent = 'Connect Wallet';
         btn.disabled = false;
@@ -1240,14 +1786,32 @@ function updateSwapButton() {
         return;
     }
 
+    // Imported tokens are priced off the amounts typed in
+    if (state.sellToken.isCustom && state.buyToken.isCustom) {
+        btn.textContent = 'No price for two imported tokens';
+        btn.disabled = true;
+        return;
+    }
+    if ((state.sellToken.isCustom || state.buyToken.isCustom) && !(parseFloat(state.buyAmount) > 0)) {
+        btn.textContent = 'Enter buy amount';
+        btn.disabled = true;
+        return;
+    }
+
     // Require all data to be loaded - no fallbacks
-    if (!state.currentPrice) {
+    if (!state.currentPrice || !getTokenPriceUsd(state.sellToken) || !getTokenPriceUsd(state.buyToken)) {
         btn.textContent = 'Loading price...';
         btn.disabled = true;
         return;
     }
 
-    if (volatility.lastCandleVol === null && volatility.lastIQR === null) {
+    if (volatility.isFeedMissing()) {
+        if (!state.manualSlippage) {
+            btn.textContent = 'No volatility feed - set slippage';
+            btn.disabled = true;
+            return;
+        }
+    } else if (volatility.lastCandleVol === null && volatility.lastIQR === null) {
         btn.textContent = 'Loading volatility...';
         btn.disabled = true;
         return;
@@ -1307,11 +1871,14 @@ function updateSwapButton() {
     }
     state.needsSellAmountUpdate = false;
 
-    // Check if swap notional exceeds $45 max (testing limit)
+    // Split mode: sells above the per-swap cap go out as several swaps
+    const splitCount = getSplitChunkCount();
+
+    // Check if swap notional exceeds the max (testing limit)
     const sellAmt = parseFloat(state.sellAmount);
-    const notionalUsd = state.sellToken.symbol === 'ETH' ? sellAmt * state.currentPrice : sellAmt;
-    if (notionalUsd > 45) {
-        btn.textContent = 'Max swap size $45';
+    const notionalUsd = sellAmt * getTokenPriceUsd(state.sellToken);
+    if (splitCount <= 1 && notionalUsd > MAX_SWAP_NOTIONAL_USD) {
+        btn.textContent = `Max swap size $${MAX_SWAP_NOTIONAL_USD}`;
         btn.disabled = true;
         return;
     }
@@ -1323,10 +1890,43 @@ function updateSwapButton() {
         return;
     }
 
-    btn.textContent = 'Create Swap';
+    btn.textContent = splitCount > 1 ? `Create Split Order (${splitCount} swaps)` : 'Create Swap';
     btn.disabled = false;
 }
 
+/**
+ * Largest sell a single swap may carry (base units): the validator cap and the
+ * testing notional limit, less some headroom. Null if prices aren't loaded.
+ */
+function getMaxChunkAmount() {
+    const token = state.sellToken;
+    const priceUsd = getTokenPriceUsd(token);
+    if (!priceUsd) return null;
+
+    const validatorCap = getMaxSellAmount(token, priceUsd);
+    if (validatorCap === null) return null;
+    const notionalCap = parseTokenAmount((MAX_SWAP_NOTIONAL_USD / priceUsd).toFixed(token.decimals), token.decimals);
+    const cap = validatorCap < notionalCap ? validatorCap : notionalCap;
+    return cap * (100n - SPLIT_CHUNK_HEADROOM_PCT) / 100n;
+}
+
+/**
+ * Number of swaps the current sell would be split into, or 0 when split mode
+ * is off or the sell fits in one swap
+ */
+function getSplitChunkCount() {
+    if (!elements.splitOrderToggle.checked || !state.sellAmount) return 0;
+    const maxChunk = getMaxChunkAmount();
+    if (!maxChunk) return 0;
+    try {
+        const total = parseTokenAmount(state.sellAmount, state.sellToken.decimals);
+        const count = planChunks(total, maxChunk).length;
+        return count > 1 ? count : 0;
+    } catch (e) {
+        return 0;
+    }
+}
+
 /**
  * Check if user has accepted risks for this wallet
  */
@@ -1410,7 +2010,7 @@ async function handleSwap() {
         }
 
         let newSellAmt;
-        let symbol;
+        const { symbol } = state.sellToken;
 
         if (state.sellToken.address === ethers.ZeroAddress) {
             const gasCompEth = gasOracle.isReady() ? parseFloat(ethers.formatEther(gasOracle.getMatchCost())) : 0.001;
@@ -1419,10 +2019,8 @@ async function handleSwap() {
                 ? parseFloat(settlerInput)
                 : (gasOracle.isReady() ? parseFloat(ethers.formatEther(gasOracle.getSettleCost())) : 0.001);
             newSellAmt = Math.max(0, balance - bountyEst - gasCompEth - settlerEth - 0.0001);
-            symbol = 'ETH';
         } else {
             newSellAmt = Math.max(0, balance - bountyEst - 0.001);
-            symbol = 'USDC';
         }
 
         if (newSellAmt <= 0) {
@@ -1430,11 +2028,11 @@ async function handleSwap() {
             return;
         }
 
-        elements.sellAmount.value = newSellAmt.toFixed(6);
+        elements.sellAmount.value = newSellAmt.toFixed(Math.min(6, state.sellToken.decimals));
         state.sellAmount = elements.sellAmount.value;
         autoCalculateBuyAmount();
         updateSwapButton();
-        showToast('Amount Updated', `Sell amount reduced to ${newSellAmt.toFixed(symbol === 'ETH' ? 6 : 2)} ${symbol}`, 'info');
+        showToast('Amount Updated', `Sell amount reduced to ${newSellAmt.toFixed(getDisplayDecimals(state.sellToken))} ${symbol}`, 'info');
         return;
     }
 
@@ -1451,361 +2049,188 @@ async function handleSwap() {
         return;
     }
 
+    if (getSplitChunkCount() > 1) {
+        await handleSplitOrder();
+        return;
+    }
+
     try {
         setButtonLoading(elements.swapBtn, true);
 
-        // Parse amounts
-        const sellAmountWei = parseTokenAmount(state.sellAmount, state.sellToken.decimals);
-        const buyAmountWei = parseTokenAmount(state.buyAmount, state.buyToken.decimals);
-
-        // Calculate min out with slippage (1e7 precision to match toleranceRange)
-        const toleranceRange = Math.floor((state.settings.slippage / 100) * 1e7);
-        let minOutWei = buyAmountWei - (buyAmountWei * BigInt(toleranceRange) / BigInt(10000000));
-
-        // Account for fulfillment fee (contract deducts fee from fulfillAmt before comparing to minOut)
-        // Fee is in 1e7 scale, e.g., 1000 = 0.01%
-        const fulfillFee = BigInt(CONFIG.defaults.maxFee);
-        minOutWei = minOutWei - (minOutWei * fulfillFee / BigInt(10000000));
-
-        // Use a higher minFulfillLiquidity to ensure matcher provides enough
-        const minFulfillLiquidity = buyAmountWei + (buyAmountWei * BigInt(500) / BigInt(10000)); // +5% buffer
-
-        // Get values from inputs
-        const expirationSeconds = parseInt(elements.expirationInput.value) || 30;
-        const settlementTime = parseInt(elements.settlementTimeInput.value) || CONFIG.defaults.settlementTime;
-
         // Gas oracle is updated periodically - only update if not ready
         if (!gasOracle.isReady()) {
             await gasOracle.update(wallet.provider);
         }
 
-        // Calculate notional for settler reward calculation
-        const sellAmt = parseFloat(state.sellAmount);
-        const notionalUsd = state.sellToken.symbol === 'ETH' ? sellAmt * state.currentPrice : sellAmt;
+        const result = await submitSwap({
+            sellAmount: state.sellAmount,
+            buyAmount: state.buyAmount,
+            initialLiquidity: elements.initialLiquidityInput.value
+        });
 
-        // Calculate gas compensation (900k L2 gas + L1 data fee)
-        // gasOracle uses its own effective gas price (baseFee + 15% tip)
-        const gasCompWei = gasOracle.getMatchCost();
-        const gasComp = parseFloat(ethers.formatEther(gasCompWei));
+        showToast('Swap Created', `Transaction confirmed!`, 'success');
 
-        // Calculate settler reward (includes 25% spread and low gas minimum)
-        // Use max of: gas-based calculation OR 0.001% of notional
-        const gasBasedSettlerRewardWei = gasOracle.getSettleCost();
-        const gasBasedSettlerReward = parseFloat(ethers.formatEther(gasBasedSettlerRewardWei));
-        const notionalBasedSettlerReward = (notionalUsd * 0.00001) / state.currentPrice; // 0.001% of notional in ETH
-        const defaultSettlerReward = Math.max(gasBasedSettlerReward, notionalBasedSettlerReward);
-        const settlerRewardInput = elements.settlerRewardInput.value;
-        const settlerReward = settlerRewardInput && settlerRewardInput !== ''
-            ? parseFloat(settlerRewardInput)
-            : defaultSettlerReward;
-
-        // Calculate price tolerated (using 1e18 precision to match oracle)
-        const priceTolerated = (sellAmountWei * BigInt(10 ** 18)) / buyAmountWei;
-
-        // Initial liquidity: max(10% of sellAmt, dispute gas cost / 0.01%)
-        // 0.01% constraint means gas cost should be <= 0.01% of init liq
-        // Uses floored gas cost for init liq (clamps baseFee to 0.001 gwei in low gas regime)
-        const gasCostWei = gasOracle.getDisputeCostForInitLiq();
-        const tenPercentSell = sellAmountWei * BigInt(10) / BigInt(100);
-        let minInitLiq;
-        if (state.sellToken.address === ethers.ZeroAddress) {
-            // Selling ETH: minInitLiq = gasCost / 0.00008 = gasCost * 12500
-            minInitLiq = gasCostWei * BigInt(12500);
-        } else {
-            // Selling USDC: convert gas cost to USD then to USDC units
-            const gasCostEth = parseFloat(ethers.formatEther(gasCostWei));
-            const gasCostUsd = gasCostEth * state.currentPrice;
-            const minInitLiqUsd = gasCostUsd * 12500;  // gasCost / 0.008%
-            minInitLiq = BigInt(Math.ceil(minInitLiqUsd * 1e6));
+        // Scroll to status tracker
+        if (result && result.swapId) {
+            setTimeout(() => trackers.scrollIntoView(), 100);
         }
 
-        // Use manual initial liquidity if provided, otherwise use calculated
-        const initLiqInput = elements.initialLiquidityInput.value;
-        let initialLiquidity;
-        if (initLiqInput && initLiqInput !== '' && initLiqInput !== 'auto') {
-            // Manual input - parse based on sell token
-            if (state.sellToken.address === ethers.ZeroAddress) {
-                initialLiquidity = ethers.parseEther(initLiqInput);
-            } else {
-                initialLiquidity = BigInt(Math.floor(parseFloat(initLiqInput) * 1e6));
-            }
+        // Reset form
+        state.sellAmount = '';
+        state.buyAmount = '';
+        elements.sellAmount.value = '';
+        elements.buyAmount.value = '';
+        elements.initialLiquidityInput.value = ''; // Reset to auto-calculate
+        elements.settlerRewardInput.value = ''; // Reset to auto-calculate
+        elements.swapDetails.classList.remove('visible');
+        updateSwapButton();
+        updateBalances('pending');
+
+    } catch (error) {
+        console.error('Swap error:', error);
+        if (error.code === 'SIMULATION_FAILED') {
+            showToast('Simulation Failed', error.message, 'error');
+        } else if (error.code === 'PREFLIGHT_FAILED') {
+            showToast('Invalid Parameters', error.message, 'error');
         } else {
-            initialLiquidity = tenPercentSell > minInitLiq ? tenPercentSell : minInitLiq;
+            showToast('Swap Failed', error.message || 'Transaction failed', 'error');
         }
-        // Escalation halt is 3x sell amount (in sellToken units)
-        const escalationHalt = sellAmountWei * BigInt(3);
+    } finally {
+        setButtonLoading(elements.swapBtn, false);
+        updateSwapButton();
+    }
+}
 
-        // Calculate bounty based on settlement-time volatility
-        // Get settlement-time σ as decimal (settlementTime already declared above)
-        let volSettlement;
-        if (volatility.lastKrakenVol !== null) {
-            volSettlement = volatility.lastKrakenVol / 6.5; // already scaled to settlement time
-        } else if (volatility.lastCandleVol !== null) {
-            volSettlement = (volatility.lastCandleVol / 1.5) / Math.sqrt(60 / settlementTime); // remove 1.5x, scale 1-min to settlement time
-        } else {
-            volSettlement = 0.001; // fallback
+/**
+ * Build, preflight, send and start tracking one swap of the current pair
+ * @param {object} order - { sellAmount, buyAmount, initialLiquidity } (human-readable)
+ * @returns {Promise<object>} createSwap() result
+ */
+async function submitSwap({ sellAmount, buyAmount, initialLiquidity }) {
+    const swapParams = buildSwapParams({
+        sellAmount,
+        buyAmount,
+        sellToken: state.sellToken,
+        buyToken: state.buyToken,
+        slippage: state.settings.slippage,
+        expirationSeconds: parseInt(elements.expirationInput.value) || 30,
+        settlementTime: parseInt(elements.settlementTimeInput.value) || CONFIG.defaults.settlementTime,
+        initialLiquidity,
+        settlerReward: elements.settlerRewardInput.value,
+        delayMode: elements.delayModeToggle.checked
+    }, {
+        ethPrice: state.currentPrice,
+        sellTokenPriceUsd: getTokenPriceUsd(state.sellToken),
+        volatility: {
+            krakenVol: volatility.lastKrakenVol,
+            candleVol: volatility.lastCandleVol
+        },
+        gas: {
+            matchCost: gasOracle.getMatchCost(),
+            settleCost: gasOracle.getSettleCost(),
+            disputeCostForInitLiq: gasOracle.getDisputeCostForInitLiq()
         }
+    });
 
-        let initLiqUsd;
-        if (state.sellToken.address === ethers.ZeroAddress) {
-            initLiqUsd = parseFloat(ethers.formatEther(initialLiquidity)) * state.currentPrice;
-        } else {
-            initLiqUsd = parseFloat(initialLiquidity.toString()) / 1e6;
-        }
-
-        // bountyStartAmt = 0.5 * vol * initLiq, min 0.0065%, capped at 0.2%
-        const minBountyStartUsd = initLiqUsd * 0.000065; // 0.0065% floor
-        const maxBountyStartUsd = initLiqUsd * 0.002; // 0.2% cap
-        let bountyStartUsd = Math.max(0.5 * volSettlement * initLiqUsd, minBountyStartUsd);
-        bountyStartUsd = Math.min(bountyStartUsd, maxBountyStartUsd);
-
-        // totalAmtDeposited = max(0.15% of initLiq, 2 * bountyStartAmt)
-        const minTotalUsd = initLiqUsd * 0.0015; // 0.15% floor
-        const totalBountyUsd = Math.max(minTotalUsd, bountyStartUsd * 2);
-
-        // Use USDC for bounty when selling USDC, ETH when selling ETH
-        const isSellingUsdc = state.sellToken.address !== ethers.ZeroAddress;
-        let bountyToken, bountyStartWei, bountyWei;
-        if (isSellingUsdc) {
-            // USDC bounty (6 decimals, 1 USDC = $1)
-            bountyToken = CONFIG.tokens.USDC;
-            bountyStartWei = BigInt(Math.floor(bountyStartUsd * 1e6));
-            bountyWei = BigInt(Math.floor(totalBountyUsd * 1e6));
-        } else {
-            // ETH bounty (18 decimals)
-            bountyToken = '0x0000000000000000000000000000000000000000';
-            const bountyStartEth = bountyStartUsd / state.currentPrice;
-            const totalBountyEth = totalBountyUsd / state.currentPrice;
-            bountyStartWei = ethers.parseEther(bountyStartEth.toFixed(18));
-            bountyWei = ethers.parseEther(totalBountyEth.toFixed(18));
-        }
-
-        const swapParams = {
-            sellAmount: sellAmountWei.toString(),
-            sellToken: state.sellToken.address,
-            minOut: minOutWei.toString(),
-            buyToken: state.buyToken.address,
-            minFulfillLiquidity: minFulfillLiquidity.toString(),
-            expirationSeconds: expirationSeconds,
-            gasCompensation: gasComp,
-            oracleParams: {
-                settlerReward: ethers.parseEther(settlerReward.toFixed(18)).toString(),
-                initialLiquidity: initialLiquidity.toString(),
-                escalationHalt: escalationHalt.toString(),
-                settlementTime: settlementTime,
-                latencyBailout: CONFIG.defaults.latencyBailout,
-                maxGameTime: CONFIG.defaults.maxGameTime,
-                blocksPerSecond: 500,
-                disputeDelay: CONFIG.defaults.disputeDelay,
-                swapFee: CONFIG.defaults.swapFee,
-                protocolFee: elements.delayModeToggle.checked ? 250 : 0,
-                multiplier: 130,
-                timeType: true
-            },
-            slippageParams: {
-                priceTolerated: priceTolerated.toString(),
-                toleranceRange: toleranceRange
-            },
-            fulfillFeeParams: {
-                maxFee: CONFIG.defaults.maxFee,
-                startingFee: CONFIG.defaults.startingFee,
-                roundLength: CONFIG.defaults.roundLength,
-                growthRate: CONFIG.defaults.growthRate,
-                maxRounds: CONFIG.defaults.maxRounds
-            },
-            // BountyParams - use USDC when selling USDC, ETH when selling ETH
+    // Preflight checks on swapParams
+    const findings = validateSwapParams(swapParams, {
+        sellBalance: state.sellToken.rawBalance,
+        ethBalance: state.ethBalance,
+        recommendedSlippage: volatility.getRecommendedSlippage(),
+        volatilityFeedMissing: volatility.isFeedMissing(),
+        manualSlippage: state.manualSlippage,
+        sellToken: state.sellToken,
+        sellTokenPriceUsd: getTokenPriceUsd(state.sellToken)
+    });
+    renderSwapFindings(findings);
+    if (hasBlockingFindings(findings)) {
+        const errors = findings.filter(f => f.severity === SEVERITY.ERROR);
+        const error = new Error(errors.length === 1
+            ? errors[0].message
+            : `${errors.length} problems found - see details above the swap button`);
+        error.code = 'PREFLIGHT_FAILED';
+        throw error;
+    }
+
+    console.log('Creating swap with params:', swapParams);
+
+    const result = await openSwap.createSwap(swapParams);
+
+    // Start tracking the swap if we got a swapId
+    if (result && result.swapId) {
+        // Format minOut for display
+        const minOutFormatted = formatTokenAmount(swapParams.minOut, state.buyToken.decimals);
+        trackers.track(result.swapId, result.txHash, {
+            sellAmount,
+            sellToken: state.sellToken.symbol,
+            buyToken: state.buyToken.symbol,
+            sellTokenAddress: state.sellToken.address,
+            buyTokenAddress: state.buyToken.address,
+            sellTokenPriceUsd: getTokenPriceUsd(state.sellToken),
+            swapper: wallet.address,
+            minReceived: minOutFormatted,
+            gasCompensation: swapParams.gasCompensation,
+            settlerReward: swapParams.oracleParams.settlerReward,
             bountyParams: {
-                totalAmtDeposited: bountyWei.toString(),
-                bountyStartAmt: bountyStartWei.toString(),
-                roundLength: 1,
-                bountyToken: bountyToken,
-                bountyMultiplier: 11401,
-                maxRounds: 20
+                ...swapParams.bountyParams,
+                ethPrice: state.currentPrice
             }
-        };
+        }, result.blockNumber);
+    }
 
-        // Preflight checks on swapParams
-        // Max sell amount limits
-        if (swapParams.sellToken === ethers.ZeroAddress) {
-            if (BigInt(swapParams.sellAmount) > ethers.parseEther('0.1')) {
-                showToast('Limit Exceeded', 'Maximum sell amount is 0.1 ETH', 'error');
-                return;
-            }
-        } else {
-            if (BigInt(swapParams.sellAmount) > BigInt(300 * 1e6)) {
-                showToast('Limit Exceeded', 'Maximum sell amount is 300 USDC', 'error');
-                return;
-            }
-        }
+    return result;
+}
 
-        if (BigInt(swapParams.slippageParams.priceTolerated) === BigInt(0)) {
-            showToast('Invalid Parameters', 'priceTolerated cannot be zero', 'error');
-            return;
-        }
-        if (swapParams.slippageParams.toleranceRange === 0) {
-            showToast('Invalid Parameters', 'toleranceRange cannot be zero - check slippage', 'error');
-            return;
-        }
-        if (volatility.getRecommendedSlippage() === 0) {
-            showToast('Volatility Error', 'Unable to calculate volatility - try again', 'error');
-            return;
-        }
-        if (swapParams.expirationSeconds > 60) {
-            showToast('Invalid Parameters', 'Expiration cannot exceed 60 seconds', 'error');
-            return;
-        }
-        if (swapParams.oracleParams.settlementTime > 60) {
-            showToast('Invalid Parameters', 'Settlement time cannot exceed 60 seconds', 'error');
-            return;
-        }
-        if (swapParams.oracleParams.timeType && swapParams.oracleParams.settlementTime < 4) {
-            showToast('Invalid Parameters', 'Settlement time must be at least 4 seconds', 'error');
-            return;
-        }
-        if (!swapParams.oracleParams.timeType && swapParams.oracleParams.settlementTime < 2) {
-            showToast('Invalid Parameters', 'Settlement time must be at least 2 blocks', 'error');
-            return;
-        }
-        if (swapParams.oracleParams.maxGameTime > 1800) {
-            showToast('Invalid Parameters', 'maxGameTime cannot exceed 1800', 'error');
-            return;
-        }
-        if (BigInt(swapParams.oracleParams.settlerReward) > ethers.parseEther('0.01')) {
-            showToast('Invalid Parameters', 'Settler reward cannot exceed 0.01 ETH', 'error');
-            return;
-        }
-        if (swapParams.oracleParams.latencyBailout > 60) {
-            showToast('Invalid Parameters', 'Latency bailout cannot exceed 60 seconds', 'error');
-            return;
-        }
-        if (swapParams.oracleParams.blocksPerSecond !== 500) {
-            showToast('Invalid Parameters', 'blocksPerSecond must be 500', 'error');
-            return;
-        }
-        if (swapParams.oracleParams.swapFee > 10000 || swapParams.oracleParams.protocolFee > 10000) {
-            showToast('Invalid Parameters', 'swapFee and protocolFee cannot exceed 10000', 'error');
-            return;
-        }
-        if (swapParams.oracleParams.multiplier > 300) {
-            showToast('Invalid Parameters', 'multiplier cannot exceed 300', 'error');
-            return;
-        }
-        // initialLiquidity must be >= 9.9% of sellAmount and <= sellAmount
-        const initLiqCheck = BigInt(swapParams.oracleParams.initialLiquidity);
-        const sellAmtCheck = BigInt(swapParams.sellAmount);
-        const minInitLiqCheck = sellAmtCheck * BigInt(99) / BigInt(1000); // 9.9%
-        if (initLiqCheck < minInitLiqCheck) {
-            const pct = (Number(initLiqCheck) / Number(sellAmtCheck) * 100).toFixed(2);
-            showToast('Invalid Parameters', `Initial liquidity (${pct}%) must be at least 9.9% of sell amount`, 'error');
-            return;
-        }
-        if (initLiqCheck > sellAmtCheck) {
-            showToast('Invalid Parameters', 'Initial liquidity cannot exceed sell amount', 'error');
-            return;
-        }
-        if (swapParams.fulfillFeeParams.maxFee > 20000) {
-            showToast('Invalid Parameters', 'Fulfillment fee cannot exceed 0.2%', 'error');
-            return;
-        }
-        if (swapParams.gasCompensation > 0.01) {
-            showToast('Invalid Parameters', 'Gas compensation cannot exceed 0.01 ETH', 'error');
-            return;
-        }
+/**
+ * Sell the current amount as a schedule of swaps under the per-swap cap.
+ * Each chunk is re-priced off the live feed just before it is sent.
+ */
+async function handleSplitOrder() {
+    const sellToken = state.sellToken;
+    const buyToken = state.buyToken;
+    const total = parseTokenAmount(state.sellAmount, sellToken.decimals);
+    const maxChunk = getMaxChunkAmount();
+    state.splitOrderPair = { sellToken, buyToken };
 
-        // Check bounty limits based on token
-        const bountyAmt = BigInt(swapParams.bountyParams.totalAmtDeposited);
-        const bountyTokenAddr = swapParams.bountyParams.bountyToken;
-        if (bountyTokenAddr === '0x0000000000000000000000000000000000000000') {
-            // ETH: max 0.05 ETH
-            if (bountyAmt > ethers.parseEther('0.05')) {
-                showToast('Invalid Parameters', 'ETH bounty cannot exceed 0.05 ETH', 'error');
-                return;
-            }
-        } else if (bountyTokenAddr === CONFIG.tokens.USDC) {
-            // USDC: max 100 USDC (6 decimals)
-            if (bountyAmt > BigInt(100 * 1e6)) {
-                showToast('Invalid Parameters', 'USDC bounty cannot exceed 100 USDC', 'error');
-                return;
-            }
-        } else if (bountyTokenAddr === CONFIG.tokens.OP) {
-            // OP: max 300 OP (18 decimals)
-            if (bountyAmt > ethers.parseEther('300')) {
-                showToast('Invalid Parameters', 'OP bounty cannot exceed 300 OP', 'error');
-                return;
-            }
+    const submitChunk = async (amount) => {
+        if (state.sellToken !== sellToken || state.buyToken !== buyToken) {
+            throw new Error('Token pair changed while the split order was running');
         }
 
-        // Check sellAmount + overhead doesn't exceed balance (use cached balance)
-        const sellAmtBig = BigInt(swapParams.sellAmount);
-        const balanceNum = parseFloat(state.sellToken.balance);
-        if (state.sellToken.address === ethers.ZeroAddress) {
-            // ETH: need sellAmt + bounty + gasComp + settlerReward
-            const rawBalance = ethers.parseEther(balanceNum.toFixed(18));
-            const gasCompWei = ethers.parseEther(swapParams.gasCompensation.toFixed(18));
-            const settlerWei = BigInt(swapParams.oracleParams.settlerReward);
-            const totalNeeded = sellAmtBig + bountyAmt + gasCompWei + settlerWei;
-            if (totalNeeded > rawBalance) {
-                const shortfall = parseFloat(ethers.formatEther(totalNeeded - rawBalance));
-                showToast('Insufficient Balance', `Need ${shortfall.toFixed(6)} more ETH for swap + overhead`, 'error');
-                return;
-            }
-        } else {
-            // USDC: need sellAmt + bounty (if bounty is USDC)
-            if (bountyTokenAddr === CONFIG.tokens.USDC) {
-                const rawBalance = BigInt(Math.floor(balanceNum * 1e6));
-                const totalNeeded = sellAmtBig + bountyAmt;
-                if (totalNeeded > rawBalance) {
-                    const shortfall = Number(totalNeeded - rawBalance) / 1e6;
-                    showToast('Insufficient Balance', `Need ${shortfall.toFixed(4)} more USDC for swap + bounty`, 'error');
-                    return;
-                }
-            }
+        const sellPrice = getTokenPriceUsd(sellToken);
+        const buyPrice = getTokenPriceUsd(buyToken);
+        if (!sellPrice || !buyPrice || !state.priceSourcesValid) {
+            throw new Error('Live price unavailable - stopping split order');
         }
-
-        // When selling USDC, still need ETH for settlerReward + gasCompensation
-        if (state.sellToken.address !== ethers.ZeroAddress) {
-            const ethBalanceNum = parseFloat(state.buyToken.balance);
-            const ethBalanceWei = ethers.parseEther(ethBalanceNum.toFixed(18));
-            const gasCompWei = ethers.parseEther(swapParams.gasCompensation.toFixed(18));
-            const settlerWei = BigInt(swapParams.oracleParams.settlerReward);
-            const ethNeeded = gasCompWei + settlerWei;
-            if (ethNeeded > ethBalanceWei) {
-                const shortfall = parseFloat(ethers.formatEther(ethNeeded - ethBalanceWei));
-                showToast('Insufficient ETH', `Need ${shortfall.toFixed(6)} more ETH for settler reward + gas compensation`, 'error');
-                return;
-            }
+        if (!gasOracle.isReady()) {
+            await gasOracle.update(wallet.provider);
         }
+        await updateBalances('pending');
 
-        console.log('Creating swap with params:', swapParams);
-
-        const result = await openSwap.createSwap(swapParams);
-
-        showToast('Swap Created', `Transaction confirmed!`, 'success');
+        const sellAmount = ethers.formatUnits(amount, sellToken.decimals);
+        const buyAmount = (parseFloat(sellAmount) * sellPrice / buyPrice).toFixed(Math.min(6, buyToken.decimals));
+        const result = await submitSwap({ sellAmount, buyAmount, initialLiquidity: '' });
+        if (!result?.swapId) {
+            throw new Error('Swap was sent but its id could not be read - stopping split order');
+        }
+        return { swapId: result.swapId };
+    };
 
-        // Start tracking the swap if we got a swapId
-        if (result && result.swapId) {
-            // Format minOut for display
-            const minOutFormatted = formatTokenAmount(minOutWei.toString(), state.buyToken.decimals);
-            statusTracker.startTracking(result.swapId, result.txHash, {
-                sellAmount: state.sellAmount,
-                sellToken: state.sellToken.symbol,
-                buyToken: state.buyToken.symbol,
-                minReceived: minOutFormatted,
-                gasCompensation: swapParams.gasCompensation,
-                settlerReward: swapParams.oracleParams.settlerReward,
-                bountyParams: {
-                    ...swapParams.bountyParams,
-                    ethPrice: state.currentPrice
-                }
-            });
+    try {
+        setButtonLoading(elements.swapBtn, true);
+        const runPromise = splitOrders.run({ total, maxChunk, submitChunk });
+        setButtonLoading(elements.swapBtn, false);
+        updateSwapButton();
 
-            // Scroll to status tracker
-            setTimeout(() => {
-                const statusEl = document.getElementById('statusTracker');
-                if (statusEl) {
-                    statusEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
-                }
-            }, 100);
+        const summary = await runPromise;
+        if (summary.unmatched > 0) {
+            showToast('Split Order Stopped',
+                'A swap expired without a match - cancel it in My Orders to get the sell tokens back', 'warning');
+        } else if (summary.executed === summary.count) {
+            showToast('Split Order Complete', `All ${summary.count} swaps executed`, 'success');
+        } else {
+            showToast('Split Order Finished',
+                `${summary.executed} of ${summary.count} swaps executed - see the summary above the swap button`, 'info');
         }
 
         // Reset form
@@ -1813,18 +2238,176 @@ async function handleSwap() {
         state.buyAmount = '';
         elements.sellAmount.value = '';
         elements.buyAmount.value = '';
-        elements.initialLiquidityInput.value = ''; // Reset to auto-calculate
-        elements.settlerRewardInput.value = ''; // Reset to auto-calculate
         elements.swapDetails.classList.remove('visible');
-        updateSwapButton();
-        updateBalances('pending');
-
     } catch (error) {
-        console.error('Swap error:', error);
-        showToast('Swap Failed', error.message || 'Transaction failed', 'error');
+        console.error('Split order error:', error);
+        showToast('Split Order Failed', error.message || 'Split order failed', 'error');
     } finally {
         setButtonLoading(elements.swapBtn, false);
         updateSwapButton();
+        updateBalances('pending');
+    }
+}
+
+/**
+ * Render the auto-settle log for the current network, newest first
+ */
+function renderAutoSettleLog() {
+    const entries = autoSettle.getLog().filter(e => e.chainId === CONFIG.chainId);
+    if (entries.length === 0) {
+        elements.autoSettleLog.innerHTML = '<div class="auto-settle-log-empty">Nothing settled automatically yet</div>';
+        return;
+    }
+    elements.autoSettleLog.innerHTML = entries.map(entry => {
+        const time = new Date(entry.time).toLocaleTimeString();
+        const message = entry.txHash
+            ? `<a href="${CONFIG.blockExplorer}/tx/${escapeHtml(entry.txHash)}" target="_blank" rel="noopener">${escapeHtml(entry.message)}</a>`
+            : escapeHtml(entry.message);
+        return `
+            <div class="auto-settle-log-entry">
+                <span class="auto-settle-log-time">${escapeHtml(time)}</span>
+                <span class="auto-settle-log-status ${escapeHtml(entry.status)}">${escapeHtml(entry.status)}</span>
+                <span>#${escapeHtml(entry.swapId)} ${message}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Reflect an auto-settle attempt on the swap's settle button, toasting failures
+ */
+function handleAutoSettleEntry(entry) {
+    const tracker = entry.chainId === CONFIG.chainId ? trackers.get(entry.swapId) : null;
+    if (entry.status === LOG_STATUS.WAITING) return; // Retried shortly - the log says when
+    if (entry.status === LOG_STATUS.SENT) {
+        tracker?.setSettleButton('Auto-Settling...', true);
+    } else if (entry.status === LOG_STATUS.SETTLED) {
+        tracker?.setSettleButton('Settled', true);
+    } else {
+        tracker?.setSettleButton('Settle', false);
+        const title = entry.status === LOG_STATUS.FAILED ? 'Auto-Settle Failed' : 'Auto-Settle Skipped';
+        showToast(title, `Swap #${entry.swapId}: ${entry.message}`, entry.status === LOG_STATUS.FAILED ? 'error' : 'warning');
+    }
+}
+
+/**
+ * Render split order progress and, once done, the aggregate fill
+ */
+function renderSplitOrder({ event, order, summary }) {
+    const panel = elements.splitOrderPanel;
+    if (!order || !state.splitOrderPair) return;
+    const { sellToken, buyToken } = state.splitOrderPair;
+    const sellDecimals = getDisplayDecimals(sellToken);
+
+    panel.classList.add('visible');
+    elements.splitOrderStopBtn.style.display = order.done ? 'none' : '';
+    elements.splitOrderStopBtn.disabled = event === 'stopping';
+    elements.splitOrderStopBtn.textContent = event === 'stopping' ? 'Stopping...' : 'Stop';
+
+    const finished = order.chunks.filter(c => c.status !== CHUNK_STATUS.PENDING &&
+        c.status !== CHUNK_STATUS.SUBMITTING && c.status !== CHUNK_STATUS.TRACKING).length;
+    elements.splitOrderTitle.textContent = order.done
+        ? 'Split Order Finished'
+        : `Split Order - ${finished} / ${order.chunks.length} swaps done`;
+
+    const statusLabels = {
+        [CHUNK_STATUS.PENDING]: 'Queued',
+        [CHUNK_STATUS.SUBMITTING]: 'Submitting...',
+        [CHUNK_STATUS.TRACKING]: 'Waiting for execution...',
+        [CHUNK_STATUS.EXECUTED]: 'Executed',
+        [CHUNK_STATUS.REFUNDED]: 'Refunded',
+        [CHUNK_STATUS.CANCELLED]: 'Cancelled',
+        [CHUNK_STATUS.UNMATCHED]: 'Expired unmatched',
+        [CHUNK_STATUS.FAILED]: 'Failed',
+        [CHUNK_STATUS.SKIPPED]: 'Skipped'
+    };
+    elements.splitOrderChunks.innerHTML = order.chunks.map(chunk => {
+        const amount = formatNumber(parseFloat(ethers.formatUnits(chunk.amount, sellToken.decimals)), sellDecimals);
+        const swap = chunk.swapId ? ` (#${chunk.swapId})` : '';
+        const title = chunk.error ? ` title="${escapeHtml(chunk.error)}"` : '';
+        return `
+            <div class="split-order-chunk">
+                <span>${chunk.index + 1}. ${amount} ${escapeHtml(sellToken.symbol)}${swap}</span>
+                <span class="split-order-chunk-status ${chunk.status}"${title}>${statusLabels[chunk.status]}</span>
+            </div>
+        `;
+    }).join('');
+
+    if (!summary) {
+        elements.splitOrderSummary.innerHTML = '';
+        return;
+    }
+
+    const sold = parseFloat(ethers.formatUnits(summary.sold, sellToken.decimals));
+    const total = parseFloat(ethers.formatUnits(summary.total, sellToken.decimals));
+    const received = parseFloat(ethers.formatUnits(summary.received, buyToken.decimals));
+    const buyDecimals = getDisplayDecimals(buyToken);
+    const lines = [
+        `Filled: ${formatNumber(sold, sellDecimals)} / ${formatNumber(total, sellDecimals)} ${escapeHtml(sellToken.symbol)}`,
+        `Received: ${formatNumber(received, buyDecimals)} ${escapeHtml(buyToken.symbol)}`
+    ];
+    if (sold > 0) {
+        lines.push(`Average price: 1 ${escapeHtml(sellToken.symbol)} = ${formatNumber(received / sold, buyDecimals)} ${escapeHtml(buyToken.symbol)}`);
+    }
+    const sellPrice = getTokenPriceUsd(sellToken);
+    const costPct = sold > 0 && sellPrice ? ` (${(summary.costsUsd / (sold * sellPrice) * 100).toFixed(3)}%)` : '';
+    lines.push(`Total costs: ${formatUSD(summary.costsUsd)}${costPct}`);
+    if (summary.refunded > 0 || summary.failed > 0) {
+        lines.push(`${summary.refunded} refunded, ${summary.failed} failed or cancelled`);
+    }
+    if (summary.unmatched > 0) {
+        const expired = order.chunks.filter(c => c.status === CHUNK_STATUS.UNMATCHED).map(c => `#${c.swapId}`).join(', ');
+        lines.push(`Stopped: swap ${expired} expired unmatched - cancel it in My Orders to get the sell tokens back`);
+    }
+    elements.splitOrderSummary.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+}
+
+/**
+ * Input each swapParams field is entered through
+ */
+function getFindingInput(field) {
+    if (field === 'sellAmount') return elements.sellAmount;
+    if (field === 'expirationSeconds') return elements.expirationInput;
+    if (field.startsWith('slippageParams.')) return elements.slippageInput;
+    if (field === 'oracleParams.settlementTime') return elements.settlementTimeInput;
+    if (field === 'oracleParams.settlerReward') return elements.settlerRewardInput;
+    if (field === 'oracleParams.initialLiquidity') return elements.initialLiquidityInput;
+    if (field.startsWith('bountyParams.')) return elements.maxBountyInput;
+    return null;
+}
+
+/**
+ * Show validation findings above the swap button and flag offending inputs
+ */
+function renderSwapFindings(findings) {
+    document.querySelectorAll('.has-finding').forEach(el => el.classList.remove('has-finding'));
+
+    const container = elements.swapFindings;
+    if (!container) return;
+    if (findings.length === 0) {
+        container.innerHTML = '';
+        container.classList.remove('visible');
+        return;
+    }
+
+    container.innerHTML = findings.map(f => `
+        <div class="swap-finding ${f.severity}" data-code="${f.code}">
+            <div class="swap-finding-message">${escapeHtml(f.message)}</div>
+            ${f.fix ? `<div class="swap-finding-fix">${escapeHtml(f.fix)}</div>` : ''}
+        </div>
+    `).join('');
+    container.classList.add('visible');
+
+    for (const f of findings) {
+        const input = getFindingInput(f.field);
+        if (!input) continue;
+        const group = input.closest('.param-input-group') || input.closest('.token-input-container');
+        (group || input).classList.add('has-finding');
+    }
+
+    // Findings on advanced inputs are hidden while the panel is collapsed
+    if (elements.advancedPanel.querySelector('.has-finding') && !elements.advancedPanel.classList.contains('open')) {
+        toggleAdvanced();
     }
 }
 
@@ -1911,7 +2494,8 @@ function updateGasDebug() {
  * - Other gas: ~1M gas converted to USD, then as % of swap amount
  */
 async function updateCostBreakdown() {
-    if (!state.sellAmount || !state.currentPrice) {
+    const sellPrice = getTokenPriceUsd(state.sellToken);
+    if (!state.sellAmount || !state.currentPrice || !sellPrice) {
         state.estTotalCostPct = null;
         elements.estTotalCost.textContent = '-';
         elements.costFulfillmentFee.textContent = '-';
@@ -1925,12 +2509,7 @@ async function updateCostBreakdown() {
         if (isNaN(sellAmt) || sellAmt <= 0) return;
 
         // Calculate swap notional in USD
-        let swapNotionalUsd;
-        if (state.sellToken.address === ethers.ZeroAddress) {
-            swapNotionalUsd = sellAmt * state.currentPrice;
-        } else {
-            swapNotionalUsd = sellAmt; // USDC
-        }
+        const swapNotionalUsd = sellAmt * sellPrice;
 
         // 1. Fulfillment fee: max(minFee, min(maxFee, 25% of settlement-time volatility from Kraken))
         const minFeePct = CONFIG.defaults.startingFee / 100000; // e.g., 750 -> 0.0075%
@@ -1957,15 +2536,8 @@ async function updateCostBreakdown() {
         }
 
         // Use same Kraken volatility as fulfillment fee for consistency
-        const settlementTime = parseInt(elements.settlementTimeInput.value) || CONFIG.defaults.settlementTime;
-        let volSettlement;
-        if (volatility.lastKrakenVol !== null) {
-            volSettlement = volatility.lastKrakenVol / 6.5;
-        } else if (volatility.lastCandleVol !== null) {
-            volSettlement = (volatility.lastCandleVol / 1.5) / Math.sqrt(60 / settlementTime);
-        } else {
-            return;
-        }
+        if (volatility.lastKrakenVol === null && volatility.lastCandleVol === null) return;
+        const volSettlement = getVolSettlement();
         // Expected bounty payout ~65% of vol * initLiq (starts at 50%, grows over time)
         const minBountyPct = 0.0065 * initLiqRatio; // 0.0065% of initLiq
         const maxBountyPct = 0.2 * initLiqRatio; // 0.2% of initLiq (cap is 2x start, so max payout ~0.4%)
@@ -2085,8 +2657,47 @@ async function handleLoadOrder() {
 function renderOrdersList() {
     if (!elements.ordersList || state.userOrders.length === 0) return;
 
-    // Apply optimistic matched updates with bailout info
-    const ordersToRender = state.userOrders.map(order => {
+    const ordersToRender = getDisplayedOrders();
+    elements.ordersList.innerHTML = ordersToRender.map(order => renderOrderRow(order)).join('');
+    renderBulkActions(ordersToRender);
+
+    // Add action handlers
+    elements.ordersList.querySelectorAll('.order-action-btn').forEach(btn => {
+        const action = btn.dataset.action;
+        const swapId = btn.dataset.swapId;
+        const reportId = btn.dataset.reportId;
+
+        btn.addEventListener('click', async () => {
+            if (action === 'cancel') {
+                await handleCancel(swapId, btn);
+            } else if (action === 'bailout') {
+                await handleBailOut(swapId, btn);
+            } else if (action === 'settle') {
+                await handleSettle(reportId, btn);
+            } else if (action === 'track') {
+                await handleTrackOrder(swapId, btn);
+            }
+        });
+    });
+
+    // Bulk selection
+    elements.ordersList.querySelectorAll('.order-select').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                state.selectedOrders.add(checkbox.dataset.swapId);
+            } else {
+                state.selectedOrders.delete(checkbox.dataset.swapId);
+            }
+            renderBulkActions(getDisplayedOrders());
+        });
+    });
+}
+
+/**
+ * Orders with optimistic matched updates (and bailout info) applied
+ */
+function getDisplayedOrders() {
+    return state.userOrders.map(order => {
         if (state.matchedSwapIds.has(order.swapId)) {
             const bailoutDeadline = state.matchedSwapIds.get(order.swapId);
             const now = Math.floor(Date.now() / 1000);
@@ -2112,25 +2723,107 @@ function renderOrdersList() {
         }
         return order;
     });
+}
 
-    elements.ordersList.innerHTML = ordersToRender.map(order => renderOrderRow(order)).join('');
+/**
+ * Which row actions an order allows right now
+ * @returns {{canCancel: boolean, canBailOut: boolean, canSettle: boolean, reportId: string|undefined}}
+ */
+function getOrderActions(order) {
+    const canCancel = order.active && !order.matched && !order.cancelled && !order.finished;
 
-    // Add action handlers
-    elements.ordersList.querySelectorAll('.order-action-btn').forEach(btn => {
-        const action = btn.dataset.action;
-        const swapId = btn.dataset.swapId;
-        const reportId = btn.dataset.reportId;
+    // Use bailoutInfo if available, otherwise fall back to simple check
+    const bailoutInfo = order.bailoutInfo;
+    const canBailOut = bailoutInfo ? bailoutInfo.canBailOut : (order.matched && !order.finished && !order.cancelled);
+    const canSettle = bailoutInfo?.canSettle || false;
+    const reportId = bailoutInfo?.reportId?.toString() || order.reportId?.toString();
 
-        btn.addEventListener('click', async () => {
-            if (action === 'cancel') {
-                await handleCancel(swapId, btn);
-            } else if (action === 'bailout') {
-                await handleBailOut(swapId, btn);
-            } else if (action === 'settle') {
-                await handleSettle(reportId, btn);
+    return { canCancel, canBailOut, canSettle, reportId };
+}
+
+/**
+ * Selected orders a bulk action applies to
+ */
+function getBulkEligible(orders, action) {
+    return orders.filter(order => {
+        if (!state.selectedOrders.has(order.swapId)) return false;
+        const { canCancel, canBailOut, canSettle } = getOrderActions(order);
+        if (action === BULK_ACTION.CANCEL) return canCancel;
+        if (action === BULK_ACTION.BAILOUT) return canBailOut;
+        return canSettle;
+    });
+}
+
+/**
+ * Bulk bar: selection count, per-action eligible counts and the last run's failures
+ */
+function renderBulkActions(orders) {
+    const running = bulkActions.isRunning();
+    const selected = orders.filter(order => state.selectedOrders.has(order.swapId)).length;
+
+    elements.bulkActionsBar.classList.toggle('visible', orders.length > 0);
+    elements.bulkSelectAll.checked = selected > 0 && selected === orders.length;
+    elements.bulkSelectAll.indeterminate = selected > 0 && selected < orders.length;
+    elements.bulkSelectAll.disabled = running;
+    elements.bulkSelectedCount.textContent = `${selected} selected`;
+
+    const buttons = [
+        [elements.bulkCancelBtn, BULK_ACTION.CANCEL, 'Cancel unmatched'],
+        [elements.bulkBailOutBtn, BULK_ACTION.BAILOUT, 'Bail out eligible'],
+        [elements.bulkSettleBtn, BULK_ACTION.SETTLE, 'Settle ready']
+    ];
+    for (const [btn, action, label] of buttons) {
+        const count = getBulkEligible(orders, action).length;
+        btn.textContent = `${label} (${count})`;
+        btn.disabled = running || count === 0;
+    }
+    elements.bulkStopBtn.style.display = running ? '' : 'none';
+}
+
+/**
+ * Queue one transaction per eligible selected order and report failures
+ */
+async function handleBulkAction(action) {
+    if (!wallet.isConnected()) {
+        showToast('Error', 'Please connect your wallet first', 'error');
+        return;
+    }
+
+    const orders = getBulkEligible(getDisplayedOrders(), action);
+    if (orders.length === 0) return;
+
+    elements.bulkSummary.innerHTML = '';
+    elements.bulkStopBtn.disabled = false;
+    try {
+        const summary = await bulkActions.run(action, orders.map(order => {
+            const { reportId } = getOrderActions(order);
+            return { swapId: order.swapId, reportId };
+        }));
+
+        // Finished orders drop out of the selection; failed ones stay ticked for a retry
+        orders.forEach(order => {
+            if (bulkActions.getItem(order.swapId)?.status === ITEM_STATUS.DONE) {
+                state.selectedOrders.delete(order.swapId);
             }
         });
-    });
+
+        const skipped = summary.skipped > 0 ? `, ${summary.skipped} skipped` : '';
+        if (summary.failed.length === 0) {
+            showToast(`${summary.label} Complete`, `${summary.done} order${summary.done === 1 ? '' : 's'} done${skipped}`, 'success');
+        } else {
+            showToast(`${summary.label} Finished With Errors`, `${summary.done} done, ${summary.failed.length} failed${skipped}`, 'error');
+            elements.bulkSummary.innerHTML = summary.failed.map(({ swapId, error }) =>
+                `<div class="bulk-failure"><span>#${swapId}</span> ${escapeHtml(error)}</div>`
+            ).join('');
+        }
+    } catch (error) {
+        console.error('Bulk action error:', error);
+        showToast('Bulk Action Failed', error.message, 'error');
+    }
+
+    loadUserOrders();
+    updateBalances('pending');
+    setTimeout(() => updateBalances('pending'), 2000);
 }
 
 /**
@@ -2173,6 +2866,7 @@ function updateCountdowns() {
  */
 async function loadUserOrders() {
     if (!wallet.isConnected()) {
+        elements.bulkActionsBar.classList.remove('visible');
         elements.ordersList.innerHTML = `
             <div class="empty-state">
                 <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
@@ -2200,6 +2894,7 @@ async function loadUserOrders() {
         state.userOrders = orders;
 
         if (orders.length === 0) {
+            elements.bulkActionsBar.classList.remove('visible');
             elements.ordersList.innerHTML = `
                 <div class="empty-state">
                     <svg class="empty-state-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1">
@@ -2221,6 +2916,61 @@ async function loadUserOrders() {
     }
 }
 
+/**
+ * Export every swap of the connected address with realized costs
+ * @param {'csv'|'json'} format
+ */
+async function handleExportOrders(format, btn) {
+    if (!wallet.isConnected()) {
+        showToast('Error', 'Please connect your wallet first', 'error');
+        return;
+    }
+
+    const address = wallet.address;
+    const originalText = btn.textContent;
+    try {
+        setButtonLoading(btn, true);
+        const rows = await buildExportRows(address, (done, total) => {
+            btn.innerHTML = `<span class="spinner"></span>${done} / ${total}`;
+        });
+        if (rows.length === 0) {
+            showToast('Nothing to Export', 'No swaps found for this address', 'info');
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        const filename = `openswap-orders-${CONFIG.chainName.toLowerCase()}-${address.slice(0, 8).toLowerCase()}-${date}.${format}`;
+        if (format === 'csv') {
+            downloadFile(filename, toCsv(rows), 'text/csv');
+        } else {
+            downloadFile(filename, toJson(rows, address), 'application/json');
+        }
+        showToast('Export Ready', `${rows.length} swaps exported`, 'success');
+    } catch (error) {
+        console.error('Export error:', error);
+        showToast('Export Failed', error.message || 'Could not build export', 'error');
+    } finally {
+        setButtonLoading(btn, false, originalText);
+    }
+}
+
+/**
+ * Show how far the order history log scan has got while the list is still empty
+ */
+function renderHistoryProgress({ event, address, startBlock, scannedBlock, headBlock }) {
+    if (event !== 'progress' || state.currentView !== 'orders' || state.userOrders.length > 0) return;
+    if (address.toLowerCase() !== wallet.address?.toLowerCase()) return;
+    // Short scans and the final chunk (loadUserOrders renders the result) aren't worth showing
+    if (headBlock - startBlock < 1000 || scannedBlock >= headBlock) return;
+
+    const pct = Math.floor((scannedBlock - startBlock) / (headBlock - startBlock) * 100);
+    elements.ordersList.innerHTML = `
+        <div class="empty-state">
+            <h3>Loading order history</h3>
+            <p>Scanning openSwap logs for your swaps - ${pct}%</p>
+        </div>
+    `;
+}
 
 /**
  * Render order row
@@ -2246,11 +2996,8 @@ function renderOrderRow(order) {
         statusText = 'Cancelled';
     }
 
-    const canCancel = order.active && !order.matched && !order.cancelled && !order.finished;
-
-    // Use bailoutInfo if available, otherwise fall back to simple check
     const bailoutInfo = order.bailoutInfo;
-    const canBailOut = bailoutInfo ? bailoutInfo.canBailOut : (order.matched && !order.finished && !order.cancelled);
+    const { canCancel, canBailOut, canSettle, reportId } = getOrderActions(order);
 
     const sellIconHtml = sellToken.logo
         ? `<img src="${sellToken.logo}" alt="${sellToken.symbol}" onerror="this.style.display='none';this.nextElementSibling.style.display='flex'"><span style="display:none">${sellToken.symbol.slice(0, 2)}</span>`
@@ -2262,8 +3009,6 @@ function renderOrderRow(order) {
 
     // Build bailout/settle status display for matched orders
     let statusInfoHtml = '';
-    const canSettle = bailoutInfo?.canSettle || false;
-    const reportId = bailoutInfo?.reportId?.toString() || order.reportId?.toString();
 
     if (order.matched && !order.finished && bailoutInfo) {
         // Primary status line
@@ -2288,14 +3033,30 @@ function renderOrderRow(order) {
         }
     }
 
+    // Progress from the current / last bulk action
+    const bulkItem = bulkActions.getItem(order.swapId);
+    if (bulkItem) {
+        const bulkText = {
+            [ITEM_STATUS.QUEUED]: 'Queued',
+            [ITEM_STATUS.SENDING]: 'Sending...',
+            [ITEM_STATUS.DONE]: 'Done',
+            [ITEM_STATUS.FAILED]: `Failed: ${escapeHtml(bulkItem.error || 'unknown error')}`,
+            [ITEM_STATUS.SKIPPED]: 'Skipped'
+        }[bulkItem.status];
+        statusInfoHtml += `<div class="order-bulk-status ${bulkItem.status}">${bulkText}</div>`;
+    }
+
     return `
         <div class="order-row">
             <div class="order-pair">
+                <input type="checkbox" class="order-select" data-swap-id="${order.swapId}"
+                    ${state.selectedOrders.has(order.swapId) ? 'checked' : ''} ${bulkActions.isRunning() ? 'disabled' : ''}>
                 <div class="order-pair-icons">
                     <div class="token-icon">${sellIconHtml}</div>
                     <div class="token-icon">${buyIconHtml}</div>
                 </div>
                 <span>${sellToken.symbol}/${buyToken.symbol}</span>
+                <a class="order-link" href="${detailHash('swap', order.swapId)}" title="Swap details">#${order.swapId}</a>
             </div>
             <div class="order-amount">${sellAmount}</div>
             <div class="order-amount">${buyAmount}</div>
@@ -2307,6 +3068,7 @@ function renderOrderRow(order) {
                 ${canCancel ? `<button class="order-action-btn danger" data-action="cancel" data-swap-id="${order.swapId}">Cancel</button>` : ''}
                 ${canSettle ? `<button class="order-action-btn success" data-action="settle" data-report-id="${reportId}">Settle</button>` : ''}
                 ${canBailOut ? `<button class="order-action-btn" data-action="bailout" data-swap-id="${order.swapId}">Bail Out</button>` : ''}
+                ${!order.cancelled ? `<button class="order-action-btn" data-action="track" data-swap-id="${order.swapId}">Track</button>` : ''}
             </div>
         </div>
     `;
@@ -2326,6 +3088,273 @@ function formatCountdown(seconds) {
     return `${hours}h ${remainMins}m`;
 }
 
+/**
+ * Load and render the detail view for a swap, or for the swap behind an oracle report
+ * @param {'swap'|'report'} kind
+ * @param {string} id
+ */
+async function loadDetail(kind, id) {
+    const requestId = ++state.detailRequestId;
+    state.detailRoute = { kind, id };
+    elements.detailTitle.textContent = kind === 'report' ? `Report #${id}` : `Swap #${id}`;
+    elements.detailSubtitle.textContent = CONFIG.chainName;
+    elements.detailContent.innerHTML = `
+        <div class="empty-state">
+            <h3>Loading...</h3>
+            <p>Reading swap state from ${escapeHtml(CONFIG.chainName)}</p>
+        </div>
+    `;
+
+    try {
+        let swapId = id;
+        if (kind === 'report') {
+            swapId = (await openSwap.getSwapIdForReport(id)).toString();
+            if (swapId === '0') throw new Error(`Report #${id} was not created by openSwap`);
+        }
+
+        const swap = await openSwap.getSwap(swapId);
+        if (swap.sellAmt === BigInt(0)) throw new Error(`Swap #${swapId} does not exist`);
+
+        const [oracleParams, slippageParams, feeParams, reportStatus] = await Promise.all([
+            openSwap.getOracleParams(swapId),
+            openSwap.getSlippageParams(swapId),
+            openSwap.getFulfillmentFeeParams(swapId),
+            swap.reportId > BigInt(0) ? openSwap.getReportStatus(swap.reportId) : null
+        ]);
+        if (requestId !== state.detailRequestId) return;
+
+        elements.detailTitle.textContent = `Swap #${swapId}`;
+        elements.detailSubtitle.textContent = swap.reportId > BigInt(0)
+            ? `${CONFIG.chainName} · oracle report #${swap.reportId}`
+            : CONFIG.chainName;
+        elements.detailContent.innerHTML = renderSwapDetail(swapId, swap, oracleParams, slippageParams, feeParams, reportStatus);
+    } catch (error) {
+        if (requestId !== state.detailRequestId) return;
+        console.error('Detail load error:', error);
+        elements.detailContent.innerHTML = `
+            <div class="empty-state">
+                <h3>Could not load ${kind} #${escapeHtml(id)}</h3>
+                <p>${escapeHtml(error.shortMessage || error.message)}</p>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Detail view markup: every on-chain field, formatted with the raw value alongside
+ */
+function renderSwapDetail(swapId, swap, oracleParams, slippageParams, feeParams, reportStatus) {
+    const sellToken = getToken(swap.sellToken);
+    const buyToken = getToken(swap.buyToken);
+    const bountyToken = getToken(swap.bountyParams?.bountyToken);
+    const zero = '0x0000000000000000000000000000000000000000';
+
+    const raw = (value) => `<span class="detail-raw">${escapeHtml(value.toString())}</span>`;
+    const address = (addr) => (!addr || addr === zero)
+        ? '—'
+        : `<a href="${CONFIG.blockExplorer}/address/${addr}" target="_blank" rel="noopener">${addr}</a>`;
+    const amount = (value, token) => token
+        ? `${ethers.formatUnits(value, token.decimals)} ${escapeHtml(token.symbol)}${raw(value)}`
+        : `${value.toString()} (raw units)`;
+    const eth = (value) => `${ethers.formatEther(value)} ETH${raw(value)}`;
+    const time = (seconds) => Number(seconds) > 0
+        ? `${new Date(Number(seconds) * 1000).toLocaleString()}${raw(seconds)}`
+        : '—';
+    const fee = (value) => `${(Number(value) / 1e5).toFixed(5)}%${raw(value)}`; // 1e7 scale
+    const bool = (value) => value ? 'Yes' : 'No';
+
+    let status = 'Active (waiting for a matcher)';
+    if (swap.cancelled) status = 'Cancelled';
+    else if (swap.finished) status = 'Finished';
+    else if (swap.matched) status = 'Matched (oracle game running)';
+    else if (!swap.active) status = 'Inactive';
+
+    const section = (title, rows) => `
+        <div class="detail-section">
+            <div class="detail-section-title">${title}</div>
+            ${rows.map(([label, value]) => `
+                <div class="detail-row">
+                    <span class="detail-label">${label}</span>
+                    <span class="detail-value">${value}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    const reportLink = swap.reportId > BigInt(0)
+        ? `<a href="${detailHash('report', swap.reportId)}">#${swap.reportId}</a>`
+        : '—';
+
+    let html = section('Swap', [
+        ['Swap ID', `<a href="${detailHash('swap', swapId)}">#${swapId}</a>`],
+        ['Status', status],
+        ['Swapper', address(swap.swapper)],
+        ['Matcher', address(swap.matcher)],
+        ['Fee recipient', address(swap.feeRecipient)],
+        ['Sell token', `${escapeHtml(sellToken?.symbol || '???')} ${address(swap.sellToken)}`],
+        ['Buy token', `${escapeHtml(buyToken?.symbol || '???')} ${address(swap.buyToken)}`],
+        ['Sell amount', amount(swap.sellAmt, sellToken)],
+        ['Min out', amount(swap.minOut, buyToken)],
+        ['Min fulfill liquidity', amount(swap.minFulfillLiquidity, buyToken)],
+        ['Expiration', time(swap.expiration)],
+        ['Matched at', time(swap.start)],
+        ['Fulfillment fee', swap.matched ? fee(swap.fulfillmentFee) : '—'],
+        ['Gas compensation', eth(swap.gasCompensation)],
+        ['Report ID', reportLink],
+        ['Active / matched / finished / cancelled',
+            [swap.active, swap.matched, swap.finished, swap.cancelled].map(bool).join(' / ')]
+    ]);
+
+    if (swap.bountyParams) {
+        html += section('Bounty Params', [
+            ['Bounty token', `${escapeHtml(bountyToken?.symbol || '???')} ${address(swap.bountyParams.bountyToken)}`],
+            ['Total deposited', amount(swap.bountyParams.totalAmtDeposited, bountyToken)],
+            ['Start amount', amount(swap.bountyParams.bountyStartAmt, bountyToken)],
+            ['Round length', `${swap.bountyParams.roundLength.toString()}`],
+            ['Multiplier', `${swap.bountyParams.bountyMultiplier.toString()}`],
+            ['Max rounds', `${swap.bountyParams.maxRounds.toString()}`]
+        ]);
+    }
+
+    html += section('Oracle Params', [
+        ['Settler reward', eth(oracleParams.settlerReward)],
+        ['Initial liquidity', amount(oracleParams.initialLiquidity, sellToken)],
+        ['Escalation halt', amount(oracleParams.escalationHalt, sellToken)],
+        ['Settlement time', `${oracleParams.settlementTime}${oracleParams.timeType ? 's' : ' blocks'}`],
+        ['Latency bailout', `${oracleParams.latencyBailout}s`],
+        ['Max game time', `${oracleParams.maxGameTime}s`],
+        ['Blocks per second', `${oracleParams.blocksPerSecond}`],
+        ['Dispute delay', `${oracleParams.disputeDelay}`],
+        ['Swap fee', fee(oracleParams.swapFee)],
+        ['Protocol fee', fee(oracleParams.protocolFee)],
+        ['Multiplier', `${oracleParams.multiplier}`],
+        ['Time type', oracleParams.timeType ? 'Seconds' : 'Blocks']
+    ]);
+
+    html += section('Slippage Params', [
+        ['Price tolerated', `${slippageParams.priceTolerated.toString()}`],
+        ['Tolerance range', fee(slippageParams.toleranceRange)]
+    ]);
+
+    html += section('Fulfillment Fee Params', [
+        ['Fee increase starts', time(feeParams.startFulfillFeeIncrease)],
+        ['Starting fee', fee(feeParams.startingFee)],
+        ['Max fee', fee(feeParams.maxFee)],
+        ['Round length', `${feeParams.roundLength}s`],
+        ['Growth rate', `${feeParams.growthRate}`],
+        ['Max rounds', `${feeParams.maxRounds}`]
+    ]);
+
+    if (reportStatus) {
+        // Report token1 is the sell side (WETH for ETH), token2 the buy side
+        html += section(`Oracle Report ${reportLink}`, [
+            ['Current amount 1', amount(reportStatus.currentAmount1, sellToken)],
+            ['Current amount 2', amount(reportStatus.currentAmount2, buyToken)],
+            ['Price', `${reportStatus.price.toString()}`],
+            ['Current reporter', address(reportStatus.currentReporter)],
+            ['Initial reporter', address(reportStatus.initialReporter)],
+            ['Report time', time(reportStatus.reportTimestamp)],
+            ['Settlement time', time(reportStatus.settlementTimestamp)],
+            ['Last report opposite time', time(reportStatus.lastReportOppoTime)],
+            ['Dispute occurred', bool(reportStatus.disputeOccurred)],
+            ['Distributed', bool(reportStatus.isDistributed)]
+        ]);
+    } else {
+        html += section('Oracle Report', [['Report ID', 'Not matched yet - no oracle report']]);
+    }
+
+    return html;
+}
+
+/**
+ * Sync matcher stats from the logs and render the leaderboard
+ * (the first sync on a chain scans from the openSwap deployment block)
+ */
+async function loadMatcherStats() {
+    const chainId = CONFIG.chainId;
+    state.matchersChainId = chainId;
+    renderMatcherStats(matcherStats.getStats());
+    setButtonLoading(elements.matchersRefreshBtn, true);
+    try {
+        const stats = await matcherStats.sync();
+        if (state.matchersChainId === chainId) renderMatcherStats(stats);
+    } catch (error) {
+        console.error('Matcher stats error:', error);
+        showToast('Matcher Stats', error.shortMessage || error.message, 'error');
+    } finally {
+        setButtonLoading(elements.matchersRefreshBtn, false, 'Refresh');
+    }
+}
+
+/**
+ * Leaderboard markup: one row per matcher, most swaps matched first
+ */
+function renderMatcherStats({ matchers, swapCount, scannedBlock }) {
+    elements.matchersSubtitle.textContent = scannedBlock === null
+        ? `${CONFIG.chainName} · scanning openSwap logs...`
+        : `${CONFIG.chainName} · ${swapCount} swaps up to block ${scannedBlock}`;
+
+    if (matchers.length === 0) {
+        elements.matchersList.innerHTML = `
+            <div class="empty-state">
+                <h3>No matched swaps yet</h3>
+                <p>${scannedBlock === null ? 'Reading openSwap logs' : 'No swap in the scanned blocks has been matched'}</p>
+            </div>
+        `;
+        return;
+    }
+
+    const you = wallet.address?.toLowerCase();
+    const pct = (rate) => rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+    const latency = (seconds) => seconds === null ? '-' : seconds < 1 ? '<1s' : formatCountdown(Math.round(seconds));
+    const reasonLabels = {
+        [REFUND_REASON.PRICE]: 'Price out of range',
+        [REFUND_REASON.SLIPPAGE]: 'Slippage bailout',
+        [REFUND_REASON.IMPLIED_BLOCKS]: 'Implied blocks/sec bailout',
+        [REFUND_REASON.BAILOUT]: 'Swapper bailed out'
+    };
+
+    elements.matchersList.innerHTML = matchers.map(m => {
+        // Fees are in each swap's buy token - sum what can be priced, list the rest
+        let feesUsd = 0;
+        const unpriced = [];
+        for (const [address, raw] of Object.entries(m.feesByToken)) {
+            const token = getToken(address);
+            if (!token) {
+                unpriced.push(`${raw} units of ${shortenAddress(address)}`);
+                continue;
+            }
+            const amount = parseFloat(ethers.formatUnits(raw, token.decimals));
+            const price = getTokenPriceUsd(token);
+            if (price) {
+                feesUsd += amount * price;
+            } else {
+                unpriced.push(`${formatNumber(amount, 4)} ${token.symbol}`);
+            }
+        }
+        const reasons = Object.entries(m.refundReasons)
+            .filter(([, count]) => count > 0)
+            .map(([reason, count]) => `${reasonLabels[reason]}: ${count}`)
+            .join('\n');
+
+        return `
+            <div class="matcher-row">
+                <div class="matcher-address">
+                    <a href="${CONFIG.blockExplorer}/address/${m.matcher}" target="_blank" rel="noopener">${shortenAddress(m.matcher)}</a>
+                    ${m.matcher === you ? '<span class="matcher-you">You</span>' : ''}
+                </div>
+                <div>${m.matched}${m.pending ? `<div class="matcher-sub">${m.pending} open</div>` : ''}</div>
+                <div>${m.executed}</div>
+                <div title="${escapeHtml(reasons)}">${m.refunded}<div class="matcher-sub">${pct(m.refundRate)}</div></div>
+                <div>${m.bailouts}<div class="matcher-sub">${pct(m.bailoutRate)}</div></div>
+                <div>${latency(m.medianLatency)}<div class="matcher-sub">avg ${latency(m.avgLatency)}</div></div>
+                <div>${(m.avgFee / 1e5).toFixed(3)}%</div>
+                <div>${formatUSD(feesUsd)}${unpriced.length ? `<div class="matcher-sub" title="${escapeHtml(unpriced.join('\n'))}">+ ${unpriced.length} unpriced</div>` : ''}</div>
+            </div>
+        `;
+    }).join('');
+}
+
 /**
  * Handle cancel order
  */
@@ -2338,10 +3367,8 @@ async function handleCancel(swapId, btn) {
         // Refresh balances
         updateBalances('pending');
         setTimeout(() => updateBalances('pending'), 1000);
-        // Hide status tracker if this was the tracked swap
-        if (statusTracker.swapId === swapId) {
-            statusTracker.hide();
-        }
+        // Close the swap's status tracker if it has one
+        trackers.close(swapId);
     } catch (error) {
         console.error('Cancel error:', error);
         showToast('Cancel Failed', error.message || 'Transaction failed', 'error');
@@ -2359,7 +3386,7 @@ async function handleBailOut(swapId, btn) {
         await openSwap.bailOut(swapId);
         showToast('Bail Out Success', `Order #${swapId} bail out completed`, 'success');
         loadUserOrders();
-        statusTracker.hide();
+        trackers.close(swapId);
     } catch (error) {
         console.error('Bail out error:', error);
         showToast('Bail Out Failed', error.message || 'Transaction failed', 'error');
@@ -2368,6 +3395,58 @@ async function handleBailOut(swapId, btn) {
     }
 }
 
+/**
+ * Re-attach the status tracker to an existing swap: find its creation block,
+ * replay its logs from there to rebuild the timeline, then keep polling live
+ */
+async function handleTrackOrder(swapId, btn) {
+    try {
+        setButtonLoading(btn, true);
+        const [swap, oracleParams, created] = await Promise.all([
+            openSwap.getSwap(swapId),
+            openSwap.getOracleParams(swapId),
+            orderHistory.findCreation(swapId, wallet.address)
+        ]);
+        if (!created) {
+            throw new Error(`Could not find the transaction that created swap #${swapId}`);
+        }
+
+        const sellToken = getToken(swap.sellToken) || { symbol: 'UNK', decimals: 18 };
+        const buyToken = getToken(swap.buyToken) || { symbol: 'UNK', decimals: 18 };
+        const bounty = swap.bountyParams;
+
+        navigate('#/');
+        await trackers.track(Number(swapId), created.txHash, {
+            sellAmount: formatTokenAmount(swap.sellAmt.toString(), sellToken.decimals),
+            sellToken: sellToken.symbol,
+            buyToken: buyToken.symbol,
+            sellTokenAddress: swap.sellToken,
+            buyTokenAddress: swap.buyToken,
+            sellTokenPriceUsd: getTokenPriceUsd(sellToken),
+            swapper: swap.swapper,
+            minReceived: formatTokenAmount(swap.minOut.toString(), buyToken.decimals),
+            gasCompensation: ethers.formatEther(swap.gasCompensation),
+            settlerReward: oracleParams.settlerReward.toString(),
+            bountyParams: bounty ? {
+                totalAmtDeposited: bounty.totalAmtDeposited.toString(),
+                bountyStartAmt: bounty.bountyStartAmt.toString(),
+                roundLength: Number(bounty.roundLength),
+                bountyToken: bounty.bountyToken,
+                bountyMultiplier: Number(bounty.bountyMultiplier),
+                maxRounds: Number(bounty.maxRounds),
+                ethPrice: state.currentPrice
+            } : null
+        }, created.blockNumber, { replay: true });
+
+        trackers.scrollIntoView();
+    } catch (error) {
+        console.error('Track order error:', error);
+        showToast('Tracking Failed', error.message || 'Could not load swap', 'error');
+    } finally {
+        setButtonLoading(btn, false, 'Track');
+    }
+}
+
 /**
  * Handle settle report
  */
@@ -2387,5 +3466,195 @@ async function handleSettle(reportId, btn) {
     }
 }
 
+/**
+ * Open allowances modal
+ */
+function openAllowances() {
+    if (!wallet.isConnected()) {
+        showToast('Not Connected', 'Connect your wallet to manage allowances', 'error');
+        return;
+    }
+    renderAllowancePolicy();
+    renderAllowances();
+    openModal('allowancesModal');
+}
+
+/**
+ * Render approval policy radios, the permit toggle and per-token cap inputs
+ */
+function renderAllowancePolicy() {
+    const policy = allowances.getPolicy();
+    document.querySelectorAll('input[name="approvalPolicy"]').forEach(radio => {
+        radio.checked = radio.value === policy.mode;
+    });
+    elements.approvalPermit.checked = policy.permit;
+
+    const showCaps = policy.mode === APPROVAL_POLICY.CAP;
+    elements.allowanceCaps.classList.toggle('visible', showCaps);
+    if (!showCaps) return;
+
+    elements.allowanceCaps.innerHTML = allowances.getTokens().map(token => `
+        <div class="allowance-cap-row">
+            <input type="text" inputmode="decimal" placeholder="none" data-token="${token.address}"
+                value="${allowances.getCap(token.address) || ''}">
+            <span>${token.symbol}</span>
+        </div>
+    `).join('');
+
+    elements.allowanceCaps.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+            allowances.setCap(input.dataset.token, input.value.trim());
+        });
+    });
+}
+
+/**
+ * Render current allowances for every token/spender pair
+ */
+async function renderAllowances() {
+    elements.allowanceList.innerHTML = '<div class="allowance-empty">Loading...</div>';
+
+    const rows = await allowances.list();
+    if (rows.length === 0) {
+        elements.allowanceList.innerHTML = '<div class="allowance-empty">No ERC20 tokens configured</div>';
+        return;
+    }
+
+    elements.allowanceList.innerHTML = rows.map(({ token, spender, allowance }) => {
+        let amountText = '—';
+        let amountClass = '';
+        if (allowance !== null) {
+            // Anything above 2^255 is treated as an unlimited approval
+            if (allowance >= (1n << 255n)) {
+                amountText = 'Unlimited';
+                amountClass = 'unlimited';
+            } else {
+                amountText = formatTokenAmount(allowance.toString(), token.decimals);
+            }
+        }
+        const canRevoke = allowance !== null && allowance > 0n;
+        return `
+            <div class="allowance-row">
+                <span>${token.symbol}</span>
+                <span class="allowance-spender" title="${spender.address}">${spender.name} · ${shortenAddress(spender.address)}</span>
+                <span class="allowance-amount ${amountClass}">${amountText}</span>
+                <button class="btn btn-xs btn-danger" data-token="${token.address}" data-spender="${spender.address}"
+                    ${canRevoke ? '' : 'disabled'}>Revoke</button>
+            </div>
+        `;
+    }).join('');
+
+    elements.allowanceList.querySelectorAll('button[data-spender]').forEach(btn => {
+        btn.addEventListener('click', () => handleRevokeAllowance(btn.dataset.token, btn.dataset.spender, btn));
+    });
+}
+
+/**
+ * Revoke an allowance to zero
+ */
+async function handleRevokeAllowance(tokenAddress, spender, btn) {
+    try {
+        setButtonLoading(btn, true);
+        await allowances.revoke(tokenAddress, spender);
+        showToast('Allowance Revoked', `${shortenAddress(spender)} can no longer spend this token`, 'success');
+        renderAllowances();
+    } catch (error) {
+        console.error('Revoke error:', error);
+        showToast('Revoke Failed', error.message || 'Transaction failed', 'error');
+    } finally {
+        setButtonLoading(btn, false, 'Revoke');
+    }
+}
+
+/**
+ * Re-check the connected address's held funds (updates the header badge)
+ */
+async function refreshHeldFunds() {
+    if (!wallet.isConnected()) return;
+    try {
+        await tempHoldings.check(wallet.address, { isSelf: true });
+    } catch (error) {
+        console.error('Held funds check error:', error);
+    }
+}
+
+/**
+ * Show the header badge while anything is held for the connected address
+ */
+function updateHeldFundsBadge(holdings) {
+    elements.heldFundsCount.textContent = holdings.length.toString();
+    elements.heldFundsBadge.classList.toggle('visible', holdings.length > 0);
+}
+
+/**
+ * Open held funds modal for the connected address
+ */
+function openHeldFunds() {
+    if (!wallet.isConnected()) {
+        showToast('Not Connected', 'Connect your wallet to check held funds', 'error');
+        return;
+    }
+    elements.heldFundsHolder.value = wallet.address;
+    renderHeldFunds();
+    openModal('heldFundsModal');
+}
+
+/**
+ * Render non-zero tempHolding balances for the address in the holder input
+ */
+async function renderHeldFunds() {
+    const holder = elements.heldFundsHolder.value.trim();
+    if (!isValidAddress(holder)) {
+        elements.heldFundsList.innerHTML = '<div class="allowance-empty">Enter a valid address</div>';
+        return;
+    }
+
+    elements.heldFundsList.innerHTML = '<div class="allowance-empty">Loading...</div>';
+    const isSelf = holder.toLowerCase() === wallet.address?.toLowerCase();
+    const { holdings, errors } = await tempHoldings.check(holder, { isSelf });
+    if (elements.heldFundsHolder.value.trim() !== holder) return; // Holder changed while loading
+
+    const errorNote = errors > 0
+        ? `<div class="allowance-empty">${errors} balance${errors === 1 ? '' : 's'} could not be read - try Check again</div>`
+        : '';
+    if (holdings.length === 0) {
+        elements.heldFundsList.innerHTML = `<div class="allowance-empty">Nothing held for ${shortenAddress(holder)}</div>${errorNote}`;
+        return;
+    }
+
+    elements.heldFundsList.innerHTML = holdings.map(({ source, token, amount }) => `
+        <div class="allowance-row">
+            <span>${escapeHtml(token.symbol)}</span>
+            <span class="allowance-spender" title="${source.address}">${source.name} · ${shortenAddress(source.address)}</span>
+            <span class="allowance-amount">${formatTokenAmount(amount.toString(), token.decimals)}</span>
+            <button class="btn btn-xs btn-secondary" data-source="${source.name}" data-token="${token.address}">Withdraw</button>
+        </div>
+    `).join('') + errorNote;
+
+    elements.heldFundsList.querySelectorAll('button[data-source]').forEach(btn => {
+        btn.addEventListener('click', () => handleWithdrawHeld(btn.dataset.source, btn.dataset.token, holder, btn));
+    });
+}
+
+/**
+ * Withdraw a tempHolding balance (always paid to the holder)
+ */
+async function handleWithdrawHeld(sourceName, tokenAddress, holder, btn) {
+    try {
+        setButtonLoading(btn, true);
+        await tempHoldings.withdraw(sourceName, tokenAddress, holder);
+        showToast('Withdrawn', `Held funds sent to ${shortenAddress(holder)}`, 'success');
+        renderHeldFunds();
+        if (holder.toLowerCase() === wallet.address?.toLowerCase()) {
+            updateBalances('pending');
+        }
+    } catch (error) {
+        console.error('Withdraw held funds error:', error);
+        showToast('Withdraw Failed', error.message || 'Transaction failed', 'error');
+    } finally {
+        setButtonLoading(btn, false, 'Withdraw');
+    }
+}
+
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,262 @@
+/**
+ * Auto-Settle
+ * Opt-in: sends settle(reportId) for a tracked swap as soon as its tracker
+ * reports the settlement window has elapsed (the SETTLEABLE milestone). The
+ * report is re-read first so a third party's settle isn't raced, and the
+ * worst-case gas cost (gas limit × max fee + L1 fee) must fit under the
+ * user's cap. Every attempt is logged; the log is kept in localStorage.
+ */
+
+import { CONFIG } from './config.js';
+import { wallet } from './wallet.js';
+import { openSwap } from './contract.js';
+import { gasOracle } from './gasOracle.js';
+
+const SETTINGS_KEY = 'openswap_auto_settle';
+const LOG_KEY = 'openswap_auto_settle_log';
+const MAX_LOG_ENTRIES = 50;
+const DEFAULT_MAX_GAS_ETH = '0.0002';
+const GAS_LIMIT_BUFFER = 20n; // % added to the settle gas estimate (the swap callback runs inside settle)
+const MAX_ATTEMPTS = 5; // Tries per report while the chain catches up to the settlement time
+const TIMING_RETRY_DELAY = 2; // Seconds before retrying a settle that reverted with InvalidTiming
+
+export const LOG_STATUS = {
+    WAITING: 'waiting', // Settlement time not reached on chain yet - retried shortly
+    SKIPPED: 'skipped', // Not sent: already settled, over the gas cap, no wallet...
+    SENT: 'sent',       // settle() submitted
+    SETTLED: 'settled', // settle() mined
+    FAILED: 'failed'    // Estimate, submission or the transaction failed
+};
+
+class AutoSettler {
+    constructor() {
+        this.settings = this.loadSettings();
+        this.entries = this.loadLog();
+        this.inFlight = new Set(); // chainId:reportId being checked or settled
+        this.sent = new Set(); // chainId:reportId already settled from here
+        this.retries = new Map(); // chainId:reportId -> retry timer
+        this.listeners = new Set();
+    }
+
+    /**
+     * Load settings from localStorage: { enabled, maxGasEth }
+     */
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+            if (stored) {
+                return {
+                    enabled: stored.enabled === true,
+                    maxGasEth: this.isValidAmount(stored.maxGasEth) ? stored.maxGasEth : DEFAULT_MAX_GAS_ETH
+                };
+            }
+        } catch (e) {
+            console.log('[AutoSettle] Ignoring invalid stored settings');
+        }
+        return { enabled: false, maxGasEth: DEFAULT_MAX_GAS_ETH };
+    }
+
+    saveSettings() {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    isValidAmount(value) {
+        return typeof value === 'string' && /^\d*\.?\d+$/.test(value) && parseFloat(value) > 0;
+    }
+
+    setEnabled(enabled) {
+        this.settings.enabled = enabled;
+        this.saveSettings();
+        if (!enabled) {
+            this.retries.forEach(timer => clearTimeout(timer));
+            this.retries.clear();
+        }
+    }
+
+    /**
+     * Set the most a settle may cost in ETH (L2 gas limit × max fee + L1 fee)
+     */
+    setMaxGas(amount) {
+        const value = String(amount).trim();
+        if (!this.isValidAmount(value)) {
+            throw new Error('Enter a max gas amount in ETH, e.g. 0.0002');
+        }
+        this.settings.maxGasEth = value;
+        this.saveSettings();
+    }
+
+    loadLog() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(LOG_KEY) || '[]');
+            if (Array.isArray(stored)) return stored;
+        } catch (e) {
+            console.log('[AutoSettle] Ignoring invalid stored log');
+        }
+        return [];
+    }
+
+    /**
+     * Log entries, newest first
+     * @returns {Array<{time, chainId, swapId, reportId, status, message, txHash}>}
+     */
+    getLog() {
+        return this.entries;
+    }
+
+    clearLog() {
+        this.entries = [];
+        localStorage.removeItem(LOG_KEY);
+        this.emit('log', { entry: null });
+    }
+
+    log(swapId, reportId, status, message, txHash = null) {
+        const entry = {
+            time: Date.now(),
+            chainId: CONFIG.chainId,
+            swapId: String(swapId),
+            reportId: String(reportId),
+            status,
+            message,
+            txHash
+        };
+        console.log(`[AutoSettle] #${swapId} ${status}: ${message}`);
+        this.entries = [entry, ...this.entries].slice(0, MAX_LOG_ENTRIES);
+        try {
+            localStorage.setItem(LOG_KEY, JSON.stringify(this.entries));
+        } catch (e) {
+            console.log('[AutoSettle] Could not save log:', e.message);
+        }
+        this.emit('log', { entry });
+    }
+
+    /**
+     * Settle a tracked swap's report if auto-settle is on
+     * @param {object} swap
+     * @param {number|string} swap.swapId
+     * @param {bigint|string} swap.reportId
+     * @param {number} [attempt] - Retry count while waiting for the settlement time
+     */
+    async settle({ swapId, reportId }, attempt = 1) {
+        if (!this.settings.enabled || reportId === null || reportId === undefined) return;
+        const key = `${CONFIG.chainId}:${reportId}`;
+        if (this.inFlight.has(key) || this.sent.has(key)) return;
+        clearTimeout(this.retries.get(key));
+        this.retries.delete(key);
+
+        this.inFlight.add(key);
+        let retry = null;
+        try {
+            retry = await this.run(swapId, BigInt(reportId), key);
+        } catch (e) {
+            this.log(swapId, reportId, LOG_STATUS.FAILED, e.shortMessage || e.message || 'Unknown error');
+        } finally {
+            this.inFlight.delete(key);
+        }
+        if (retry) this.scheduleRetry(swapId, reportId, key, attempt, retry);
+    }
+
+    /**
+     * Try again once the chain should have reached the settlement time
+     */
+    scheduleRetry(swapId, reportId, key, attempt, { seconds, reason }) {
+        if (attempt >= MAX_ATTEMPTS) {
+            this.log(swapId, reportId, LOG_STATUS.SKIPPED, `${reason} - gave up after ${attempt} tries`);
+            return;
+        }
+        this.log(swapId, reportId, LOG_STATUS.WAITING, `${reason} - retrying in ${seconds}s`);
+        this.retries.set(key, setTimeout(() => {
+            this.retries.delete(key);
+            this.settle({ swapId, reportId }, attempt + 1);
+        }, seconds * 1000));
+    }
+
+    /**
+     * One settle attempt
+     * @returns {Promise<{seconds: number, reason: string}|null>} When to retry, if too early
+     */
+    async run(swapId, reportId, key) {
+        if (!wallet.signer) {
+            this.log(swapId, reportId, LOG_STATUS.SKIPPED, 'Wallet not connected');
+            return null;
+        }
+
+        // Someone else may have settled (or disputed) since the tracker last looked;
+        // the window is the swap's own oracle settlementTime
+        const [status, oracleParams, block] = await Promise.all([
+            openSwap.getReportStatus(reportId),
+            openSwap.getOracleParams(swapId),
+            wallet.provider.getBlock('latest')
+        ]);
+        if (status.isDistributed || status.settlementTimestamp > 0) {
+            this.log(swapId, reportId, LOG_STATUS.SKIPPED, 'Already settled by someone else');
+            return null;
+        }
+        if (status.reportTimestamp === 0) {
+            this.log(swapId, reportId, LOG_STATUS.SKIPPED, 'No report to settle yet');
+            return null;
+        }
+        const remaining = status.reportTimestamp + oracleParams.settlementTime - block.timestamp;
+        if (remaining > 0) {
+            return { seconds: remaining + 1, reason: `Settlement window still open (${remaining}s left)` };
+        }
+
+        // Worst case the wallet could be charged: gas limit × max fee + L1 data fee
+        let estimate;
+        try {
+            estimate = await openSwap.estimateSettleGas(reportId);
+        } catch (e) {
+            // The latest block can lag the one the settle would land in
+            if (e.revert?.name === 'InvalidTiming') return { seconds: TIMING_RETRY_DELAY, reason: e.message };
+            throw e;
+        }
+        const gasLimit = estimate + estimate * GAS_LIMIT_BUFFER / 100n;
+        const feeData = await wallet.provider.getFeeData();
+        const maxFeePerGas = feeData.maxFeePerGas ?? feeData.gasPrice;
+        const l1Fee = gasOracle.l1Fees.settle || 0n;
+        const maxCost = gasLimit * maxFeePerGas + l1Fee;
+        const cap = ethers.parseEther(this.settings.maxGasEth);
+        if (maxCost > cap) {
+            this.log(swapId, reportId, LOG_STATUS.SKIPPED,
+                `Gas up to ${ethers.formatEther(maxCost)} ETH is over the ${this.settings.maxGasEth} ETH cap`);
+            return null;
+        }
+
+        const overrides = { gasLimit };
+        if (feeData.maxFeePerGas !== null) {
+            overrides.maxFeePerGas = feeData.maxFeePerGas;
+            overrides.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas;
+        } else {
+            overrides.gasPrice = feeData.gasPrice;
+        }
+
+        const tx = await openSwap.sendSettle(reportId, overrides);
+        this.sent.add(key);
+        this.log(swapId, reportId, LOG_STATUS.SENT, `Sent with gas up to ${ethers.formatEther(maxCost)} ETH`, tx.hash);
+
+        const receipt = await tx.wait();
+        this.log(swapId, reportId, LOG_STATUS.SETTLED, `Settled, paid ${ethers.formatEther(receipt.fee)} ETH L2 gas`, tx.hash);
+        return null;
+    }
+
+    /**
+     * Add event listener
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const autoSettle = new AutoSettler();
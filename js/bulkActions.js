@@ -0,0 +1,169 @@
+/**
+ * Bulk Order Actions
+ * Queues cancel / bail out / settle transactions for several orders, sends
+ * them one at a time (each needs its own wallet confirmation) and records
+ * per-order progress and failure reasons.
+ */
+
+import { openSwap } from './contract.js';
+import { decodeRevert } from './revertDecoder.js';
+
+export const BULK_ACTION = {
+    CANCEL: 'cancel',
+    BAILOUT: 'bailout',
+    SETTLE: 'settle'
+};
+
+export const ITEM_STATUS = {
+    QUEUED: 'queued',
+    SENDING: 'sending',
+    DONE: 'done',
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+};
+
+const ACTION_LABELS = {
+    [BULK_ACTION.CANCEL]: 'Cancel',
+    [BULK_ACTION.BAILOUT]: 'Bail out',
+    [BULK_ACTION.SETTLE]: 'Settle'
+};
+
+/**
+ * Readable reason for a failed transaction
+ */
+function getFailureReason(error) {
+    if (error.code === 'ACTION_REJECTED') return 'Rejected in wallet';
+    const decoded = decodeRevert(error);
+    return decoded?.reason || error.shortMessage || error.message || 'Transaction failed';
+}
+
+class BulkActionQueue {
+    constructor() {
+        this.queue = null; // { action, items, done }
+        this.stopRequested = false;
+        this.listeners = new Set();
+    }
+
+    /**
+     * True while a queue is being worked
+     */
+    isRunning() {
+        return this.queue !== null && !this.queue.done;
+    }
+
+    /**
+     * Progress for an order in the current (or last) queue
+     * @returns {{action, status, error}|null}
+     */
+    getItem(swapId) {
+        return this.queue?.items.find(item => item.swapId === String(swapId)) || null;
+    }
+
+    /**
+     * Send one transaction per order, in order
+     * @param {string} action - BULK_ACTION value
+     * @param {Array<{swapId, reportId}>} orders - Orders already checked as eligible
+     * @returns {Promise<{action, label, done: number, failed: Array<{swapId, error}>, skipped: number}>}
+     */
+    async run(action, orders) {
+        if (this.isRunning()) throw new Error('Bulk action already running');
+        if (!ACTION_LABELS[action]) throw new Error(`Unknown bulk action: ${action}`);
+
+        this.stopRequested = false;
+        this.queue = {
+            action,
+            done: false,
+            items: orders.map(order => ({
+                swapId: String(order.swapId),
+                reportId: order.reportId ? String(order.reportId) : null,
+                action,
+                status: ITEM_STATUS.QUEUED,
+                error: null
+            }))
+        };
+        this.emit('started', { action, items: this.queue.items });
+
+        for (const item of this.queue.items) {
+            if (this.stopRequested) {
+                item.status = ITEM_STATUS.SKIPPED;
+                continue;
+            }
+
+            item.status = ITEM_STATUS.SENDING;
+            this.emit('progress', { item });
+            try {
+                await this.execute(item);
+                item.status = ITEM_STATUS.DONE;
+            } catch (e) {
+                console.error(`[BulkActions] ${ACTION_LABELS[action]} #${item.swapId} failed:`, e);
+                item.status = ITEM_STATUS.FAILED;
+                item.error = getFailureReason(e);
+            }
+            this.emit('progress', { item });
+        }
+
+        this.queue.done = true;
+        const summary = this.summarize();
+        this.emit('done', { summary });
+        return summary;
+    }
+
+    async execute(item) {
+        switch (item.action) {
+            case BULK_ACTION.CANCEL:
+                return await openSwap.cancelSwap(item.swapId);
+            case BULK_ACTION.BAILOUT:
+                return await openSwap.bailOut(item.swapId);
+            case BULK_ACTION.SETTLE:
+                if (!item.reportId) throw new Error('No oracle report for this swap');
+                return await openSwap.settleReport(item.reportId);
+        }
+    }
+
+    /**
+     * Skip the orders not yet sent (the one awaiting confirmation still completes)
+     */
+    stop() {
+        if (!this.isRunning()) return;
+        this.stopRequested = true;
+        this.emit('stopping');
+    }
+
+    /**
+     * Forget the last queue's per-order progress
+     */
+    clear() {
+        if (this.isRunning()) return;
+        this.queue = null;
+        this.emit('cleared');
+    }
+
+    summarize() {
+        const items = this.queue?.items || [];
+        return {
+            action: this.queue?.action,
+            label: ACTION_LABELS[this.queue?.action],
+            done: items.filter(i => i.status === ITEM_STATUS.DONE).length,
+            failed: items.filter(i => i.status === ITEM_STATUS.FAILED).map(i => ({ swapId: i.swapId, error: i.error })),
+            skipped: items.filter(i => i.status === ITEM_STATUS.SKIPPED).length
+        };
+    }
+
+    /**
+     * Add event listener
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const bulkActions = new BulkActionQueue();
@@ -8,31 +8,45 @@ export const NETWORKS = {
         chainId: 8453,
         chainName: 'Base',
         rpcUrl: 'https://mainnet.base.org',
+        wsUrl: null, // WebSocket RPC for eth_subscribe (the public endpoint is HTTP only)
         blockExplorer: 'https://basescan.org',
         contracts: {
             openSwap: '0x4Ac9F8b7A78b6Ae24D1bd07Aa59D1311695EbAf7',
             openOracle: '0x7caE6CCBd545Ad08f0Ea1105A978FEBBE2d1a752',
             oracleBounty: '0x0000000000000000000000000000000000000000',
+            multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11', // Canonical deployment
         },
+        // Block openSwap was deployed in - history and matcher scans start here.
+        // null until filled in: only the most recent blocks are scanned
+        deployBlock: null,
         weth: '0x4200000000000000000000000000000000000006',
         tokens: {
             USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
         },
+        // Uniswap-format token list (filtered by chainId on load)
+        tokenListUrl: 'https://static.optimism.io/optimism.tokenlist.json',
     },
     optimism: {
         chainId: 10,
         chainName: 'Optimism',
         rpcUrl: 'https://mainnet.optimism.io',
+        wsUrl: null, // WebSocket RPC for eth_subscribe (the public endpoint is HTTP only)
         blockExplorer: 'https://optimistic.etherscan.io',
         contracts: {
             openSwap: '0xd3E9288779132fD5fbcf5b2b5476399eC8154caC',
             openOracle: '0xf3CCE3274c32f1F344Ba48336D5EFF34dc6E145f',
             oracleBounty: '0x971F2EE9a8ccDc455fd39403788C75bfd58dA321',
+            multicall3: '0xcA11bde05977b3631167028862bE2a173976CA11', // Canonical deployment
         },
+        // Block openSwap was deployed in - history and matcher scans start here.
+        // null until filled in: only the most recent blocks are scanned
+        deployBlock: null,
         weth: '0x4200000000000000000000000000000000000006',
         tokens: {
             USDC: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85',
         },
+        // Uniswap-format token list (filtered by chainId on load)
+        tokenListUrl: 'https://static.optimism.io/optimism.tokenlist.json',
     },
 };
 
@@ -77,6 +91,23 @@ export function setNetwork(networkKey) {
 import OPENSWAP_ABI_JSON from '../openSwapABI.json' with { type: 'json' };
 export const OPENSWAP_ABI = OPENSWAP_ABI_JSON;
 
+// openOracle events (src/openOracle.sol)
+export const OPENORACLE_EVENTS_ABI = [
+    "event ReportInstanceCreated(uint256 indexed reportId, address indexed token1Address, address indexed token2Address, uint256 feePercentage, uint256 multiplier, uint256 exactToken1Report, uint256 ethFee, address creator, uint256 settlementTime, uint256 escalationHalt, uint256 disputeDelay, uint256 protocolFee, uint256 settlerReward, bool timeType, address callbackContract, bytes4 callbackSelector, bool trackDisputes, uint256 callbackGasLimit, bool keepFee, bytes32 stateHash, uint256 blockTimestamp)",
+    "event InitialReportSubmitted(uint256 indexed reportId, address reporter, uint256 amount1, uint256 amount2, address indexed token1Address, address indexed token2Address, uint256 swapFee, uint256 protocolFee, uint256 settlementTime, uint256 disputeDelay, uint256 escalationHalt, bool timeType, address callbackContract, bytes4 callbackSelector, bool trackDisputes, uint256 callbackGasLimit, bytes32 stateHash, uint256 blockTimestamp)",
+    "event ReportDisputed(uint256 indexed reportId, address disputer, uint256 newAmount1, uint256 newAmount2, address indexed token1Address, address indexed token2Address, uint256 swapFee, uint256 protocolFee, uint256 settlementTime, uint256 disputeDelay, uint256 escalationHalt, bool timeType, address callbackContract, bytes4 callbackSelector, bool trackDisputes, uint256 callbackGasLimit, bytes32 stateHash, uint256 blockTimestamp)",
+    "event ReportSettled(uint256 indexed reportId, uint256 price, uint256 settlementTimestamp, uint256 blockTimestamp)",
+    "event SettlementCallbackExecuted(uint256 indexed reportId, address indexed callbackContract, bool success)"
+];
+
+// oracleBounty events (src/oracleBountyERC20.sol)
+export const ORACLE_BOUNTY_EVENTS_ABI = [
+    "event BountyInitialReportSubmitted(uint256 indexed reportId, uint256 bountyPaid, address bountyToken)",
+    "event BountyRecalled(uint256 indexed reportId, uint256 amt, address bountyToken)",
+    "event BountyCreated(uint256 indexed reportId, uint256 totalAmtDeposited, uint256 bountyStartAmt, uint256 maxRounds, uint256 bountyMultiplier, uint256 blockTimestamp, bool timeType, uint256 startTime, uint256 roundLength, address bountyToken)",
+    "event BountyRetargeted(uint256 indexed newReportId, uint256 oldReportId, uint256 totalAmtDeposited, uint256 bountyStartAmt, uint256 maxRounds, uint256 bountyMultiplier, uint256 blockTimestamp, bool timeType, uint256 startTime, uint256 roundLength, address bountyToken)"
+];
+
 // ERC20 ABI
 export const ERC20_ABI = [
     "function name() view returns (string)",
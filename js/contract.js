@@ -5,7 +5,11 @@
 
 import { CONFIG, OPENSWAP_ABI, ERC20_ABI } from './config.js';
 import { wallet } from './wallet.js';
-import { parseTokenAmount } from './tokens.js';
+import { parseTokenAmount, getToken } from './tokens.js';
+import { allowances } from './allowances.js';
+import { decodeRevert } from './revertDecoder.js';
+import { orderHistory } from './orderHistory.js';
+import { multicall } from './multicall.js';
 
 // Oracle ABI for reportStatus and settle
 // ReportStatus struct order: currentAmount1, currentAmount2, price, currentReporter, reportTimestamp, settlementTimestamp, initialReporter, lastReportOppoTime, disputeOccurred, isDistributed
@@ -14,16 +18,106 @@ const ORACLE_ABI = [
     "function settle(uint256 reportId) returns (uint256 price, uint256 settlementTimestamp)"
 ];
 
+// oracleBounty keeps its own tempHolding for bounty refunds and payouts that failed to transfer
+const BOUNTY_ABI = [
+    "function tempHolding(address user, address token) view returns (uint256)",
+    "function getTempHolding(address tokenToGet, address _to)"
+];
+
+// wallet_sendCalls errors that mean the wallet can't batch these calls (EIP-1193 / EIP-5792)
+const BATCH_UNSUPPORTED_CODES = new Set([4200, 5700, 5710, 5740, 5750, 5760]);
+
+// Plain objects from ethers Results - shared by the single and batched reads
+
+function toSwap(s) {
+    return {
+        sellAmt: s.sellAmt,
+        minOut: s.minOut,
+        minFulfillLiquidity: s.minFulfillLiquidity,
+        expiration: s.expiration,
+        reportId: s.reportId,
+        gasCompensation: s.gasCompensation,
+        start: s.start,
+        fulfillmentFee: s.fulfillmentFee,
+        sellToken: s.sellToken,
+        buyToken: s.buyToken,
+        swapper: s.swapper,
+        matcher: s.matcher,
+        feeRecipient: s.feeRecipient,
+        active: s.active,
+        matched: s.matched,
+        finished: s.finished,
+        cancelled: s.cancelled,
+        bountyParams: s.bountyParams ? {
+            totalAmtDeposited: s.bountyParams.totalAmtDeposited,
+            bountyStartAmt: s.bountyParams.bountyStartAmt,
+            roundLength: s.bountyParams.roundLength,
+            bountyToken: s.bountyParams.bountyToken,
+            bountyMultiplier: s.bountyParams.bountyMultiplier,
+            maxRounds: s.bountyParams.maxRounds
+        } : null
+    };
+}
+
+function toOracleParams(o) {
+    return {
+        settlerReward: o.settlerReward,
+        initialLiquidity: o.initialLiquidity,
+        escalationHalt: o.escalationHalt,
+        settlementTime: Number(o.settlementTime),
+        latencyBailout: Number(o.latencyBailout),
+        maxGameTime: Number(o.maxGameTime),
+        blocksPerSecond: Number(o.blocksPerSecond),
+        disputeDelay: Number(o.disputeDelay),
+        swapFee: Number(o.swapFee),
+        protocolFee: Number(o.protocolFee),
+        multiplier: Number(o.multiplier),
+        timeType: o.timeType
+    };
+}
+
+function toReportStatus(rs) {
+    return {
+        currentAmount1: rs.currentAmount1,
+        currentAmount2: rs.currentAmount2,
+        price: rs.price,
+        currentReporter: rs.currentReporter,
+        reportTimestamp: Number(rs.reportTimestamp),
+        settlementTimestamp: Number(rs.settlementTimestamp),
+        initialReporter: rs.initialReporter,
+        lastReportOppoTime: Number(rs.lastReportOppoTime),
+        disputeOccurred: rs.disputeOccurred,
+        isDistributed: rs.isDistributed
+    };
+}
+
 class OpenSwapContract {
     constructor() {
         this.address = CONFIG.contracts.openSwap;
+        this.finalSwaps = new Map(); // `${chainId}:${swapId}` -> finished/cancelled swap data (immutable)
+        this.readProvider = null; // Public RPC provider for reads without a wallet
+        this.readProviderUrl = null;
+        this.ifaces = null; // Lazily built { openSwap, oracle, bounty } interfaces for batched reads
+    }
+
+    /**
+     * Provider for reads: the wallet's if connected, else the network's public RPC
+     * (so shared swap links open without a wallet)
+     */
+    getReadProvider() {
+        if (wallet.provider) return wallet.provider;
+        if (!this.readProvider || this.readProviderUrl !== CONFIG.rpcUrl) {
+            this.readProvider = new ethers.JsonRpcProvider(CONFIG.rpcUrl, CONFIG.chainId, { staticNetwork: true });
+            this.readProviderUrl = CONFIG.rpcUrl;
+        }
+        return this.readProvider;
     }
 
     /**
      * Get contract instance
      */
     getContract(useSigner = false) {
-        const providerOrSigner = useSigner ? wallet.signer : wallet.provider;
+        const providerOrSigner = useSigner ? wallet.signer : this.getReadProvider();
         if (!providerOrSigner) {
             throw new Error('Wallet not connected');
         }
@@ -43,80 +137,83 @@ class OpenSwapContract {
      */
     async getSwap(swapId) {
         const contract = this.getContract();
-        const s = await contract.getSwap(swapId);
+        return toSwap(await contract.getSwap(swapId));
+    }
 
-        // Convert ethers Result to plain object
+    /**
+     * Get oracle params for a swap
+     */
+    async getOracleParams(swapId) {
+        const contract = this.getContract();
+        return toOracleParams(await contract.getOracleParams(swapId));
+    }
+
+    /**
+     * Get slippage params for a swap
+     */
+    async getSlippageParams(swapId) {
+        const contract = this.getContract();
+        const p = await contract.getSlippageParams(swapId);
         return {
-            sellAmt: s.sellAmt,
-            minOut: s.minOut,
-            minFulfillLiquidity: s.minFulfillLiquidity,
-            expiration: s.expiration,
-            reportId: s.reportId,
-            gasCompensation: s.gasCompensation,
-            start: s.start,
-            fulfillmentFee: s.fulfillmentFee,
-            sellToken: s.sellToken,
-            buyToken: s.buyToken,
-            swapper: s.swapper,
-            matcher: s.matcher,
-            feeRecipient: s.feeRecipient,
-            active: s.active,
-            matched: s.matched,
-            finished: s.finished,
-            cancelled: s.cancelled,
-            bountyParams: s.bountyParams ? {
-                totalAmtDeposited: s.bountyParams.totalAmtDeposited,
-                bountyStartAmt: s.bountyParams.bountyStartAmt,
-                roundLength: s.bountyParams.roundLength,
-                bountyToken: s.bountyParams.bountyToken,
-                bountyMultiplier: s.bountyParams.bountyMultiplier,
-                maxRounds: s.bountyParams.maxRounds
-            } : null
+            priceTolerated: p.priceTolerated,
+            toleranceRange: Number(p.toleranceRange)
         };
     }
 
     /**
-     * Get oracle params for a swap
+     * Get fulfillment fee params for a swap
      */
-    async getOracleParams(swapId) {
+    async getFulfillmentFeeParams(swapId) {
         const contract = this.getContract();
-        const o = await contract.getOracleParams(swapId);
+        const f = await contract.getFulfillmentFeeParams(swapId);
         return {
-            settlerReward: o.settlerReward,
-            initialLiquidity: o.initialLiquidity,
-            escalationHalt: o.escalationHalt,
-            settlementTime: Number(o.settlementTime),
-            latencyBailout: Number(o.latencyBailout),
-            maxGameTime: Number(o.maxGameTime),
-            blocksPerSecond: Number(o.blocksPerSecond),
-            disputeDelay: Number(o.disputeDelay),
-            swapFee: Number(o.swapFee),
-            protocolFee: Number(o.protocolFee),
-            multiplier: Number(o.multiplier),
-            timeType: o.timeType
+            startFulfillFeeIncrease: Number(f.startFulfillFeeIncrease),
+            maxFee: Number(f.maxFee),
+            startingFee: Number(f.startingFee),
+            roundLength: Number(f.roundLength),
+            growthRate: Number(f.growthRate),
+            maxRounds: Number(f.maxRounds)
         };
     }
 
+    /**
+     * Swap that created an oracle report (0 if the report isn't an openSwap one)
+     */
+    async getSwapIdForReport(reportId) {
+        const contract = this.getContract();
+        return await contract.reportIdToSwapId(reportId);
+    }
+
     /**
      * Get oracle report status
      * Struct order: currentAmount1, currentAmount2, price, currentReporter, reportTimestamp, settlementTimestamp, initialReporter, lastReportOppoTime, disputeOccurred, isDistributed
      */
     async getReportStatus(reportId) {
-        if (!wallet.provider) throw new Error('Wallet not connected');
-        const oracleContract = new ethers.Contract(CONFIG.contracts.openOracle, ORACLE_ABI, wallet.provider);
-        const rs = await oracleContract.reportStatus(reportId);
-        return {
-            currentAmount1: rs.currentAmount1,
-            currentAmount2: rs.currentAmount2,
-            price: rs.price,
-            currentReporter: rs.currentReporter,
-            reportTimestamp: Number(rs.reportTimestamp),
-            settlementTimestamp: Number(rs.settlementTimestamp),
-            initialReporter: rs.initialReporter,
-            lastReportOppoTime: Number(rs.lastReportOppoTime),
-            disputeOccurred: rs.disputeOccurred,
-            isDistributed: rs.isDistributed
-        };
+        const oracleContract = new ethers.Contract(CONFIG.contracts.openOracle, ORACLE_ABI, this.getReadProvider());
+        return toReportStatus(await oracleContract.reportStatus(reportId));
+    }
+
+    /**
+     * Simulate a write (eth_call + estimateGas) with the exact args and msg.value
+     * Throws a SIMULATION_FAILED error with a decoded reason if it would revert.
+     * @returns {bigint} Gas limit to send with (estimate + 20%)
+     */
+    async simulate(contract, method, args, value = 0n) {
+        try {
+            await contract[method].staticCall(...args, { value });
+            const estimate = await contract[method].estimateGas(...args, { value });
+            return estimate + estimate / 5n;
+        } catch (error) {
+            const decoded = decodeRevert(error);
+            const reason = decoded ? decoded.reason : (error.shortMessage || error.message || 'unknown error');
+            console.log(`[Contract] ${method} simulation failed:`, decoded || error);
+
+            const simError = new Error(`Transaction would fail: ${reason}`);
+            simError.code = 'SIMULATION_FAILED';
+            simError.revert = decoded;
+            simError.cause = error;
+            throw simError;
+        }
     }
 
     /**
@@ -202,45 +299,37 @@ class OpenSwapContract {
             maxRounds: bountyParams.maxRounds
         };
 
+        // When the bounty is paid in the sell token, need to approve sellAmount + bountyTotal
+        const totalNeeded = bountyParams.bountyToken === sellToken
+            ? BigInt(sellAmount) + bountyTotalWei
+            : BigInt(sellAmount);
+        const decimals = getToken(sellToken)?.decimals ?? 18;
+        let permitCall = null;
+
         // Check and approve tokens if not ETH
         if (!isSellingEth) {
-            // When selling USDC with USDC bounty, need to approve sellAmount + bountyTotal
-            const totalNeeded = bountyParams.bountyToken === sellToken
-                ? BigInt(sellAmount) + bountyTotalWei
-                : BigInt(sellAmount);
-
             // Check balance before approval/swap
             const balance = await wallet.getBalance(sellToken);
             if (balance < totalNeeded) {
-                const decimals = sellToken === CONFIG.tokens.USDC ? 6 : 18;
                 const needed = Number(totalNeeded) / (10 ** decimals);
                 const have = Number(balance) / (10 ** decimals);
                 throw new Error(`Insufficient balance. Need ${needed.toFixed(6)} but only have ${have.toFixed(6)} (includes bounty)`);
             }
 
-            const allowance = await wallet.getAllowance(sellToken, this.address);
-            if (allowance < totalNeeded) {
-                // Approve 0.5% more to handle minor param changes
-                const approveAmount = totalNeeded + (totalNeeded / 200n);
-                console.log('Approving token...');
-                await wallet.approve(sellToken, this.address, approveAmount);
+            // Signed permit batched with the swap when enabled and supported, else
+            // an approve() whose amount follows the user's policy (exact / buffered / fixed cap)
+            permitCall = await allowances.preparePermit(sellToken, decimals, this.address, totalNeeded);
+            if (!permitCall) {
+                await allowances.ensureAllowance(sellToken, decimals, this.address, totalNeeded);
             }
         } else if (!isEthBounty) {
             // Selling ETH but using ERC20 bounty (edge case, but handle it)
-            const allowance = await wallet.getAllowance(bountyParams.bountyToken, this.address);
-            if (allowance < bountyTotalWei) {
-                // Approve 0.5% more to handle minor param changes
-                const approveAmount = bountyTotalWei + (bountyTotalWei / 200n);
-                console.log('Approving bounty token...');
-                await wallet.approve(bountyParams.bountyToken, this.address, approveAmount);
-            }
+            const bountyDecimals = getToken(bountyParams.bountyToken)?.decimals ?? 18;
+            await allowances.ensureAllowance(bountyParams.bountyToken, bountyDecimals, this.address, bountyTotalWei);
         }
 
-        // Get the swap ID before creating (nextSwapId will be our new swap's ID)
-        const swapId = await this.getNextSwapId();
-
-        // Execute swap (new param order: gasComp before oracleParams, bountyParams at end)
-        const tx = await contract.swap(
+        // New param order: gasComp before oracleParams, bountyParams at end
+        const swapArgs = [
             sellAmount,
             sellToken,
             minOut,
@@ -251,23 +340,92 @@ class OpenSwapContract {
             oracleParamsStruct,
             slippageParamsStruct,
             fulfillFeeParamsStruct,
-            bountyParamsStruct,
-            { value: msgValue }
-        );
+            bountyParamsStruct
+        ];
+
+        if (permitCall) {
+            try {
+                return await this.sendSwapBatch(contract, permitCall, swapArgs, msgValue);
+            } catch (error) {
+                if (!BATCH_UNSUPPORTED_CODES.has(error.code)) throw error;
+                // The unused permit expires on its own
+                console.log('[Contract] Wallet could not batch permit + swap, using approve():', error.message);
+                await allowances.ensureAllowance(sellToken, decimals, this.address, totalNeeded);
+            }
+        }
+
+        // Simulate first so reverts surface as readable reasons instead of wallet errors
+        const gasLimit = await this.simulate(contract, 'swap', swapArgs, msgValue);
+
+        // Execute swap
+        const tx = await contract.swap(...swapArgs, { value: msgValue, gasLimit });
 
         const receipt = await tx.wait();
 
+        // Our swap ID comes from the SwapCreated event (nextSwapId can race with other swappers)
+        const created = this.parseSwapCreated(receipt, contract.interface);
+        if (!created) {
+            throw new Error(`Swap transaction ${receipt.hash} confirmed but no SwapCreated event was found`);
+        }
+
         // Save swap ID to localStorage
-        this.saveSwapId(swapId, wallet.address);
+        this.saveSwapId(created.swapId, wallet.address);
 
-        // Return swapId and txHash for status tracking
+        // Return swapId, creation block and txHash for status tracking
         return {
             receipt,
-            swapId: Number(swapId),
+            swapId: Number(created.swapId),
+            blockNumber: receipt.blockNumber,
             txHash: receipt.hash
         };
     }
 
+    /**
+     * Send permit() + swap() as one wallet batch. swap() can't be simulated
+     * beforehand - it needs the allowance the permit grants in the same batch.
+     * @returns {Promise<object>} Same shape as createSwap()
+     */
+    async sendSwapBatch(contract, permitCall, swapArgs, msgValue) {
+        const receipts = await wallet.sendCalls([
+            permitCall,
+            { to: this.address, data: contract.interface.encodeFunctionData('swap', swapArgs), value: msgValue }
+        ]);
+
+        for (const receipt of receipts) {
+            const created = this.parseSwapCreated(receipt, contract.interface);
+            if (!created) continue;
+            this.saveSwapId(created.swapId, wallet.address);
+            return {
+                receipt,
+                swapId: Number(created.swapId),
+                blockNumber: parseInt(receipt.blockNumber, 16),
+                txHash: receipt.transactionHash
+            };
+        }
+        throw new Error('Swap batch confirmed but no SwapCreated event was found');
+    }
+
+    /**
+     * Find our SwapCreated event in a swap() receipt
+     * @returns {{swapId: bigint, swapper: string}|null}
+     */
+    parseSwapCreated(receipt, iface) {
+        const target = this.address.toLowerCase();
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== target) continue;
+            let parsed;
+            try {
+                parsed = iface.parseLog(log);
+            } catch (e) {
+                continue;
+            }
+            if (parsed?.name !== 'SwapCreated') continue;
+            if (wallet.address && parsed.args.swapper.toLowerCase() !== wallet.address.toLowerCase()) continue;
+            return { swapId: parsed.args.swapId, swapper: parsed.args.swapper };
+        }
+        return null;
+    }
+
     /**
      * Cancel a swap
      */
@@ -290,18 +448,39 @@ class OpenSwapContract {
      * Settle a report (triggers swap execution)
      */
     async settleReport(reportId) {
+        const tx = await this.sendSettle(reportId);
+        return await tx.wait();
+    }
+
+    /**
+     * Send settle(reportId) without waiting for it to be mined
+     * @param {object} [overrides] - e.g. gasLimit, maxFeePerGas, maxPriorityFeePerGas
+     * @returns {Promise<ethers.TransactionResponse>}
+     */
+    async sendSettle(reportId, overrides = {}) {
         if (!wallet.signer) throw new Error('Wallet not connected');
         const oracleContract = new ethers.Contract(CONFIG.contracts.openOracle, ORACLE_ABI, wallet.signer);
-        const tx = await oracleContract.settle(reportId);
-        return await tx.wait();
+        return await oracleContract.settle(reportId, overrides);
     }
 
     /**
-     * Get temp holdings for a user
+     * Gas estimate for settle(reportId) from the connected wallet
+     * Throws a SIMULATION_FAILED error with a decoded reason if it would revert
+     * (e.g. already settled, or InvalidTiming before the settlement time).
      */
-    async getTempHolding(userAddress, tokenAddress) {
-        const contract = this.getContract();
-        return await contract.tempHolding(userAddress, tokenAddress);
+    async estimateSettleGas(reportId) {
+        if (!wallet.signer) throw new Error('Wallet not connected');
+        const oracleContract = new ethers.Contract(CONFIG.contracts.openOracle, ORACLE_ABI, wallet.signer);
+        try {
+            return await oracleContract.settle.estimateGas(reportId);
+        } catch (error) {
+            const decoded = decodeRevert(error);
+            const simError = new Error(`Settle would fail: ${decoded ? decoded.reason : (error.shortMessage || error.message || 'unknown error')}`);
+            simError.code = 'SIMULATION_FAILED';
+            simError.revert = decoded;
+            simError.cause = error;
+            throw simError;
+        }
     }
 
     /**
@@ -313,6 +492,29 @@ class OpenSwapContract {
         return await tx.wait();
     }
 
+    /**
+     * tempHolding reads for several holder / token pairs in one batched request
+     * @param {Array<{source: 'openSwap'|'oracleBounty', holder: string, token: string}>} reads
+     * @returns {Promise<Array<bigint|null>>} Amount per read, null where the call failed
+     */
+    async readTempHoldings(reads) {
+        const ifaces = this.getInterfaces();
+        const results = await this.readBatch(reads.map(({ source, holder, token }) => source === 'oracleBounty'
+            ? { target: CONFIG.contracts.oracleBounty, iface: ifaces.bounty, method: 'tempHolding', args: [holder, token] }
+            : { target: this.address, iface: ifaces.openSwap, method: 'tempHolding', args: [holder, token] }));
+        return results.map(result => result ? result[0] : null);
+    }
+
+    /**
+     * Withdraw oracleBounty temp holdings
+     */
+    async withdrawBountyTempHolding(tokenAddress, toAddress) {
+        if (!wallet.signer) throw new Error('Wallet not connected');
+        const bountyContract = new ethers.Contract(CONFIG.contracts.oracleBounty, BOUNTY_ABI, wallet.signer);
+        const tx = await bountyContract.getTempHolding(tokenAddress, toAddress);
+        return await tx.wait();
+    }
+
     /**
      * Save swap ID to localStorage
      */
@@ -343,62 +545,134 @@ class OpenSwapContract {
         localStorage.setItem(key, JSON.stringify(filtered));
     }
 
+    getInterfaces() {
+        if (!this.ifaces) {
+            this.ifaces = {
+                openSwap: new ethers.Interface(OPENSWAP_ABI),
+                oracle: new ethers.Interface(ORACLE_ABI),
+                bounty: new ethers.Interface(BOUNTY_ABI)
+            };
+        }
+        return this.ifaces;
+    }
+
     /**
-     * Get all swaps for a user (from localStorage)
-     * Removes finished/cancelled swaps from storage
-     * For matched orders, includes bailout status info
+     * Get all swaps for a user, newest first - on-chain history (SwapCreated logs)
+     * plus IDs saved in this browser that the log scan may not have reached yet.
+     * Includes finished and cancelled swaps; for matched orders, includes bailout status info
      */
     async getUserSwaps(userAddress) {
-        const storedIds = this.getStoredSwapIds(userAddress);
+        let history;
+        try {
+            history = await orderHistory.sync(userAddress);
+        } catch (e) {
+            console.error('[Contract] Order history sync failed, using cached history:', e);
+            history = orderHistory.getSwaps(userAddress);
+        }
+
+        const ids = [...new Set([...history.map(s => s.swapId), ...this.getStoredSwapIds(userAddress)])]
+            .sort((a, b) => (BigInt(b) > BigInt(a) ? 1 : -1));
+        const cacheKey = (swapId) => `${CONFIG.chainId}:${swapId}`;
+        const ifaces = this.getInterfaces();
+
+        // One batched read for every swap that can still change...
+        const openIds = ids.filter(swapId => !this.finalSwaps.has(cacheKey(swapId)));
+        const swaps = await this.readBatch(openIds.map(swapId => ({
+            target: this.address, iface: ifaces.openSwap, method: 'getSwap', args: [swapId]
+        })));
+
+        // ...and one for the bailout data of the matched ones
+        const matchedIds = openIds.filter((swapId, i) => {
+            const swap = swaps[i] && toSwap(swaps[i][0]);
+            return swap && swap.matched && !swap.finished && swap.reportId > BigInt(0);
+        });
+        const bailoutReads = await this.readBatch(matchedIds.flatMap((swapId) => {
+            const swap = toSwap(swaps[openIds.indexOf(swapId)][0]);
+            return [
+                { target: this.address, iface: ifaces.openSwap, method: 'getOracleParams', args: [swapId] },
+                { target: CONFIG.contracts.openOracle, iface: ifaces.oracle, method: 'reportStatus', args: [swap.reportId] }
+            ];
+        }));
+
         const userSwaps = [];
+        for (const swapId of ids) {
+            if (this.finalSwaps.has(cacheKey(swapId))) {
+                userSwaps.push(this.finalSwaps.get(cacheKey(swapId)));
+                continue;
+            }
 
-        for (const swapId of storedIds) {
-            try {
-                const swap = await this.getSwap(swapId);
-                console.log(`[Contract] getSwap(${swapId}):`, { matched: swap.matched, finished: swap.finished, reportId: swap.reportId?.toString() });
-
-                // Skip invalid/non-existent swaps (contract returns zero values for non-existent IDs)
-                // Also skip swaps that don't belong to this user
-                if (swap.sellAmt === BigInt(0) || swap.swapper.toLowerCase() !== userAddress.toLowerCase()) {
-                    this.removeSwapId(swapId, userAddress);
-                    continue;
-                }
+            const raw = swaps[openIds.indexOf(swapId)];
+            if (!raw) {
+                console.error(`Error fetching swap ${swapId}`);
+                continue;
+            }
+            const swap = toSwap(raw[0]);
 
-                // Remove finished or cancelled swaps from localStorage
-                if (swap.finished || swap.cancelled) {
-                    this.removeSwapId(swapId, userAddress);
-                    continue;
-                }
+            // Skip invalid/non-existent swaps (contract returns zero values for non-existent IDs)
+            // Also skip swaps that don't belong to this user
+            if (swap.sellAmt === BigInt(0) || swap.swapper.toLowerCase() !== userAddress.toLowerCase()) {
+                this.removeSwapId(swapId, userAddress);
+                continue;
+            }
 
-                const swapData = {
-                    swapId: swapId.toString(),
-                    ...swap
-                };
-
-                // For matched orders, fetch bailout-related data
-                if (swap.matched && !swap.finished && swap.reportId > BigInt(0)) {
-                    try {
-                        const [oracleParams, reportStatus] = await Promise.all([
-                            this.getOracleParams(swapId),
-                            this.getReportStatus(swap.reportId)
-                        ]);
-                        swapData.oracleParams = oracleParams;
-                        swapData.reportStatus = reportStatus;
-                        swapData.bailoutInfo = this.calculateBailoutInfo(swap, oracleParams, reportStatus);
-                    } catch (e) {
-                        console.error(`Error fetching bailout info for swap ${swapId}:`, e);
-                    }
-                }
+            const swapData = {
+                swapId: swapId.toString(),
+                ...swap
+            };
 
+            // Finished and cancelled swaps never change again
+            if (swap.finished || swap.cancelled) {
+                this.finalSwaps.set(cacheKey(swapId), swapData);
                 userSwaps.push(swapData);
-            } catch (e) {
-                console.error(`Error fetching swap ${swapId}:`, e);
+                continue;
+            }
+
+            // For matched orders, attach bailout-related data
+            const matchedIndex = matchedIds.indexOf(swapId);
+            if (matchedIndex !== -1) {
+                const oracleParams = bailoutReads[matchedIndex * 2];
+                const reportStatus = bailoutReads[matchedIndex * 2 + 1];
+                if (oracleParams && reportStatus) {
+                    swapData.oracleParams = toOracleParams(oracleParams[0]);
+                    swapData.reportStatus = toReportStatus(reportStatus);
+                    swapData.bailoutInfo = this.calculateBailoutInfo(swap, swapData.oracleParams, swapData.reportStatus);
+                } else {
+                    console.error(`Error fetching bailout info for swap ${swapId}`);
+                }
             }
+
+            userSwaps.push(swapData);
         }
 
         return userSwaps;
     }
 
+    /**
+     * Batched view calls via Multicall3 / JSON-RPC batch
+     * @returns {Promise<Array<ethers.Result|null>>} Decoded result per call, null where the call failed
+     */
+    async readBatch(calls) {
+        if (calls.length === 0) return [];
+        try {
+            const results = await multicall.read(calls);
+            return results.map((r, i) => {
+                if (!r.success) console.error(`[Contract] ${calls[i].method}(${calls[i].args.join(', ')}) failed:`, r.error);
+                return r.success ? r.result : null;
+            });
+        } catch (e) {
+            // Neither Multicall3 nor a JSON-RPC batch went through - one call at a time
+            console.error('[Contract] Batched read failed, reading individually:', e);
+            const provider = this.getReadProvider();
+            return await Promise.all(calls.map(call =>
+                new ethers.Contract(call.target, call.iface, provider)[call.method](...call.args)
+                    .catch(err => {
+                        console.error(`[Contract] ${call.method}(${call.args.join(', ')}) failed:`, err);
+                        return null;
+                    })
+            ));
+        }
+    }
+
     /**
      * Calculate bailout availability and countdown info
      *
@@ -0,0 +1,329 @@
+/**
+ * Matcher Stats
+ * Per-matcher reliability across every openSwap swap: how many swaps each
+ * matcher took, how long after creation, the fulfillment fee they captured and
+ * how those swaps ended (executed, refunded at settlement, slippage / implied
+ * blocks-per-second bailout, or the swapper bailing out). Built from the
+ * contract's lifecycle logs; the scanned range and per-swap records are cached
+ * per chain in localStorage so later syncs only fetch new blocks.
+ */
+
+import { CONFIG, OPENSWAP_ABI } from './config.js';
+import { wallet } from './wallet.js';
+import { multicall } from './multicall.js';
+import { orderHistory } from './orderHistory.js';
+
+const LOG_CHUNK_SIZE = 10000; // Blocks per eth_getLogs request
+const MIN_LOG_CHUNK_SIZE = 500; // Smallest range tried when the RPC rejects a request
+const REORG_MARGIN = 50; // Blocks re-scanned on every sync in case of reorgs
+const TX_BATCH_SIZE = 100; // Transactions per JSON-RPC batch when classifying refunds
+const DEFAULT_BLOCK_TIME = 2; // Seconds per block on OP / Base, until two swaps give a better estimate
+const CACHE_VERSION = 1; // Bump when the cached record shape changes (forces a rescan)
+
+const EVENTS = ['SwapCreated', 'SwapMatched', 'SwapExecuted', 'SwapRefunded', 'SlippageBailout', 'ImpliedBlocksPerSecondBailout'];
+
+// How a refunded swap ended
+export const REFUND_REASON = {
+    PRICE: 'price', // Settled price outside minOut / minFulfillLiquidity
+    SLIPPAGE: 'slippage', // SlippageBailout at settlement
+    IMPLIED_BLOCKS: 'impliedBlocks', // ImpliedBlocksPerSecondBailout at settlement
+    BAILOUT: 'bailOut' // Swapper called bailOut() (no report in time, game too long)
+};
+
+const toHex = (n) => '0x' + n.toString(16);
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+class MatcherStats {
+    constructor() {
+        this.iface = null;
+        this.syncing = null; // In-flight sync promise
+        this.listeners = new Set();
+    }
+
+    getInterface() {
+        if (!this.iface) {
+            this.iface = new ethers.Interface(OPENSWAP_ABI);
+        }
+        return this.iface;
+    }
+
+    getCacheKey() {
+        return `openswap_matchers_${CONFIG.chainId}`;
+    }
+
+    /**
+     * Load cached scan state; reset if it was made against another contract
+     */
+    loadCache() {
+        const contract = CONFIG.contracts.openSwap.toLowerCase();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.getCacheKey()) || 'null');
+            if (stored && stored.version === CACHE_VERSION && stored.contract === contract && stored.swaps) {
+                return stored;
+            }
+        } catch (e) {
+            console.log('[Matchers] Ignoring invalid cached stats');
+        }
+        return { version: CACHE_VERSION, contract, startBlock: null, lastBlock: null, swaps: {} };
+    }
+
+    saveCache(cache) {
+        localStorage.setItem(this.getCacheKey(), JSON.stringify(cache));
+    }
+
+    /**
+     * Scan new blocks (concurrent calls share one scan)
+     * @returns {Promise<object>} Stats (see getStats())
+     */
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.scan().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async scan() {
+        const cache = this.loadCache();
+        const head = parseInt(await wallet.rpcCall('eth_blockNumber'), 16);
+
+        // Same start block as order history - rescan caches that began after it
+        const start = orderHistory.getStartBlock(head);
+        let from;
+        if (cache.lastBlock === null || cache.startBlock > start) {
+            cache.startBlock = start;
+            from = start;
+        } else {
+            from = Math.max(cache.startBlock, cache.lastBlock - REORG_MARGIN + 1);
+        }
+
+        const iface = this.getInterface();
+        const topics = [EVENTS.map(name => iface.getEvent(name).topicHash)];
+
+        let chunkSize = LOG_CHUNK_SIZE;
+        while (from <= head) {
+            const to = Math.min(from + chunkSize - 1, head);
+            let logs;
+            try {
+                logs = await wallet.rpcCall('eth_getLogs', [{
+                    address: CONFIG.contracts.openSwap,
+                    fromBlock: toHex(from),
+                    toBlock: toHex(to),
+                    topics
+                }]);
+            } catch (e) {
+                // Most public RPCs cap the block range or result size - retry smaller
+                if (chunkSize > MIN_LOG_CHUNK_SIZE) {
+                    chunkSize = Math.max(MIN_LOG_CHUNK_SIZE, Math.floor(chunkSize / 2));
+                    continue;
+                }
+                throw e;
+            }
+
+            // Bailout events come before SwapRefunded in the same transaction
+            logs.sort((a, b) => parseInt(a.blockNumber, 16) - parseInt(b.blockNumber, 16) ||
+                parseInt(a.logIndex, 16) - parseInt(b.logIndex, 16));
+            for (const log of logs) {
+                this.addLog(cache, log);
+            }
+            await this.classifyRefunds(cache);
+
+            cache.lastBlock = to;
+            this.saveCache(cache);
+            this.emit('progress', { startBlock: cache.startBlock, scannedBlock: to, headBlock: head });
+            from = to + 1;
+        }
+
+        console.log(`[Matchers] ${Object.keys(cache.swaps).length} swaps up to block ${cache.lastBlock}`);
+        return this.getStats();
+    }
+
+    /**
+     * Decode a lifecycle log into the per-swap record
+     */
+    addLog(cache, log) {
+        let parsed;
+        try {
+            parsed = this.getInterface().parseLog(log);
+        } catch (e) {
+            console.log('[Matchers] Skipping undecodable log:', log.transactionHash);
+            return;
+        }
+        if (!parsed) return;
+
+        const { args } = parsed;
+        const swapId = args.swapId.toString();
+        const blockNumber = parseInt(log.blockNumber, 16);
+
+        if (parsed.name === 'SwapCreated') {
+            cache.swaps[swapId] = {
+                ...cache.swaps[swapId],
+                createdBlock: blockNumber,
+                createdAt: Number(args.blockTimestamp),
+                buyToken: args.buyToken
+            };
+            return;
+        }
+
+        const swap = cache.swaps[swapId];
+        if (!swap) return; // Created before the scanned range
+
+        if (parsed.name === 'SwapMatched') {
+            swap.matcher = args.matcher.toLowerCase();
+            swap.matchedBlock = blockNumber;
+            swap.fulfillmentFee = Number(args.fulfillmentFee);
+        } else if (parsed.name === 'SwapExecuted') {
+            swap.executedBlock = blockNumber;
+            swap.buyTokenAmt = args.buyTokenAmt.toString();
+        } else if (parsed.name === 'SlippageBailout') {
+            swap.refundReason = REFUND_REASON.SLIPPAGE;
+        } else if (parsed.name === 'ImpliedBlocksPerSecondBailout') {
+            // Both checks can fail in one settlement - slippage (emitted first) wins
+            swap.refundReason = swap.refundReason || REFUND_REASON.IMPLIED_BLOCKS;
+        } else if (parsed.name === 'SwapRefunded') {
+            swap.refundedBlock = blockNumber;
+            swap.refundTxHash = log.transactionHash;
+        }
+    }
+
+    /**
+     * Refunds without a bailout event were either a bailOut() call or a settled
+     * price out of range - tell them apart by the refund transaction's selector
+     * (a bailOut() sent through another contract counts as a price refund)
+     */
+    async classifyRefunds(cache) {
+        const unclassified = Object.values(cache.swaps).filter(s => s.refundedBlock && !s.refundReason);
+        if (unclassified.length === 0) return;
+
+        const selector = this.getInterface().getFunction('bailOut').selector;
+        for (let i = 0; i < unclassified.length; i += TX_BATCH_SIZE) {
+            const batch = unclassified.slice(i, i + TX_BATCH_SIZE);
+            try {
+                const txs = await multicall.rpc(batch.map(s => ({
+                    method: 'eth_getTransactionByHash',
+                    params: [s.refundTxHash]
+                })));
+                txs.forEach((response, j) => {
+                    if (response.error || !response.result) return; // Retried on the next chunk / sync
+                    const input = response.result.input || '';
+                    batch[j].refundReason = input.slice(0, 10).toLowerCase() === selector
+                        ? REFUND_REASON.BAILOUT
+                        : REFUND_REASON.PRICE;
+                });
+            } catch (e) {
+                console.log('[Matchers] Could not classify refunds yet:', e.message);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Seconds per block from the earliest and latest created swaps
+     */
+    getBlockTime(swaps) {
+        let first = null;
+        let last = null;
+        for (const s of swaps) {
+            if (s.createdBlock === undefined) continue;
+            if (!first || s.createdBlock < first.createdBlock) first = s;
+            if (!last || s.createdBlock > last.createdBlock) last = s;
+        }
+        if (!first || last.createdBlock === first.createdBlock) return DEFAULT_BLOCK_TIME;
+        return (last.createdAt - first.createdAt) / (last.createdBlock - first.createdBlock);
+    }
+
+    /**
+     * Per-matcher stats from the cache (no RPC calls), most swaps matched first
+     * Match latency is estimated from block numbers. Fees captured are in buy-token
+     * base units (decimal strings) keyed by lowercase token address.
+     * @returns {{matchers: Array<{matcher, matched, executed, refunded, pending,
+     *          refundReasons: object, bailouts, refundRate, bailoutRate,
+     *          medianLatency, avgLatency, avgFee, feesByToken: object}>,
+     *          swapCount, scannedBlock}}
+     */
+    getStats() {
+        const cache = this.loadCache();
+        const swaps = Object.values(cache.swaps);
+        const blockTime = this.getBlockTime(swaps);
+        const byMatcher = new Map();
+
+        for (const swap of swaps) {
+            if (!swap.matcher) continue;
+            if (!byMatcher.has(swap.matcher)) {
+                byMatcher.set(swap.matcher, {
+                    matcher: swap.matcher,
+                    matched: 0,
+                    executed: 0,
+                    refunded: 0,
+                    pending: 0,
+                    refundReasons: Object.fromEntries(Object.values(REFUND_REASON).map(r => [r, 0])),
+                    latencies: [],
+                    fees: [],
+                    feesByToken: {}
+                });
+            }
+            const entry = byMatcher.get(swap.matcher);
+            entry.matched++;
+            entry.latencies.push((swap.matchedBlock - swap.createdBlock) * blockTime);
+            entry.fees.push(swap.fulfillmentFee);
+
+            if (swap.executedBlock) {
+                entry.executed++;
+                // buyTokenAmt is net of the fee: net = gross * (1e7 - fee) / 1e7
+                const net = BigInt(swap.buyTokenAmt);
+                const fee = BigInt(swap.fulfillmentFee);
+                const captured = net * fee / (10000000n - fee);
+                const token = swap.buyToken.toLowerCase();
+                entry.feesByToken[token] = (BigInt(entry.feesByToken[token] || 0) + captured).toString();
+            } else if (swap.refundedBlock) {
+                entry.refunded++;
+                if (swap.refundReason) entry.refundReasons[swap.refundReason]++;
+            } else {
+                entry.pending++;
+            }
+        }
+
+        const matchers = [...byMatcher.values()].map(({ latencies, fees, ...entry }) => {
+            const finished = entry.executed + entry.refunded;
+            const bailouts = entry.refundReasons[REFUND_REASON.SLIPPAGE] +
+                entry.refundReasons[REFUND_REASON.IMPLIED_BLOCKS] +
+                entry.refundReasons[REFUND_REASON.BAILOUT];
+            return {
+                ...entry,
+                bailouts,
+                refundRate: finished ? entry.refunded / finished : null,
+                bailoutRate: finished ? bailouts / finished : null,
+                medianLatency: median(latencies),
+                avgLatency: latencies.reduce((sum, l) => sum + l, 0) / latencies.length,
+                avgFee: fees.reduce((sum, f) => sum + f, 0) / fees.length
+            };
+        }).sort((a, b) => b.matched - a.matched || a.matcher.localeCompare(b.matcher));
+
+        return { matchers, swapCount: swaps.length, scannedBlock: cache.lastBlock };
+    }
+
+    /**
+     * Add event listener
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const matcherStats = new MatcherStats();
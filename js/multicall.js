@@ -0,0 +1,171 @@
+/**
+ * Multicall
+ * Read aggregation: batches view calls into one eth_call to Multicall3's
+ * aggregate3 (canonical address on OP and Base), falling back to a JSON-RPC
+ * batch of plain eth_calls when Multicall3 can't be used. Calls go straight
+ * to the network's RPC, like the wallet's direct balance reads.
+ */
+
+import { CONFIG } from './config.js';
+
+const MULTICALL3_ABI = [
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+
+const MAX_CALLS_PER_REQUEST = 100; // aggregate3 calls per eth_call / requests per JSON-RPC batch
+
+/**
+ * @typedef {object} ReadCall
+ * @property {string} target - Contract address
+ * @property {ethers.Interface} iface - Interface with `method`
+ * @property {string} method - View function name
+ * @property {Array} [args]
+ * @property {{method: string, params: Array, decode: Function}} [rpc] - Plain JSON-RPC request
+ *           used instead of eth_call on the fallback path (e.g. eth_getBalance)
+ */
+
+class Multicall {
+    constructor() {
+        this.iface = null;
+        this.unavailable = new Set(); // chainIds where Multicall3 has no code
+    }
+
+    getInterface() {
+        if (!this.iface) {
+            this.iface = new ethers.Interface(MULTICALL3_ABI);
+        }
+        return this.iface;
+    }
+
+    /**
+     * Read call for a native ETH balance (Multicall3.getEthBalance, eth_getBalance on fallback)
+     * @returns {ReadCall}
+     */
+    ethBalance(address) {
+        return {
+            target: CONFIG.contracts.multicall3,
+            iface: this.getInterface(),
+            method: 'getEthBalance',
+            args: [address],
+            rpc: { method: 'eth_getBalance', params: [address], decode: (result) => [BigInt(result)] }
+        };
+    }
+
+    /**
+     * Run view calls in as few requests as possible
+     * @param {ReadCall[]} calls
+     * @param {object} [options]
+     * @param {string} [options.blockTag='latest']
+     * @returns {Promise<Array<{success: boolean, result: ethers.Result|null, error: Error|null}>>}
+     *          One entry per call, in order; a failed call doesn't fail the others
+     */
+    async read(calls, { blockTag = 'latest' } = {}) {
+        if (calls.length === 0) return [];
+
+        const results = [];
+        for (let i = 0; i < calls.length; i += MAX_CALLS_PER_REQUEST) {
+            const chunk = calls.slice(i, i + MAX_CALLS_PER_REQUEST);
+            results.push(...await this.readChunk(chunk, blockTag));
+        }
+        return results;
+    }
+
+    async readChunk(calls, blockTag) {
+        const chainId = CONFIG.chainId;
+        if (CONFIG.contracts.multicall3 && !this.unavailable.has(chainId)) {
+            try {
+                return await this.aggregate(calls, blockTag);
+            } catch (e) {
+                console.log('[Multicall] aggregate3 failed, falling back to JSON-RPC batch:', e.message);
+            }
+        }
+        return await this.batch(calls, blockTag);
+    }
+
+    /**
+     * One eth_call to Multicall3.aggregate3 (allowFailure on every call)
+     */
+    async aggregate(calls, blockTag) {
+        const iface = this.getInterface();
+        const data = iface.encodeFunctionData('aggregate3', [calls.map(call => ({
+            target: call.target,
+            allowFailure: true,
+            callData: call.iface.encodeFunctionData(call.method, call.args || [])
+        }))]);
+
+        const [response] = await this.rpc([{ method: 'eth_call', params: [{ to: CONFIG.contracts.multicall3, data }, blockTag] }]);
+        if (response.error) throw new Error(response.error.message);
+        if (!response.result || response.result === '0x') {
+            // No contract there - don't try again on this chain
+            this.unavailable.add(CONFIG.chainId);
+            throw new Error(`No Multicall3 at ${CONFIG.contracts.multicall3}`);
+        }
+
+        const [returnData] = iface.decodeFunctionResult('aggregate3', response.result);
+        return returnData.map(({ success, returnData: raw }, i) => {
+            if (!success) {
+                return { success: false, result: null, error: new Error(`${calls[i].method} reverted`) };
+            }
+            return this.decode(calls[i], raw);
+        });
+    }
+
+    /**
+     * JSON-RPC batch of plain eth_calls (or each call's own rpc request)
+     */
+    async batch(calls, blockTag) {
+        const requests = calls.map(call => call.rpc
+            ? { method: call.rpc.method, params: [...call.rpc.params, blockTag] }
+            : {
+                method: 'eth_call',
+                params: [{ to: call.target, data: call.iface.encodeFunctionData(call.method, call.args || []) }, blockTag]
+            });
+
+        const responses = await this.rpc(requests);
+        return responses.map((response, i) => {
+            if (response.error) {
+                return { success: false, result: null, error: new Error(response.error.message) };
+            }
+            if (calls[i].rpc) {
+                return { success: true, result: calls[i].rpc.decode(response.result), error: null };
+            }
+            return this.decode(calls[i], response.result);
+        });
+    }
+
+    decode(call, data) {
+        try {
+            return { success: true, result: call.iface.decodeFunctionResult(call.method, data), error: null };
+        } catch (e) {
+            return { success: false, result: null, error: e };
+        }
+    }
+
+    /**
+     * POST JSON-RPC requests as one batch
+     * @returns {Promise<Array<{result, error}>>} In request order (throws if any id is missing)
+     */
+    async rpc(requests) {
+        const body = requests.map((request, id) => ({ jsonrpc: '2.0', id, ...request }));
+        const response = await fetch(CONFIG.rpcUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const results = await response.json();
+        if (!Array.isArray(results)) {
+            // Some endpoints answer a rejected batch with a single error object
+            throw new Error(results?.error?.message || 'Invalid JSON-RPC batch response');
+        }
+        // Responses can come back in any order, and a dropped one must not shift the rest
+        const byId = new Map(results.map(result => [result.id, result]));
+        return body.map(({ id, method }) => {
+            if (!byId.has(id)) throw new Error(`JSON-RPC batch response is missing id ${id} (${method})`);
+            return byId.get(id);
+        });
+    }
+}
+
+// Singleton instance
+export const multicall = new Multicall();
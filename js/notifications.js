@@ -0,0 +1,187 @@
+/**
+ * Swap Notifications
+ * Opt-in alerts for tracker milestones (see StatusTracker's 'milestone'
+ * event): a desktop notification through the Notification API while the tab
+ * is in the background, and optionally a short tone. Settings are kept in
+ * localStorage; clicking a notification focuses the tab on that swap.
+ */
+
+import { CONFIG } from './config.js';
+import { MILESTONE } from './statusTracker.js';
+
+const STORAGE_KEY = 'openswap_notifications';
+
+// Title, body and tone per milestone (tone: [frequency Hz, duration s] notes played in turn)
+const MESSAGES = {
+    [MILESTONE.MATCHED]: { title: 'Swap matched', body: 'Waiting for the initial oracle report', tone: [[660, 0.12]] },
+    [MILESTONE.INITIAL_REPORT]: { title: 'Initial report in', body: 'The oracle price is set - settlement follows unless disputed', tone: [[660, 0.12], [880, 0.12]] },
+    [MILESTONE.DISPUTED]: { title: 'Report disputed', body: 'The settle timer restarted', tone: [[440, 0.15], [330, 0.2]] },
+    [MILESTONE.SETTLEABLE]: { title: 'Ready to settle', body: 'Anyone can settle the report now - you can settle it yourself', tone: [[880, 0.1], [880, 0.1], [1175, 0.2]] },
+    [MILESTONE.BAILOUT_AVAILABLE]: { title: 'Bail out available', body: 'You can bail out to recover your funds', tone: [[1175, 0.1], [880, 0.1], [1175, 0.2]] },
+    [MILESTONE.EXECUTED]: { title: 'Swap executed', body: 'Your swap is complete', tone: [[523, 0.1], [659, 0.1], [784, 0.25]] },
+    [MILESTONE.REFUNDED]: { title: 'Swap refunded', body: 'Your sell tokens were returned', tone: [[392, 0.15], [262, 0.3]] }
+};
+
+class SwapNotifications {
+    constructor() {
+        this.settings = this.loadSettings();
+        this.audioContext = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Load settings from localStorage: { desktop, sound }
+     */
+    loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (stored) return { desktop: stored.desktop === true, sound: stored.sound === true };
+        } catch (e) {
+            console.log('[Notifications] Ignoring invalid stored settings');
+        }
+        return { desktop: false, sound: false };
+    }
+
+    saveSettings() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * True when the browser has the Notification API
+     */
+    isSupported() {
+        return typeof Notification !== 'undefined';
+    }
+
+    /**
+     * Turn desktop notifications on or off, asking for permission when turning on
+     * @returns {Promise<boolean>} Whether desktop notifications are now on
+     */
+    async setDesktop(enabled) {
+        if (enabled) {
+            if (!this.isSupported()) throw new Error('This browser does not support notifications');
+            const permission = Notification.permission === 'default'
+                ? await Notification.requestPermission()
+                : Notification.permission;
+            if (permission !== 'granted') {
+                throw new Error('Notifications are blocked for this site in your browser settings');
+            }
+        }
+        this.settings.desktop = enabled;
+        this.saveSettings();
+        return enabled;
+    }
+
+    /**
+     * Turn sound cues on or off (call from a user gesture so audio can start)
+     */
+    setSound(enabled) {
+        this.settings.sound = enabled;
+        this.saveSettings();
+        if (enabled) this.play([[880, 0.08]]);
+    }
+
+    /**
+     * Resume audio after the first interaction on the page (browsers start it suspended)
+     */
+    unlockAudio() {
+        const unlock = () => {
+            if (this.settings.sound) this.getAudioContext()?.resume();
+        };
+        document.addEventListener('pointerdown', unlock, { once: true });
+        document.addEventListener('keydown', unlock, { once: true });
+    }
+
+    getAudioContext() {
+        if (!this.audioContext) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) return null;
+            this.audioContext = new AudioContextClass();
+        }
+        return this.audioContext;
+    }
+
+    /**
+     * Play notes back to back as short sine beeps
+     * @param {Array<[number, number]>} notes - [frequency Hz, duration s]
+     */
+    play(notes) {
+        const ctx = this.getAudioContext();
+        if (!ctx) return;
+        if (ctx.state === 'suspended') ctx.resume();
+
+        let at = ctx.currentTime;
+        for (const [frequency, duration] of notes) {
+            const oscillator = ctx.createOscillator();
+            const gain = ctx.createGain();
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.0001, at);
+            gain.gain.exponentialRampToValueAtTime(0.2, at + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, at + duration);
+            oscillator.connect(gain).connect(ctx.destination);
+            oscillator.start(at);
+            oscillator.stop(at + duration);
+            at += duration + 0.04;
+        }
+    }
+
+    /**
+     * Alert for a tracker milestone per the user's settings. Desktop notifications
+     * are only shown while the tab is hidden or unfocused; sounds always play.
+     * @param {{swapId, milestone: string, label?: string}} data
+     */
+    notify({ swapId, milestone, label }) {
+        const message = MESSAGES[milestone];
+        if (!message) return;
+
+        if (this.settings.sound) {
+            try {
+                this.play(message.tone);
+            } catch (e) {
+                console.log('[Notifications] Could not play sound:', e.message);
+            }
+        }
+
+        if (!this.settings.desktop || !this.isSupported() || Notification.permission !== 'granted') return;
+        if (!document.hidden && document.hasFocus()) return;
+
+        try {
+            const notification = new Notification(`${message.title} - #${swapId}`, {
+                body: label ? `${label}\n${message.body}` : message.body,
+                tag: `openswap_${CONFIG.chainId}_${swapId}`, // Newer milestones replace older ones
+                renotify: true
+            });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                this.emit('clicked', { swapId });
+            };
+        } catch (e) {
+            // Some mobile browsers only allow notifications from a service worker
+            console.log('[Notifications] Could not show notification:', e.message);
+        }
+    }
+
+    /**
+     * Add event listener
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const notifications = new SwapNotifications();
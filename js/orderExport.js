@@ -0,0 +1,264 @@
+/**
+ * Order Export
+ * One row per swap for reconciliation: IDs and timestamps from the order history
+ * logs, amounts from SwapExecuted, the settled price from the oracle report and
+ * realized costs (fulfillment fee, bounty, gas compensation, settler reward, tx gas)
+ * in USD at execution time. Serializes rows to CSV or JSON.
+ */
+
+import { CONFIG, ORACLE_BOUNTY_EVENTS_ABI } from './config.js';
+import { wallet } from './wallet.js';
+import { openSwap } from './contract.js';
+import { orderHistory } from './orderHistory.js';
+import { tokenPrices } from './tokenPrices.js';
+import { ETH, getToken, isStablecoin, isEthLike } from './tokens.js';
+
+// Column order for CSV (JSON rows use the same keys)
+export const EXPORT_COLUMNS = [
+    'swapId', 'status', 'createdAt', 'executedAt', 'createTxHash', 'executeTxHash', 'reportId', 'matcher',
+    'sellToken', 'sellTokenAddress', 'buyToken', 'buyTokenAddress',
+    'sellAmount', 'buyAmount', 'minOut', 'settledPrice',
+    'fulfillmentFeePct', 'fulfillmentFeeUsd',
+    'bountyToken', 'bountyPaid', 'bountyPaidUsd',
+    'gasCompensationEth', 'gasCompensationUsd',
+    'settlerRewardEth', 'settlerRewardUsd',
+    'swapTxGasEth', 'swapTxGasUsd',
+    'ethPriceUsd', 'notionalUsd', 'totalCostUsd', 'totalCostPct'
+];
+
+const toHex = (n) => '0x' + n.toString(16);
+const round = (value, digits) => (value === null || !isFinite(value)) ? null : Number(value.toFixed(digits));
+const isoTime = (seconds) => seconds ? new Date(seconds * 1000).toISOString() : null;
+const emptyRow = () => Object.fromEntries(EXPORT_COLUMNS.map(column => [column, null]));
+
+/**
+ * Token for an address: the registry, else on-chain metadata (e.g. imported on another device)
+ */
+async function resolveToken(address, cache) {
+    const key = address.toLowerCase();
+    if (!cache.has(key)) {
+        let token = getToken(address);
+        if (!token) {
+            try {
+                token = await wallet.getTokenMetadata(address);
+            } catch (e) {
+                token = { address, symbol: '???', decimals: 18 };
+            }
+        }
+        cache.set(key, token);
+    }
+    return cache.get(key);
+}
+
+/**
+ * Bounty paid to the initial reporter (BountyInitialReportSubmitted), searched
+ * between the match and execution blocks
+ * @returns {Promise<bigint>}
+ */
+async function getBountyPaid(reportId, fromBlock, toBlock) {
+    if (!CONFIG.contracts.oracleBounty || CONFIG.contracts.oracleBounty === ETH.address) return 0n;
+
+    const iface = new ethers.Interface(ORACLE_BOUNTY_EVENTS_ABI);
+    const logs = await wallet.rpcCall('eth_getLogs', [{
+        address: CONFIG.contracts.oracleBounty,
+        fromBlock: toHex(fromBlock),
+        toBlock: toHex(toBlock),
+        topics: [iface.getEvent('BountyInitialReportSubmitted').topicHash, ethers.toBeHex(BigInt(reportId), 32)]
+    }]);
+    return logs.reduce((sum, log) => sum + iface.parseLog(log).args.bountyPaid, 0n);
+}
+
+/**
+ * Swap tx gas in wei (OP-stack receipts carry the L1 data fee separately)
+ */
+async function getTxGasCost(txHash) {
+    const receipt = await wallet.rpcCall('eth_getTransactionReceipt', [txHash]);
+    if (!receipt) return null;
+    const l2 = BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice);
+    return l2 + (receipt.l1Fee ? BigInt(receipt.l1Fee) : 0n);
+}
+
+/**
+ * Status for a swap the history hasn't seen finish (cancelled swaps emit no swapper topic)
+ */
+async function getOpenStatus(swapId) {
+    try {
+        const swap = await openSwap.getSwap(swapId);
+        if (swap.cancelled) return 'Cancelled';
+        if (swap.finished) return 'Finished';
+        if (swap.matched) return 'Matched';
+        return 'Open';
+    } catch (e) {
+        return 'Unknown';
+    }
+}
+
+/**
+ * Build the export row for one history entry
+ */
+async function buildRow(swap, tokenCache) {
+    const sellToken = await resolveToken(swap.sellToken, tokenCache);
+    const buyToken = await resolveToken(swap.buyToken, tokenCache);
+
+    const row = Object.assign(emptyRow(), {
+        swapId: swap.swapId,
+        status: swap.executed ? 'Executed' : swap.refunded ? 'Refunded' : await getOpenStatus(swap.swapId),
+        createdAt: isoTime(swap.createdAt),
+        createTxHash: swap.txHash,
+        reportId: swap.matched?.reportId ?? null,
+        matcher: swap.matched?.matcher ?? null,
+        sellToken: sellToken.symbol,
+        sellTokenAddress: swap.sellToken,
+        buyToken: buyToken.symbol,
+        buyTokenAddress: swap.buyToken,
+        sellAmount: ethers.formatUnits(swap.sellAmt, sellToken.decimals),
+        minOut: ethers.formatUnits(swap.minOut, buyToken.decimals),
+        gasCompensationEth: ethers.formatEther(swap.gasCompensation),
+        settlerRewardEth: ethers.formatEther(swap.settlerReward)
+    });
+
+    // Realized costs only exist once the swap has executed
+    if (!swap.executed || !swap.matched) return row;
+
+    const block = await wallet.rpcCall('eth_getBlockByNumber', [toHex(swap.executed.blockNumber), false]);
+    const executedAt = block ? parseInt(block.timestamp, 16) : swap.createdAt;
+    row.executedAt = isoTime(executedAt);
+    row.executeTxHash = swap.executed.txHash;
+    row.sellAmount = ethers.formatUnits(swap.executed.sellTokenAmt, sellToken.decimals);
+    row.buyAmount = ethers.formatUnits(swap.executed.buyTokenAmt, buyToken.decimals);
+
+    // Oracle token1 is the sell side (WETH for ETH), token2 the buy side
+    const report = await openSwap.getReportStatus(swap.matched.reportId);
+    const settledPrice = report.currentAmount1 > 0n
+        ? parseFloat(ethers.formatUnits(report.currentAmount2, buyToken.decimals)) /
+          parseFloat(ethers.formatUnits(report.currentAmount1, sellToken.decimals))
+        : null;
+    row.settledPrice = settledPrice;
+
+    // USD prices at execution: from the settled price when the pair is quoted
+    // against ETH or a stablecoin, else the Coinbase candle at that minute
+    let ethPrice;
+    if (isEthLike(sellToken) && isStablecoin(buyToken) && settledPrice) {
+        ethPrice = settledPrice;
+    } else if (isStablecoin(sellToken) && isEthLike(buyToken) && settledPrice) {
+        ethPrice = 1 / settledPrice;
+    } else {
+        ethPrice = await tokenPrices.getHistoricalPriceUsd(ETH, executedAt);
+    }
+
+    let sellPriceUsd;
+    if (isStablecoin(sellToken)) {
+        sellPriceUsd = 1;
+    } else if (isEthLike(sellToken)) {
+        sellPriceUsd = ethPrice;
+    } else if (isStablecoin(buyToken) && settledPrice) {
+        sellPriceUsd = settledPrice;
+    } else if (isEthLike(buyToken) && settledPrice && ethPrice) {
+        sellPriceUsd = settledPrice * ethPrice;
+    } else {
+        sellPriceUsd = await tokenPrices.getHistoricalPriceUsd(sellToken, executedAt);
+    }
+
+    const notionalUsd = sellPriceUsd ? parseFloat(row.sellAmount) * sellPriceUsd : null;
+
+    // fulfillmentFee is 1e7 scale (1000 = 0.01%)
+    const feeRate = swap.matched.fulfillmentFee / 1e7;
+    const fulfillmentFeeUsd = notionalUsd !== null ? notionalUsd * feeRate : null;
+
+    // Bounty is paid in the bounty token (the sell token for swaps made here)
+    const bountyToken = swap.bountyToken === ETH.address ? ETH : await resolveToken(swap.bountyToken, tokenCache);
+    const bountyPaid = await getBountyPaid(swap.matched.reportId, swap.matched.blockNumber, swap.executed.blockNumber);
+    const bountyAmount = parseFloat(ethers.formatUnits(bountyPaid, bountyToken.decimals));
+    let bountyPriceUsd = null;
+    if (bountyToken.address.toLowerCase() === swap.sellToken.toLowerCase()) {
+        bountyPriceUsd = sellPriceUsd;
+    } else if (isEthLike(bountyToken)) {
+        bountyPriceUsd = ethPrice;
+    } else if (isStablecoin(bountyToken)) {
+        bountyPriceUsd = 1;
+    }
+    const bountyPaidUsd = bountyPaid === 0n ? 0 : (bountyPriceUsd !== null ? bountyAmount * bountyPriceUsd : null);
+
+    const txGasWei = await getTxGasCost(swap.txHash);
+    const swapTxGasEth = txGasWei !== null ? parseFloat(ethers.formatEther(txGasWei)) : null;
+    const ethUsd = (eth) => (eth !== null && ethPrice) ? eth * ethPrice : null;
+    const gasCompensationUsd = ethUsd(parseFloat(row.gasCompensationEth));
+    const settlerRewardUsd = ethUsd(parseFloat(row.settlerRewardEth));
+    const swapTxGasUsd = ethUsd(swapTxGasEth);
+
+    const costs = [fulfillmentFeeUsd, bountyPaidUsd, gasCompensationUsd, settlerRewardUsd, swapTxGasUsd];
+    const totalCostUsd = costs.every(c => c !== null) ? costs.reduce((sum, c) => sum + c, 0) : null;
+
+    Object.assign(row, {
+        fulfillmentFeePct: round(feeRate * 100, 5),
+        fulfillmentFeeUsd: round(fulfillmentFeeUsd, 6),
+        bountyToken: bountyToken.symbol,
+        bountyPaid: ethers.formatUnits(bountyPaid, bountyToken.decimals),
+        bountyPaidUsd: round(bountyPaidUsd, 6),
+        gasCompensationUsd: round(gasCompensationUsd, 6),
+        settlerRewardUsd: round(settlerRewardUsd, 6),
+        swapTxGasEth: txGasWei !== null ? ethers.formatEther(txGasWei) : null,
+        swapTxGasUsd: round(swapTxGasUsd, 6),
+        ethPriceUsd: round(ethPrice, 2),
+        notionalUsd: round(notionalUsd, 6),
+        totalCostUsd: round(totalCostUsd, 6),
+        totalCostPct: (totalCostUsd !== null && notionalUsd) ? round(totalCostUsd / notionalUsd * 100, 5) : null
+    });
+    return row;
+}
+
+/**
+ * Export rows for every swap the address has made, newest first
+ * @param {string} address
+ * @param {Function} [onProgress] - (done, total) after each row
+ * @returns {Promise<object[]>}
+ */
+export async function buildExportRows(address, onProgress) {
+    const swaps = await orderHistory.sync(address);
+    const tokenCache = new Map();
+    const rows = [];
+
+    // One swap at a time - each row is several RPC calls plus possibly a Coinbase request
+    for (const swap of swaps) {
+        try {
+            rows.push(await buildRow(swap, tokenCache));
+        } catch (e) {
+            console.error(`[Export] Failed to build row for swap ${swap.swapId}:`, e);
+            rows.push({ ...emptyRow(), swapId: swap.swapId, status: 'Error' });
+        }
+        if (onProgress) onProgress(rows.length, swaps.length);
+    }
+    return rows;
+}
+
+/**
+ * Serialize rows to CSV (RFC 4180 quoting, empty cell for missing values)
+ * Cells a spreadsheet would read as a formula (token symbols are free text)
+ * get a leading ' so they open as plain text.
+ */
+export function toCsv(rows) {
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [EXPORT_COLUMNS.join(',')];
+    for (const row of rows) {
+        lines.push(EXPORT_COLUMNS.map(column => cell(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize rows to JSON, with the chain and export time alongside
+ */
+export function toJson(rows, address) {
+    return JSON.stringify({
+        chainId: CONFIG.chainId,
+        chainName: CONFIG.chainName,
+        address,
+        exportedAt: new Date().toISOString(),
+        swaps: rows
+    }, null, 2);
+}
@@ -0,0 +1,299 @@
+/**
+ * Order History
+ * Finds every swap an address has created by scanning openSwap SwapCreated logs
+ * filtered on the indexed swapper topic, along with the SwapMatched, SwapExecuted
+ * and SwapRefunded logs for them. The scanned range and the swaps found are cached
+ * per chain + address in localStorage, so later syncs only fetch new blocks.
+ */
+
+import { CONFIG, OPENSWAP_ABI } from './config.js';
+import { wallet } from './wallet.js';
+
+const LOG_CHUNK_SIZE = 10000; // Blocks per eth_getLogs request
+const MIN_LOG_CHUNK_SIZE = 500; // Smallest range tried when the RPC rejects a request
+const REORG_MARGIN = 50; // Blocks re-scanned on every sync in case of reorgs
+const FALLBACK_LOOKBACK = 5000000; // Blocks scanned when the network has no deployBlock configured
+const CACHE_VERSION = 2; // Bump when the cached entry shape changes (forces a rescan)
+
+const toHex = (n) => '0x' + n.toString(16);
+
+class OrderHistory {
+    constructor() {
+        this.iface = null;
+        this.syncs = new Map(); // cache key -> in-flight sync promise
+        this.listeners = new Set();
+    }
+
+    getInterface() {
+        if (!this.iface) {
+            this.iface = new ethers.Interface(OPENSWAP_ABI);
+        }
+        return this.iface;
+    }
+
+    getCacheKey(address) {
+        return `openswap_history_${CONFIG.chainId}_${address.toLowerCase()}`;
+    }
+
+    /**
+     * Load cached scan state; reset if it was made against another contract
+     */
+    loadCache(address) {
+        const contract = CONFIG.contracts.openSwap.toLowerCase();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.getCacheKey(address)) || 'null');
+            if (stored && stored.version === CACHE_VERSION && stored.contract === contract && Array.isArray(stored.swaps)) {
+                return stored;
+            }
+        } catch (e) {
+            console.log('[History] Ignoring invalid cached history');
+        }
+        return { version: CACHE_VERSION, contract, startBlock: null, lastBlock: null, swaps: [] };
+    }
+
+    saveCache(address, cache) {
+        localStorage.setItem(this.getCacheKey(address), JSON.stringify(cache));
+    }
+
+    /**
+     * Cached swaps for an address, newest first (no RPC calls)
+     * Amounts are decimal strings; matched / executed / refunded are null until those logs are seen.
+     * @returns {Array<{swapId, blockNumber, txHash, sellToken, buyToken, sellAmt, minOut, createdAt,
+     *          gasCompensation, settlerReward, bountyToken,
+     *          matched: {blockNumber, txHash, fulfillmentFee, reportId, matcher}|null,
+     *          executed: {blockNumber, txHash, sellTokenAmt, buyTokenAmt}|null,
+     *          refunded: {blockNumber, txHash}|null}>}
+     */
+    getSwaps(address) {
+        return [...this.loadCache(address).swaps]
+            .sort((a, b) => b.blockNumber - a.blockNumber || Number(BigInt(b.swapId) - BigInt(a.swapId)));
+    }
+
+    /**
+     * Scan new blocks for the address's swaps (concurrent calls share one scan)
+     * @returns {Promise<Array>} All known swaps, newest first
+     */
+    sync(address) {
+        const key = this.getCacheKey(address);
+        if (!this.syncs.has(key)) {
+            const promise = this.scan(address).finally(() => this.syncs.delete(key));
+            this.syncs.set(key, promise);
+        }
+        return this.syncs.get(key);
+    }
+
+    async scan(address) {
+        const cache = this.loadCache(address);
+        const head = parseInt(await wallet.rpcCall('eth_blockNumber'), 16);
+
+        // A cache that began after the start block (e.g. before deployBlock was configured) is rescanned
+        const start = this.getStartBlock(head);
+        let from;
+        if (cache.lastBlock === null || cache.startBlock > start) {
+            cache.startBlock = start;
+            from = start;
+        } else {
+            from = Math.max(cache.startBlock, cache.lastBlock - REORG_MARGIN + 1);
+        }
+
+        // swapper is the second indexed arg of SwapCreated/SwapMatched but the first of SwapExecuted/SwapRefunded
+        const iface = this.getInterface();
+        const topicOf = (name) => iface.getEvent(name).topicHash;
+        const swapperTopic = ethers.zeroPadValue(address.toLowerCase(), 32);
+        const filters = [
+            [[topicOf('SwapCreated'), topicOf('SwapMatched')], null, swapperTopic],
+            [[topicOf('SwapExecuted'), topicOf('SwapRefunded')], swapperTopic]
+        ];
+
+        let chunkSize = LOG_CHUNK_SIZE;
+        while (from <= head) {
+            const to = Math.min(from + chunkSize - 1, head);
+            const logs = [];
+            try {
+                for (const topics of filters) {
+                    logs.push(...await wallet.rpcCall('eth_getLogs', [{
+                        address: CONFIG.contracts.openSwap,
+                        fromBlock: toHex(from),
+                        toBlock: toHex(to),
+                        topics
+                    }]));
+                }
+            } catch (e) {
+                // Most public RPCs cap the block range or result size - retry smaller
+                if (chunkSize > MIN_LOG_CHUNK_SIZE) {
+                    chunkSize = Math.max(MIN_LOG_CHUNK_SIZE, Math.floor(chunkSize / 2));
+                    continue;
+                }
+                throw e;
+            }
+
+            // Created before matched before executed/refunded
+            logs.sort((a, b) => parseInt(a.blockNumber, 16) - parseInt(b.blockNumber, 16) ||
+                parseInt(a.logIndex, 16) - parseInt(b.logIndex, 16));
+            for (const log of logs) {
+                this.addLog(cache, log);
+            }
+            cache.lastBlock = to;
+            this.saveCache(address, cache);
+            this.emit('progress', { address, startBlock: cache.startBlock, scannedBlock: to, headBlock: head });
+            from = to + 1;
+        }
+
+        console.log(`[History] ${cache.swaps.length} swaps for ${address} up to block ${cache.lastBlock}`);
+        return this.getSwaps(address);
+    }
+
+    /**
+     * Decode a lifecycle log into the cache (re-seen logs after a rescan overwrite)
+     */
+    addLog(cache, log) {
+        let parsed;
+        try {
+            parsed = this.getInterface().parseLog(log);
+        } catch (e) {
+            console.log('[History] Skipping undecodable log:', log.transactionHash);
+            return;
+        }
+        if (!parsed) return;
+
+        const { args } = parsed;
+        const blockNumber = parseInt(log.blockNumber, 16);
+        const txHash = log.transactionHash;
+
+        if (parsed.name === 'SwapCreated') {
+            const swapId = args.swapId.toString();
+            const existing = cache.swaps.find(s => s.swapId === swapId);
+            const entry = {
+                ...this.decodeCreated(parsed, log),
+                matched: existing?.matched || null,
+                executed: existing?.executed || null,
+                refunded: existing?.refunded || null
+            };
+            if (existing) {
+                Object.assign(existing, entry);
+            } else {
+                cache.swaps.push(entry);
+            }
+            return;
+        }
+
+        const swap = cache.swaps.find(s => s.swapId === args.swapId.toString());
+        if (!swap) return; // Created before the scanned range
+
+        if (parsed.name === 'SwapMatched') {
+            swap.matched = {
+                blockNumber,
+                txHash,
+                fulfillmentFee: Number(args.fulfillmentFee),
+                reportId: args.reportId.toString(),
+                matcher: args.matcher
+            };
+        } else if (parsed.name === 'SwapExecuted') {
+            swap.executed = {
+                blockNumber,
+                txHash,
+                sellTokenAmt: args.sellTokenAmt.toString(),
+                buyTokenAmt: args.buyTokenAmt.toString()
+            };
+        } else if (parsed.name === 'SwapRefunded') {
+            swap.refunded = { blockNumber, txHash };
+        }
+    }
+
+    /**
+     * Cache entry fields for a decoded SwapCreated log
+     */
+    decodeCreated(parsed, log) {
+        const { args } = parsed;
+        return {
+            swapId: args.swapId.toString(),
+            blockNumber: parseInt(log.blockNumber, 16),
+            txHash: log.transactionHash,
+            sellToken: args.sellToken,
+            buyToken: args.buyToken,
+            sellAmt: args.sellAmt.toString(),
+            minOut: args.minOut.toString(),
+            createdAt: Number(args.blockTimestamp),
+            gasCompensation: args.gasCompensation.toString(),
+            settlerReward: args.oracleParams.settlerReward.toString(),
+            bountyToken: args.bountyParams.bountyToken
+        };
+    }
+
+    /**
+     * Creation of any swap (not only the address's): from the cached history when
+     * it's there, else by scanning SwapCreated logs for the indexed swapId
+     * backwards from the head
+     * @param {string|number} swapId
+     * @param {string} [address] - History to check first
+     * @returns {Promise<object|null>} Entry without matched / executed / refunded, or null if not found
+     */
+    async findCreation(swapId, address = null) {
+        const id = swapId.toString();
+        if (address) {
+            const cached = this.loadCache(address).swaps.find(s => s.swapId === id);
+            if (cached) return cached;
+        }
+
+        const head = parseInt(await wallet.rpcCall('eth_blockNumber'), 16);
+        const start = this.getStartBlock(head);
+        const topics = [this.getInterface().getEvent('SwapCreated').topicHash, ethers.toBeHex(BigInt(id), 32)];
+
+        let chunkSize = LOG_CHUNK_SIZE;
+        let to = head;
+        while (to >= start) {
+            const from = Math.max(start, to - chunkSize + 1);
+            let logs;
+            try {
+                logs = await wallet.rpcCall('eth_getLogs', [{
+                    address: CONFIG.contracts.openSwap,
+                    fromBlock: toHex(from),
+                    toBlock: toHex(to),
+                    topics
+                }]);
+            } catch (e) {
+                if (chunkSize > MIN_LOG_CHUNK_SIZE) {
+                    chunkSize = Math.max(MIN_LOG_CHUNK_SIZE, Math.floor(chunkSize / 2));
+                    continue;
+                }
+                throw e;
+            }
+
+            if (logs.length > 0) {
+                return this.decodeCreated(this.getInterface().parseLog(logs[0]), logs[0]);
+            }
+            to = from - 1;
+        }
+
+        console.log(`[History] No SwapCreated log for swap ${id}`);
+        return null;
+    }
+
+    /**
+     * First block to scan openSwap logs from: the network's configured deployBlock,
+     * or the most recent FALLBACK_LOOKBACK blocks when it isn't set
+     */
+    getStartBlock(head) {
+        if (Number.isInteger(CONFIG.deployBlock)) return CONFIG.deployBlock;
+        console.log(`[History] No deployBlock configured for ${CONFIG.chainName}, scanning recent blocks only`);
+        return Math.max(0, head - FALLBACK_LOOKBACK);
+    }
+
+    /**
+     * Add event listener
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const orderHistory = new OrderHistory();
@@ -0,0 +1,137 @@
+/**
+ * Revert Decoder
+ * Turns openSwap / openOracle / bounty revert data into human-readable reasons
+ */
+
+import { OPENSWAP_ABI } from './config.js';
+
+// Custom errors declared by openOracle and the bounty contract (openSwap errors come from its ABI)
+const ORACLE_ERRORS = [
+    'error InvalidInput(string parameter)',
+    'error InsufficientAmount(string resource)',
+    'error AlreadyProcessed(string action)',
+    'error InvalidTiming(string action)',
+    'error OutOfBounds(string parameter)',
+    'error TokensCannotBeSame()',
+    'error NoReportToDispute()',
+    'error EthTransferFailed()',
+    'error InvalidAmount2(string parameter)',
+    'error InvalidStateHash(string parameter)',
+    'error InvalidGasLimit()'
+];
+
+// InvalidInput(string) parameters -> readable reason
+const INVALID_INPUT_REASONS = {
+    'msg.value wrong': 'ETH sent does not equal gas compensation + settler reward (+ ETH bounty)',
+    'msg.value vs sellAmt mismatch': 'ETH sent does not equal sell amount + gas compensation + settler reward (+ ETH bounty)',
+    'sellToken = buyToken': 'Sell and buy token must be different',
+    'zero amounts': 'Sell amount, minimum out and minimum fulfill liquidity must all be above zero',
+    'fulfillmentFee': 'Fulfillment fee must be below 100%',
+    'slippage': 'Slippage settings are invalid (price tolerated or tolerance range out of range)',
+    'oracleParams': 'Oracle parameters rejected (settler reward, settlement time, liquidity, fees or max game time out of range)',
+    'fulfillFeeParams': 'Fulfillment fee schedule rejected (fees, growth rate or rounds out of range)',
+    'bountyParams': 'Bounty parameters rejected (amounts, rounds or multiplier out of range)',
+    'not swapper': 'Only the swapper can do this',
+    'already matched': 'Swap has already been matched',
+    'not matched': 'Swap has not been matched yet',
+    'not active': 'Swap is not active',
+    'finished': 'Swap is already finished',
+    'cancelled': 'Swap was cancelled',
+    'expired': 'Swap has expired',
+    "can't bail out yet": 'Bail out is not available yet',
+    'no initial report': 'No initial report has been submitted'
+};
+
+const NAMED_ERROR_REASONS = {
+    EthTransferFailed: () => 'ETH transfer failed',
+    ReentrancyGuardReentrantCall: () => 'Reentrant call blocked by contract',
+    SafeERC20FailedOperation: (token) => `Token transfer failed for ${token} - check balance and allowance`,
+    TokensCannotBeSame: () => 'Oracle tokens cannot be the same',
+    NoReportToDispute: () => 'No report to dispute',
+    InvalidGasLimit: () => 'Invalid gas limit',
+    InsufficientAmount: (what) => `Insufficient ${what}`,
+    AlreadyProcessed: (what) => `Already processed: ${what}`,
+    InvalidTiming: (what) => `Invalid timing: ${what}`,
+    OutOfBounds: (what) => `Out of bounds: ${what}`,
+    InvalidAmount2: (what) => `Invalid amount2: ${what}`,
+    InvalidStateHash: (what) => `Invalid state hash: ${what}`
+};
+
+let errorInterface = null;
+
+/**
+ * Interface holding every custom error we know about (built on first use)
+ */
+function getErrorInterface() {
+    if (!errorInterface) {
+        const openSwapErrors = OPENSWAP_ABI.filter(f => f.type === 'error');
+        const seen = new Set(openSwapErrors.map(f => f.name));
+        const oracleErrors = ORACLE_ERRORS.filter(sig => !seen.has(sig.slice(6, sig.indexOf('('))));
+        errorInterface = new ethers.Interface([...openSwapErrors, ...oracleErrors]);
+    }
+    return errorInterface;
+}
+
+/**
+ * Find revert data in the various shapes ethers / wallet providers nest it in
+ */
+export function getRevertData(error) {
+    const candidates = [
+        error?.data,
+        error?.data?.data,
+        error?.info?.error?.data,
+        error?.info?.error?.data?.data,
+        error?.error?.data,
+        error?.error?.data?.data
+    ];
+    for (const data of candidates) {
+        if (typeof data === 'string' && data.startsWith('0x') && data.length >= 10) {
+            return data;
+        }
+    }
+    return null;
+}
+
+/**
+ * Readable reason for a decoded error
+ */
+function describe(name, args) {
+    if (name === 'InvalidInput') {
+        return INVALID_INPUT_REASONS[args[0]] || `Invalid input: ${args[0]}`;
+    }
+    if (name === 'Error') {
+        return args[0];
+    }
+    if (name === 'Panic') {
+        return `Contract panic (code ${args[0]})`;
+    }
+    const fn = NAMED_ERROR_REASONS[name];
+    return fn ? fn(...args) : name;
+}
+
+/**
+ * Decode a failed call/estimateGas error
+ * @returns {{name: string, args: Array, reason: string}|null} null if no revert data was found
+ */
+export function decodeRevert(error) {
+    const data = getRevertData(error);
+    if (data) {
+        try {
+            // parseError also handles Error(string) and Panic(uint256)
+            const parsed = getErrorInterface().parseError(data);
+            if (parsed) {
+                const args = Array.from(parsed.args);
+                return { name: parsed.name, args, reason: describe(parsed.name, args) };
+            }
+        } catch (e) {
+            console.log('[Revert] Unknown revert data:', data);
+        }
+    }
+
+    // ethers already decoded a require() message
+    if (error?.reason) {
+        return { name: 'Error', args: [error.reason], reason: error.reason };
+    }
+
+    return null;
+}
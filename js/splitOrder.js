@@ -0,0 +1,248 @@
+/**
+ * Split Orders
+ * Breaks a sell that is larger than the per-swap cap into a schedule of
+ * smaller swaps, submits them one at a time and waits for each to execute
+ * or bail out before sending the next.
+ */
+
+import { trackers } from './trackers.js';
+import { openSwap } from './contract.js';
+
+const EXPIRY_GRACE = 5; // Seconds past a swap's expiration before checking whether it was matched
+const EXPIRY_RETRY = 10; // Seconds between getSwap retries when the read fails
+
+export const CHUNK_STATUS = {
+    PENDING: 'pending',
+    SUBMITTING: 'submitting',
+    TRACKING: 'tracking',
+    EXECUTED: 'executed',
+    REFUNDED: 'refunded',
+    CANCELLED: 'cancelled',
+    UNMATCHED: 'unmatched', // Expired before anyone matched it - stops the order, the sell tokens wait for a cancel
+    FAILED: 'failed',
+    SKIPPED: 'skipped'
+};
+
+/**
+ * Split `total` into the fewest equal chunks that are each <= `maxChunk`
+ * (base units; the first chunks absorb the remainder so the sum is exact)
+ * @param {bigint} total
+ * @param {bigint} maxChunk
+ * @returns {bigint[]}
+ */
+export function planChunks(total, maxChunk) {
+    if (total <= 0n) return [];
+    if (maxChunk <= 0n) throw new Error('Chunk size must be above zero');
+
+    const count = (total + maxChunk - 1n) / maxChunk;
+    const base = total / count;
+    const remainder = total % count;
+    const chunks = [];
+    for (let i = 0n; i < count; i++) {
+        chunks.push(base + (i < remainder ? 1n : 0n));
+    }
+    return chunks;
+}
+
+class SplitOrderRunner {
+    constructor() {
+        this.order = null;
+        this.stopRequested = false;
+        this.listeners = new Set();
+    }
+
+    /**
+     * True while a split order is being worked
+     */
+    isRunning() {
+        return this.order !== null && !this.order.done;
+    }
+
+    /**
+     * Work a split order to completion
+     * @param {object} options
+     * @param {bigint} options.total - Total sell amount (base units)
+     * @param {bigint} options.maxChunk - Per-swap cap (base units)
+     * @param {Function} options.submitChunk - async (amount, index, count) => ({ swapId }).
+     *        Prices and submits one swap and starts tracking it.
+     * @returns {Promise<object>} Summary (see summarize())
+     */
+    async run({ total, maxChunk, submitChunk }) {
+        if (this.isRunning()) throw new Error('A split order is already running');
+
+        const amounts = planChunks(total, maxChunk);
+        this.stopRequested = false;
+        this.order = {
+            total,
+            done: false,
+            chunks: amounts.map((amount, index) => ({
+                index,
+                amount,
+                status: CHUNK_STATUS.PENDING,
+                swapId: null,
+                sold: 0n,
+                received: 0n,
+                costsUsd: 0,
+                error: null
+            }))
+        };
+        this.emit('started', { order: this.order });
+
+        for (const chunk of this.order.chunks) {
+            if (this.stopRequested) {
+                chunk.status = CHUNK_STATUS.SKIPPED;
+                continue;
+            }
+
+            chunk.status = CHUNK_STATUS.SUBMITTING;
+            this.emit('progress', { order: this.order, chunk });
+            try {
+                const { swapId } = await submitChunk(chunk.amount, chunk.index, amounts.length);
+                chunk.swapId = swapId;
+            } catch (e) {
+                console.error(`[SplitOrder] Chunk ${chunk.index + 1} failed to submit:`, e);
+                chunk.status = CHUNK_STATUS.FAILED;
+                chunk.error = e.message;
+                this.stopRequested = true;
+                this.emit('progress', { order: this.order, chunk });
+                continue;
+            }
+
+            chunk.status = CHUNK_STATUS.TRACKING;
+            this.emit('progress', { order: this.order, chunk });
+            const outcome = await this.waitForSwap(chunk.swapId);
+            this.applyOutcome(chunk, outcome);
+            this.emit('progress', { order: this.order, chunk });
+        }
+
+        this.order.done = true;
+        const summary = this.summarize();
+        this.emit('done', { order: this.order, summary });
+        return summary;
+    }
+
+    /**
+     * Stop after the swap currently in flight
+     */
+    stop() {
+        if (!this.isRunning()) return;
+        this.stopRequested = true;
+        this.emit('stopping', { order: this.order });
+    }
+
+    /**
+     * Resolve once the status tracker reports the swap as finished, the tracker is
+     * closed or dropped (network switch), or the swap expires without a match
+     */
+    waitForSwap(swapId) {
+        return new Promise(resolve => {
+            let expiryTimer = null;
+            let settled = false;
+            const finish = (outcome) => {
+                if (settled) return;
+                settled = true;
+                unsubscribe();
+                clearTimeout(expiryTimer);
+                resolve(outcome);
+            };
+
+            const unsubscribe = trackers.on(({ event, ...data }) => {
+                if (String(data.swapId) !== String(swapId)) return;
+                if (event === 'finished' || event === 'stopped' || event === 'dropped') {
+                    finish({ event, ...data });
+                }
+            });
+
+            // The tracker only hears about matches - an unmatched swap just sits there
+            const checkExpiry = async () => {
+                if (settled) return;
+                let swap;
+                try {
+                    swap = await openSwap.getSwap(swapId);
+                } catch (e) {
+                    console.log(`[SplitOrder] Could not read swap ${swapId}:`, e.message);
+                    expiryTimer = setTimeout(checkExpiry, EXPIRY_RETRY * 1000);
+                    return;
+                }
+                if (settled || swap.matched || swap.finished || swap.cancelled) return; // Tracker reports the end
+                const waitFor = Number(swap.expiration) + EXPIRY_GRACE - Math.floor(Date.now() / 1000);
+                if (waitFor > 0) {
+                    expiryTimer = setTimeout(checkExpiry, waitFor * 1000);
+                } else {
+                    finish({ event: 'expired', swapId });
+                }
+            };
+            checkExpiry();
+        });
+    }
+
+    applyOutcome(chunk, outcome) {
+        if (outcome.event === 'expired') {
+            // Its sell tokens stay locked until it is cancelled - going on would fill short
+            // and leave later chunks short of balance, so stop and let the user cancel
+            chunk.status = CHUNK_STATUS.UNMATCHED;
+            chunk.error = 'Expired without a match - cancel it to get the sell tokens back';
+            this.stopRequested = true;
+            return;
+        }
+
+        if (outcome.event === 'stopped' || outcome.event === 'dropped') {
+            // Tracker was closed mid-swap - we can no longer tell how it ends
+            chunk.status = CHUNK_STATUS.FAILED;
+            chunk.error = 'Tracking stopped before the swap finished';
+            this.stopRequested = true;
+            return;
+        }
+
+        if (outcome.status === 'Complete') {
+            chunk.status = CHUNK_STATUS.EXECUTED;
+            chunk.sold = outcome.executedAmounts?.sellTokenAmt ?? chunk.amount;
+            chunk.received = outcome.executedAmounts?.buyTokenAmt ?? 0n;
+            chunk.costsUsd = outcome.expensesUsd?.total ?? 0;
+        } else if (outcome.status === 'Refunded') {
+            chunk.status = CHUNK_STATUS.REFUNDED;
+        } else {
+            chunk.status = CHUNK_STATUS.CANCELLED;
+            this.stopRequested = true;
+        }
+    }
+
+    /**
+     * Aggregate fill across chunks
+     * @returns {{total, sold, received, costsUsd, executed, refunded, unmatched, failed, count, stopped}}
+     */
+    summarize() {
+        const chunks = this.order?.chunks || [];
+        const count = (status) => chunks.filter(c => c.status === status).length;
+        return {
+            total: this.order?.total ?? 0n,
+            sold: chunks.reduce((sum, c) => sum + c.sold, 0n),
+            received: chunks.reduce((sum, c) => sum + c.received, 0n),
+            costsUsd: chunks.reduce((sum, c) => sum + c.costsUsd, 0),
+            executed: count(CHUNK_STATUS.EXECUTED),
+            refunded: count(CHUNK_STATUS.REFUNDED),
+            unmatched: count(CHUNK_STATUS.UNMATCHED),
+            failed: count(CHUNK_STATUS.FAILED) + count(CHUNK_STATUS.CANCELLED),
+            count: chunks.length,
+            stopped: this.stopRequested
+        };
+    }
+
+    /**
+     * Add event listener
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const splitOrders = new SplitOrderRunner();
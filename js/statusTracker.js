@@ -1,40 +1,58 @@
 /**
  * Status Tracker Module
- * Monitors swap lifecycle events and updates the UI in real-time
+ * Monitors one swap's lifecycle events and updates its timeline in real-time.
+ * One instance per tracked swap, each with its own copy of the
+ * #statusTrackerTemplate markup - see trackers.js for the registry.
  */
 
-import { CONFIG } from './config.js';
-import { shortenAddress } from './ui.js';
+import { CONFIG, OPENSWAP_ABI, OPENORACLE_EVENTS_ABI, ORACLE_BOUNTY_EVENTS_ABI } from './config.js';
+import { ETH, getToken, isStablecoin, isEthLike, getDisplayDecimals } from './tokens.js';
+import { shortenAddress, escapeHtml, showToast } from './ui.js';
+import { wsRpc } from './wsRpc.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
-// EVENT TOPIC HASHES
+// EVENT DECODING
 // ═══════════════════════════════════════════════════════════════════════════
 
-const TOPICS = {
-    // openSwap contract events (new contract with BountyParams)
-    // SwapMatched(uint256 swapId, uint256 fulfillmentFee, address indexed matcher, uint256 reportId, address indexed swapper)
-    SWAP_MATCHED: '0x08718d9f0e810107a141828034c9fda59cd0fef0313fe600633b0a5d09ba929a',
-    SWAP_EXECUTED: '0x28c738dbec11a1bed94ba127a3712d54bcd39cf4ae95b6ebd671aaf10fd0287b',
-    // SwapCancelled(uint256 swapId) - keccak256 hash
-    SWAP_CANCELLED: '0x3e386045c3ebd5c84aab8f0e44c5c17c2e1b2e5c5f2e5c5f2e5c5f2e5c5f2e5c', // Computed
-    // SwapRefunded(uint256 swapId, address indexed swapper, address indexed matcher)
-    SWAP_REFUNDED: '0x6bb0fa0c59004b7cff24fd5aeec270d26ed3de586653a8fe91822f95de566844',
-    // Bailout events (swap refunded due to safety checks)
-    SLIPPAGE_BAILOUT: '0x34fbc8a950948a7d9440764afead2606f6a9dbc03a077f21b44840bf3de706b7',
-    IMPLIED_BLOCKS_BAILOUT: '0x0d7588aed4e3a34fe5a68f90d8140374f667a941c661261b6c8f994948fa819d',
-
-    // openOracle contract events
-    REPORT_INSTANCE_CREATED: '0x9e551a89f39e8aa09b30f967f9e9f53ca4347cdb89190cf2c81cc2c5dde70040',
-    INITIAL_REPORT_SUBMITTED: '0x820b2beedf2c18d30de3d9c50bb9d50342008711b3b12587677c30711b286bea',
-    REPORT_DISPUTED: '0xc914f81e730ff0d8aed0d786714bd9591c0d726342263562329f4fe2463316cf',
-    // ReportSettled(uint256 indexed reportId, uint256 price, uint256 settlementTimestamp, uint256 blockTimestamp)
-    REPORT_SETTLED: '0x0000000000000000000000000000000000000000000000000000000000000000', // TODO: compute
-
-    // oracleBounty contract events
-    BOUNTY_CREATED: '0xd84515a3c74ff85b73c315e7a95e1603068893e2061c76be6080ffa3f0eebf3e',
-    BOUNTY_RECALLED: '0xd0ae4f12020d4d5146e8dd1029e14be811ef6b326fa9e581bf173913443218cf',
-    BOUNTY_INITIAL_REPORT: '0x9681446de2fd0e4faf24417d7f08b310763d4e4e15f0a31200dbef2dd80fcdbd',
-};
+// Topics and log layouts come from the contract ABIs, built on first use
+let interfaces = null;
+
+function getInterfaces() {
+    if (!interfaces) {
+        interfaces = {
+            openSwap: new ethers.Interface(OPENSWAP_ABI),
+            openOracle: new ethers.Interface(OPENORACLE_EVENTS_ABI),
+            oracleBounty: new ethers.Interface(ORACLE_BOUNTY_EVENTS_ABI)
+        };
+    }
+    return interfaces;
+}
+
+// openSwap events for one swap (all carry swapId)
+const SWAP_EVENTS = new Set(['SwapMatched', 'SwapExecuted', 'SwapCancelled', 'SlippageBailout', 'ImpliedBlocksPerSecondBailout', 'SwapRefunded']);
+
+// Blocks per getLogs batch - replays of older swaps walk forward in chunks
+const LOG_RANGE = 10000;
+const MIN_LOG_RANGE = 500; // Smallest range tried when the RPC rejects a request
+const LIVE_LOG_DELAY = 100; // ms to collect subscription logs before handling them in chain order
+
+// Fields saved by serialize(). Everything else (report, disputes, bounty, fees, countdowns and the
+// timeline itself) is rebuilt on restore by handling the saved logs again.
+const PERSISTED_FIELDS = [
+    'swapId', 'chainId', 'orderInfo', 'swapTxHash', 'submittedTimestamp', 'lastBlockChecked',
+    'replaying', 'milestones', 'handledLogs'
+];
+
+// Time since the initial report, e.g. "+45s" / "+2m 05s"
+function formatElapsed(seconds) {
+    if (seconds < 60) return `+${seconds}s`;
+    return `+${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Price axis label - enough digits to tell neighbouring reports apart
+function formatAxisPrice(price) {
+    return price >= 100 ? price.toFixed(2) : price.toPrecision(4);
+}
 
 // Step states
 const STEP_STATE = {
@@ -44,28 +62,60 @@ const STEP_STATE = {
     ERROR: 'error'
 };
 
-class StatusTracker {
+// Lifecycle milestones announced through the 'milestone' event (see notifications.js)
+export const MILESTONE = {
+    MATCHED: 'matched',
+    INITIAL_REPORT: 'initialReport',
+    DISPUTED: 'disputed',
+    SETTLEABLE: 'settleable',
+    BAILOUT_AVAILABLE: 'bailoutAvailable',
+    EXECUTED: 'executed',
+    REFUNDED: 'refunded'
+};
+
+// updateStep() transitions that are milestones
+const STEP_MILESTONES = {
+    'matched:completed': MILESTONE.MATCHED,
+    'initialReport:completed': MILESTONE.INITIAL_REPORT,
+    'disputes:completed': MILESTONE.DISPUTED,
+    'settled:active': MILESTONE.SETTLEABLE
+};
+
+export class StatusTracker {
     constructor() {
         this.swapId = null;
         this.reportId = null;
+        this.chainId = null; // Network the swap is on
         this.isActive = false;
         this.pollingInterval = null;
         this.lastBlockChecked = 0;
         this.disputeCount = 0;
+        this.reportHistory = []; // Initial report then each dispute: { kind, timestamp, txHash, by, amount1, amount2, price, multiplier, ... }
         this.lastPrice = null; // Track last reported price for settled display
+        this.lastPair = null; // Pair label for lastPrice (e.g. "ETH/USD")
+        this.lastEthPrice = null; // ETH/USD implied by the last report, if the pair is ETH/stable
         this.executionTxHash = null; // Store execution tx hash for explorer link
         this.events = [];
 
         // Expense tracking
         this.bountyPaid = null; // From BountyInitialReportSubmitted - actual bounty paid out
-        this.bountyToken = null; // ETH or USDC
+        this.bountyToken = null; // Bounty token address (zero address for ETH)
+        this.sellTokenAddress = null;
+        this.buyTokenAddress = null;
+        this.sellTokenPriceUsd = null; // sellToken/USD at creation (ERC20 bounty + notional)
+        this.swapper = null; // Swap creator, narrows the openSwap log filters
         this.fulfillmentFee = null; // From SwapMatched (1e7 scale)
         this.swapTxHash = null; // Original swap tx for gas calculation
         this.gasCompensation = null; // From swap params
-        this.elementsCached = false;
         this.onExecutedCallback = null; // Callback when swap is executed
         this.onCancelledCallback = null; // Callback when swap is cancelled/refunded
         this.onMatchedCallback = null; // Callback when swap is matched
+        this.listeners = new Set(); // on() subscribers: 'updated' / 'checked' / 'milestone' / 'finished' / 'stopped' / 'closed'
+        this.milestones = {}; // Milestone keys already announced (disputes and settle windows count per round)
+        this.orderInfo = null; // startTracking() order details, for the dock summary
+        this.finalStatus = null; // markComplete() status once the swap is over
+        this.executedAmounts = null; // { sellTokenAmt, buyTokenAmt } from SwapExecuted
+        this.expensesUsd = null; // { bounty, fulfillFee, gas, total } once execution costs are known
 
         // Auto-scroll state
         this.autoScrollEnabled = true;
@@ -80,7 +130,7 @@ class StatusTracker {
         // Self-settle state
         this.settleDeadline = null; // Unix timestamp when report becomes settleable
         this.settleCountdownInterval = null;
-        this.settlementTime = CONFIG.defaults.settlementTime || 4;
+        this.settlementTime = CONFIG.defaults.settlementTime || 4; // Replaced by the report's own from its events
 
         // Block timestamp cache to reduce RPC calls
         this.blockTimestampCache = new Map();
@@ -96,104 +146,127 @@ class StatusTracker {
 
         // Prevent overlapping event checks
         this.isChecking = false;
+        this.logRange = LOG_RANGE;
+        this.replaying = false; // True while catching up on logs from before tracking started
+        this.session = 0; // Increments per startTracking() so an in-flight check can tell it's stale
+        this.recheck = false; // A check was requested while one was running
+        this.seenLogs = new Set(); // txHash:logIndex already handled (backfill and live logs overlap)
+        this.handledLogs = []; // Those logs, in the order handled (saved so restore() can rebuild from them)
+
+        // WebSocket subscription state (see startSubscriptions)
+        this.transport = 'polling'; // 'polling' or 'websocket'
+        this.subscriptionIds = [];
+        this.subscribedReportId = null; // reportId the log subscriptions were filtered with
+        this.wsListener = null; // wsRpc.on() unsubscribe
+        this.liveLogs = []; // Subscription logs waiting to be handled
+        this.liveLogTimer = null;
 
         // DOM element cache
         this.elements = {};
-
-        // Defer element caching until DOM is ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.cacheElements());
-        } else {
-            this.cacheElements();
-        }
+        this.cacheElements();
     }
 
+    /**
+     * Clone the tracker markup and cache its elements (the caller adds elements.tracker to the page)
+     */
     cacheElements() {
-        this.elementsCached = true;
+        const template = document.getElementById('statusTrackerTemplate');
+        this.bindElements(template.content.firstElementChild.cloneNode(true));
+    }
+
+    /**
+     * Cache the elements under root
+     */
+    bindElements(root) {
+        const el = (name) => root.querySelector(`[data-el="${name}"]`);
         this.elements = {
-            tracker: document.getElementById('statusTracker'),
-            swapId: document.getElementById('statusSwapId'),
-            oracleId: document.getElementById('statusOracleId'),
-            liveText: document.getElementById('statusLiveText'),
-            actions: document.getElementById('statusActions'),
-            viewTxBtn: document.getElementById('statusViewTxBtn'),
-            newSwapBtn: document.getElementById('statusNewSwapBtn'),
+            tracker: root,
+            swapId: el('statusSwapId'),
+            oracleId: el('statusOracleId'),
+            liveText: el('statusLiveText'),
+            actions: el('statusActions'),
+            viewTxBtn: el('statusViewTxBtn'),
+            newSwapBtn: el('statusNewSwapBtn'),
 
             // Steps
-            stepSubmitted: document.getElementById('stepSubmitted'),
-            stepMatched: document.getElementById('stepMatched'),
-            stepInitialReport: document.getElementById('stepInitialReport'),
-            stepDisputes: document.getElementById('stepDisputes'),
-            stepSettled: document.getElementById('stepSettled'),
-            stepExecuted: document.getElementById('stepExecuted'),
+            stepSubmitted: el('stepSubmitted'),
+            stepMatched: el('stepMatched'),
+            stepInitialReport: el('stepInitialReport'),
+            stepDisputes: el('stepDisputes'),
+            stepSettled: el('stepSettled'),
+            stepExecuted: el('stepExecuted'),
 
             // Step times
-            stepSubmittedTime: document.getElementById('stepSubmittedTime'),
-            stepMatchedTime: document.getElementById('stepMatchedTime'),
-            stepInitialReportTime: document.getElementById('stepInitialReportTime'),
-            stepDisputeTime: document.getElementById('stepDisputeTime'),
-            stepSettledTime: document.getElementById('stepSettledTime'),
-            stepExecutedTime: document.getElementById('stepExecutedTime'),
+            stepSubmittedTime: el('stepSubmittedTime'),
+            stepMatchedTime: el('stepMatchedTime'),
+            stepInitialReportTime: el('stepInitialReportTime'),
+            stepDisputeTime: el('stepDisputeTime'),
+            stepSettledTime: el('stepSettledTime'),
+            stepExecutedTime: el('stepExecutedTime'),
 
             // Details panels
-            stepSubmittedDetails: document.getElementById('stepSubmittedDetails'),
-            stepMatchedDetails: document.getElementById('stepMatchedDetails'),
-            stepInitialReportDetails: document.getElementById('stepInitialReportDetails'),
-            stepDisputeDetails: document.getElementById('stepDisputeDetails'),
-            stepSettledDetails: document.getElementById('stepSettledDetails'),
-            stepExecutedDetails: document.getElementById('stepExecutedDetails'),
+            stepSubmittedDetails: el('stepSubmittedDetails'),
+            stepMatchedDetails: el('stepMatchedDetails'),
+            stepInitialReportDetails: el('stepInitialReportDetails'),
+            stepDisputeDetails: el('stepDisputeDetails'),
+            stepSettledDetails: el('stepSettledDetails'),
+            stepExecutedDetails: el('stepExecutedDetails'),
 
             // Submitted details
-            submittedSellAmount: document.getElementById('submittedSellAmount'),
-            submittedBuyToken: document.getElementById('submittedBuyToken'),
-            cancelSwapBtn: document.getElementById('cancelSwapBtn'),
-            liveFulfillFee: document.getElementById('liveFulfillFee'),
+            submittedSellAmount: el('submittedSellAmount'),
+            submittedBuyToken: el('submittedBuyToken'),
+            cancelSwapBtn: el('cancelSwapBtn'),
+            liveFulfillFee: el('liveFulfillFee'),
 
             // Matched details
-            matchedBy: document.getElementById('matchedBy'),
-            matchedFulfillFee: document.getElementById('matchedFulfillFee'),
-            liveBounty: document.getElementById('liveBounty'),
-            latencyCountdownRow: document.getElementById('latencyCountdownRow'),
-            latencyCountdown: document.getElementById('latencyCountdown'),
-            bailoutRow: document.getElementById('bailoutRow'),
-            bailoutBtn: document.getElementById('bailoutBtn'),
+            matchedBy: el('matchedBy'),
+            matchedFulfillFee: el('matchedFulfillFee'),
+            liveBounty: el('liveBounty'),
+            latencyCountdownRow: el('latencyCountdownRow'),
+            latencyCountdown: el('latencyCountdown'),
+            bailoutRow: el('bailoutRow'),
+            bailoutBtn: el('bailoutBtn'),
 
             // Initial report details
-            initialReportPrice: document.getElementById('initialReportPrice'),
-            initialReportPair: document.getElementById('initialReportPair'),
-            initialReporter: document.getElementById('initialReporter'),
-            initialAmount1: document.getElementById('initialAmount1'),
-            initialAmount2: document.getElementById('initialAmount2'),
-            initialBountyClaimed: document.getElementById('initialBountyClaimed'),
+            initialReportPrice: el('initialReportPrice'),
+            initialReportPair: el('initialReportPair'),
+            initialReporter: el('initialReporter'),
+            initialAmount1: el('initialAmount1'),
+            initialAmount2: el('initialAmount2'),
+            initialBountyClaimed: el('initialBountyClaimed'),
 
             // Dispute details
-            disputeCount: document.getElementById('disputeCount'),
-            disputePrice: document.getElementById('disputePrice'),
-            disputePair: document.getElementById('disputePair'),
-            disputer: document.getElementById('disputer'),
-            disputeAmount1: document.getElementById('disputeAmount1'),
-            disputeAmount2: document.getElementById('disputeAmount2'),
+            disputeCount: el('disputeCount'),
+            disputePrice: el('disputePrice'),
+            disputePair: el('disputePair'),
+            disputer: el('disputer'),
+            disputeAmount1: el('disputeAmount1'),
+            disputeAmount2: el('disputeAmount2'),
+            disputeHistory: el('disputeHistory'),
+            disputeChart: el('disputeChart'),
+            disputeMoved: el('disputeMoved'),
+            disputeTableBody: el('disputeTableBody'),
 
             // Settled details
-            settledPrice: document.getElementById('settledPrice'),
-            settledPair: document.getElementById('settledPair'),
-            settler: document.getElementById('settler'),
-            settleCountdownRow: document.getElementById('settleCountdownRow'),
-            settleCountdown: document.getElementById('settleCountdown'),
-            selfSettleBtn: document.getElementById('selfSettleBtn'),
+            settledPrice: el('settledPrice'),
+            settledPair: el('settledPair'),
+            settler: el('settler'),
+            settleCountdownRow: el('settleCountdownRow'),
+            settleCountdown: el('settleCountdown'),
+            selfSettleBtn: el('selfSettleBtn'),
 
             // Executed details
-            executedReceived: document.getElementById('executedReceived'),
-            executedBountyCost: document.getElementById('executedBountyCost'),
-            executedFulfillFee: document.getElementById('executedFulfillFee'),
-            executedGasCosts: document.getElementById('executedGasCosts'),
-            executedTotalExpenses: document.getElementById('executedTotalExpenses'),
+            executedReceived: el('executedReceived'),
+            executedBountyCost: el('executedBountyCost'),
+            executedFulfillFee: el('executedFulfillFee'),
+            executedGasCosts: el('executedGasCosts'),
+            executedTotalExpenses: el('executedTotalExpenses'),
             // Gas breakdown
-            gasBreakdownToggle: document.getElementById('gasBreakdownToggle'),
-            gasBreakdownPanel: document.getElementById('gasBreakdownPanel'),
-            executedSwapTxGas: document.getElementById('executedSwapTxGas'),
-            executedGasComp: document.getElementById('executedGasComp'),
-            executedSettlerReward: document.getElementById('executedSettlerReward'),
+            gasBreakdownToggle: el('gasBreakdownToggle'),
+            gasBreakdownPanel: el('gasBreakdownPanel'),
+            executedSwapTxGas: el('executedSwapTxGas'),
+            executedGasComp: el('executedGasComp'),
+            executedSettlerReward: el('executedSettlerReward'),
         };
 
         // Setup gas breakdown toggle
@@ -217,24 +290,37 @@ class StatusTracker {
      * Start tracking a swap
      * @param {number} swapId - The swap ID
      * @param {string} txHash - Transaction hash (optional)
-     * @param {object} orderInfo - Order details: { sellAmount, sellToken, buyToken }
+     * @param {object} orderInfo - Order details: { sellAmount, sellToken, buyToken, sellTokenAddress, buyTokenAddress, sellTokenPriceUsd, swapper }
+     * @param {number} creationBlock - Block the swap was created in (optional, scanning starts here)
+     * @param {object} options - { replay: true } when re-attaching to an existing swap: logs from
+     *        creationBlock up to the head rebuild the timeline without firing the live callbacks.
+     *        { restored: snapshot } handles a serialize() snapshot's logs before following the swap.
      */
-    async startTracking(swapId, txHash = null, orderInfo = null) {
-        // Ensure elements are cached
-        if (!this.elementsCached) {
-            this.cacheElements();
-        }
-
+    async startTracking(swapId, txHash = null, orderInfo = null, creationBlock = null, { replay = false, restored = null } = {}) {
+        const session = ++this.session;
         this.swapId = swapId;
         this.reportId = null; // Reset reportId - will be set from ReportInstanceCreated in SwapMatched tx
+        this.chainId = CONFIG.chainId;
         this.isActive = true;
         this.events = [];
         this.disputeCount = 0;
+        this.reportHistory = [];
         this.lastPrice = null;
+        this.lastPair = null;
+        this.lastEthPrice = null;
         this.executionTxHash = txHash;
         this.swapTxHash = txHash; // Store for gas calculation
-        this.lastBlockChecked = 0;
-        console.log(`[StatusTracker] startTracking: swapId=${swapId}, swapTxHash=${txHash}`);
+        this.orderInfo = orderInfo;
+        this.finalStatus = null;
+        this.milestones = {};
+        this.settlementTime = CONFIG.defaults.settlementTime || 4;
+        this.lastBlockChecked = creationBlock ? creationBlock - 1 : 0;
+        this.logRange = LOG_RANGE;
+        this.replaying = replay;
+        this.recheck = false;
+        this.seenLogs = new Set();
+        this.handledLogs = [];
+        console.log(`[StatusTracker] startTracking: swapId=${swapId}, swapTxHash=${txHash}, creationBlock=${creationBlock}, replay=${replay}`);
 
         // Reset expense tracking
         this.bountyPaid = null; // Will be set from BountyInitialReportSubmitted event
@@ -243,6 +329,12 @@ class StatusTracker {
         this.fulfillmentFee = null;
         this.gasCompensation = orderInfo?.gasCompensation || null;
         this.settlerReward = orderInfo?.settlerReward || null;
+        this.sellTokenAddress = orderInfo?.sellTokenAddress || null;
+        this.buyTokenAddress = orderInfo?.buyTokenAddress || null;
+        this.sellTokenPriceUsd = orderInfo?.sellTokenPriceUsd || null;
+        this.swapper = orderInfo?.swapper || null;
+        this.executedAmounts = null;
+        this.expensesUsd = null;
 
         // Reset live bounty state
         this.stopLiveBountyTimer();
@@ -264,8 +356,7 @@ class StatusTracker {
         // Reset settle timer state
         this.stopSettleTimer();
 
-        // Show tracker
-        this.elements.tracker.classList.add('visible');
+        // Reset tracker header
         this.elements.tracker.classList.remove('completed');
         this.elements.swapId.textContent = `ID: ${swapId}`;
         this.elements.oracleId.style.display = 'none'; // Hide until we get reportId
@@ -307,8 +398,9 @@ class StatusTracker {
                     if (this.lastBlockChecked === 0) {
                         this.lastBlockChecked = parseInt(receipt.blockNumber, 16) - 1;
                     }
-                    // Update submitted time with block timestamp
+                    // Update submitted time with block timestamp (the live fee escalates from it)
                     const blockTimestamp = await this.getBlockTimestamp(receipt.blockNumber);
+                    if (this.session === session) this.submittedTimestamp = blockTimestamp * 1000;
                     const timeStr = this.formatTime(new Date(blockTimestamp * 1000));
                     this.setStepTime(this.elements.stepSubmittedTime, timeStr, txHash);
                 }
@@ -327,32 +419,130 @@ class StatusTracker {
         // Setup cancel button
         this.setupCancelButton();
 
-        // Start polling for events
-        this.startPolling();
+        if (restored) {
+            await this.handleSavedLogs(restored, session);
+            if (this.session !== session) return;
+        }
+
+        this.startUpdates();
 
         console.log(`[StatusTracker] Started tracking swap ${swapId}`);
     }
 
+    /**
+     * Follow events over a WebSocket subscription where the RPC has one, else poll
+     */
+    startUpdates() {
+        this.stopSubscriptions();
+        if (wsRpc.isAvailable()) {
+            this.startSubscriptions();
+        } else {
+            this.startPolling();
+        }
+    }
+
+    /**
+     * Snapshot of an active tracker (plain data apart from BigInts) for restore()
+     */
+    serialize() {
+        const snapshot = {};
+        for (const field of PERSISTED_FIELDS) {
+            snapshot[field] = this[field];
+        }
+        return snapshot;
+    }
+
+    /**
+     * Carry on tracking from a serialize() snapshot: the timeline, countdowns and
+     * expenses are rebuilt by handling the saved logs again (as a replay, so nothing
+     * is announced twice), then polling resumes after the last checked block
+     */
+    async restore(snapshot) {
+        await this.startTracking(snapshot.swapId, snapshot.swapTxHash || null, snapshot.orderInfo || null, null, {
+            replay: true,
+            restored: snapshot
+        });
+        console.log(`[StatusTracker] Restored swap ${this.swapId} from block ${this.lastBlockChecked + 1}`);
+        this.emit('updated', { swapId: this.swapId });
+    }
+
+    /**
+     * Handle the logs saved in a snapshot, then pick up where it left off
+     */
+    async handleSavedLogs(snapshot, session) {
+        this.autoScrollEnabled = false; // Don't pull the page to a restored timeline
+        this.milestones = snapshot.milestones || {};
+        if (snapshot.submittedTimestamp) this.submittedTimestamp = snapshot.submittedTimestamp;
+
+        // Snapshots from before logs were saved replay from the swap's transaction instead
+        if (!Array.isArray(snapshot.handledLogs)) return;
+        for (const log of snapshot.handledLogs) {
+            if (this.session !== session || !this.isActive) return;
+            await this.dispatchLog(log);
+        }
+        this.lastBlockChecked = snapshot.lastBlockChecked || this.lastBlockChecked;
+        this.replaying = Boolean(snapshot.replaying);
+    }
+
     /**
      * Stop tracking
      */
     stopTracking() {
         this.isActive = false;
-        if (this.pollingInterval) {
-            clearInterval(this.pollingInterval);
-            this.pollingInterval = null;
-        }
+        this.stopPolling();
+        this.stopSubscriptions();
         this.removeScrollListener();
         this.stopLiveFeeTimer();
     }
 
     /**
-     * Hide the tracker
+     * Close the tracker (the registry drops it on 'closed')
      */
     hide() {
+        if (this.isActive) {
+            this.emit('stopped', { swapId: this.swapId });
+        }
         this.stopTracking();
         this.removeScrollListener();
         this.elements.tracker.classList.remove('visible');
+        this.emit('closed', { swapId: this.swapId });
+    }
+
+    /**
+     * Show or hide the full timeline (only the expanded tracker is shown)
+     */
+    setExpanded(expanded) {
+        this.elements.tracker.classList.toggle('visible', expanded);
+    }
+
+    isExpanded() {
+        return this.elements.tracker.classList.contains('visible');
+    }
+
+    /**
+     * Compact state for the dock
+     * @returns {{swapId, label: string, step: string, state: string, live: boolean, status: string|null}}
+     */
+    getSummary() {
+        const info = this.orderInfo;
+        const steps = ['stepSubmitted', 'stepMatched', 'stepInitialReport', 'stepDisputes', 'stepSettled', 'stepExecuted'];
+        // Furthest step that has started
+        let current = this.elements.stepSubmitted;
+        for (const stepId of steps) {
+            const step = this.elements[stepId];
+            if (step && step.style.display !== 'none' && ['active', 'completed', 'error'].some(c => step.classList.contains(c))) {
+                current = step;
+            }
+        }
+        const state = ['error', 'active', 'completed'].find(c => current.classList.contains(c)) || STEP_STATE.PENDING;
+        return {
+            swapId: this.swapId,
+            label: info ? `${info.sellAmount} ${info.sellToken} → ${info.buyToken}` : `Swap #${this.swapId}`,
+            step: current.querySelector('.status-step-label')?.firstChild?.textContent.trim() || '',
+            state,
+            live: this.isActive,
+            status: this.finalStatus
+        };
     }
 
     /**
@@ -385,7 +575,7 @@ class StatusTracker {
      * Scroll to keep bottom of status tracker at bottom of viewport
      */
     scrollToBottom() {
-        if (!this.autoScrollEnabled || !this.elements.tracker) return;
+        if (!this.autoScrollEnabled || !this.isExpanded()) return;
 
         setTimeout(() => {
             const tracker = this.elements.tracker;
@@ -432,6 +622,11 @@ class StatusTracker {
             const panel = this.elements[id];
             if (panel) panel.style.display = 'none';
         });
+        if (this.elements.disputeHistory) {
+            this.elements.disputeHistory.style.display = 'none';
+            this.elements.disputeChart.innerHTML = '';
+            this.elements.disputeTableBody.innerHTML = '';
+        }
 
         // Reset times
         const times = [
@@ -468,6 +663,9 @@ class StatusTracker {
 
         if (!step) return;
 
+        const milestone = STEP_MILESTONES[`${stepName}:${state}`];
+        if (milestone) this.announce(milestone);
+
         // Remove all state classes
         step.classList.remove('pending', 'active', 'completed', 'error');
 
@@ -480,6 +678,21 @@ class StatusTracker {
         if (state !== STEP_STATE.PENDING && stepName === 'disputes') {
             step.style.display = '';
         }
+
+        this.emit('updated', { swapId: this.swapId });
+    }
+
+    /**
+     * Emit 'milestone' once per milestone (per dispute round for disputes and
+     * settling) - not for logs replayed from before tracking started
+     */
+    announce(milestone) {
+        if (this.replaying) return;
+        const perRound = milestone === MILESTONE.DISPUTED || milestone === MILESTONE.SETTLEABLE;
+        const key = perRound ? `${milestone}:${this.disputeCount}` : milestone;
+        if (this.milestones[key]) return;
+        this.milestones[key] = true;
+        this.emit('milestone', { swapId: this.swapId, milestone, label: this.getSummary().label });
     }
 
     /**
@@ -501,13 +714,256 @@ class StatusTracker {
         this.checkForEvents();
     }
 
+    stopPolling() {
+        if (this.pollingInterval) {
+            clearInterval(this.pollingInterval);
+            this.pollingInterval = null;
+        }
+    }
+
+    /**
+     * Follow the swap with eth_subscribe: newHeads plus a logs subscription per
+     * getLogFilters() entry. Polling takes over while the socket is down; on
+     * (re)connect the subscriptions are made again and the blocks since
+     * lastBlockChecked are backfilled over HTTP.
+     */
+    async startSubscriptions() {
+        const session = this.session;
+        this.wsListener = wsRpc.on(({ event }) => {
+            if (this.session !== session || !this.isActive) return;
+            if (event === 'disconnected') {
+                console.log('[StatusTracker] WebSocket lost, polling until it reconnects');
+                this.subscriptionIds = [];
+                this.transport = 'polling';
+                this.startPolling();
+            } else if (event === 'connected') {
+                this.subscribe(session).catch(e => {
+                    console.log('[StatusTracker] Could not resubscribe:', e.message);
+                });
+            } else if (event === 'failed') {
+                console.log('[StatusTracker] WebSocket unavailable, staying on polling');
+            }
+        });
+
+        try {
+            await this.subscribe(session);
+        } catch (e) {
+            console.log('[StatusTracker] WebSocket subscription failed, polling instead:', e.message);
+            if (this.session === session && this.isActive && !this.pollingInterval) {
+                this.startPolling();
+            }
+        }
+    }
+
+    /**
+     * (Re)subscribe with the current filters, then backfill over HTTP.
+     * New subscriptions are made before the old ones are dropped, so narrowing
+     * the filters after the match can't miss a log (duplicates are skipped).
+     */
+    async subscribe(session) {
+        const previous = this.subscriptionIds;
+        const reportId = this.reportId;
+        const ids = [];
+        try {
+            ids.push(await wsRpc.subscribe('newHeads', [], head => this.handleNewHead(session, head)));
+            for (const filter of this.getLogFilters()) {
+                ids.push(await wsRpc.subscribe('logs', [filter], log => this.queueLiveLog(session, log)));
+            }
+        } catch (e) {
+            ids.forEach(id => wsRpc.unsubscribe(id));
+            throw e;
+        }
+
+        if (this.session !== session || !this.isActive) {
+            ids.forEach(id => wsRpc.unsubscribe(id));
+            return;
+        }
+
+        this.subscriptionIds = ids;
+        this.subscribedReportId = reportId;
+        previous.forEach(id => wsRpc.unsubscribe(id));
+        if (this.transport !== 'websocket') {
+            console.log(`[StatusTracker] Following swap ${this.swapId} over WebSocket`);
+        }
+        this.transport = 'websocket';
+        this.stopPolling();
+
+        // Creation block on start, the gap on reconnect, the rest of the match block when narrowing
+        this.checkForEvents();
+    }
+
+    stopSubscriptions() {
+        if (this.wsListener) {
+            this.wsListener();
+            this.wsListener = null;
+        }
+        this.subscriptionIds.forEach(id => wsRpc.unsubscribe(id));
+        this.subscriptionIds = [];
+        this.subscribedReportId = null;
+        wsRpc.disconnectIfIdle();
+        clearTimeout(this.liveLogTimer);
+        this.liveLogTimer = null;
+        this.liveLogs = [];
+        this.transport = 'polling';
+    }
+
+    /**
+     * New block from the subscription. Its logs arrive with it, so everything
+     * before it has been seen - unless a backfill is still walking the range.
+     */
+    handleNewHead(session, head) {
+        if (this.session !== session || !this.isActive) return;
+        const blockNumber = parseInt(head.number, 16);
+        if (!this.isChecking && !this.replaying && this.liveLogs.length === 0) {
+            this.lastBlockChecked = Math.max(this.lastBlockChecked, blockNumber - 1);
+        }
+    }
+
+    /**
+     * Log from a subscription - collected briefly so logs from different
+     * filters are handled in chain order
+     */
+    queueLiveLog(session, log) {
+        if (this.session !== session || !this.isActive) return;
+        if (log.removed) return; // Reorged out
+        this.liveLogs.push(log);
+        if (!this.liveLogTimer) {
+            this.liveLogTimer = setTimeout(() => {
+                this.liveLogTimer = null;
+                this.handleLiveLogs();
+            }, LIVE_LOG_DELAY);
+        }
+    }
+
+    async handleLiveLogs() {
+        // A running backfill handles the queue when it finishes, after the older logs
+        if (this.isChecking || this.liveLogs.length === 0) return;
+        this.isChecking = true;
+        const session = this.session;
+
+        try {
+            const logs = this.liveLogs.splice(0).sort((a, b) =>
+                parseInt(a.blockNumber, 16) - parseInt(b.blockNumber, 16) ||
+                parseInt(a.logIndex, 16) - parseInt(b.logIndex, 16));
+            for (const log of logs) {
+                if (this.session !== session || !this.isActive) break;
+                await this.dispatchLog(log);
+            }
+        } catch (error) {
+            console.error('[StatusTracker] Error handling live logs:', error);
+        } finally {
+            this.isChecking = false;
+            this.afterCheck();
+        }
+    }
+
+    /**
+     * Run whatever was held back while a check was in progress
+     */
+    afterCheck() {
+        if (this.isActive) this.emit('checked', { swapId: this.swapId });
+
+        // Matched - swap the subscriptions to the report's filters
+        if (this.transport === 'websocket' && this.isActive && this.reportId !== this.subscribedReportId) {
+            const session = this.session;
+            this.subscribedReportId = this.reportId;
+            this.subscribe(session).catch(e => {
+                console.log('[StatusTracker] Could not narrow subscriptions, polling instead:', e.message);
+                if (this.session === session && this.isActive) this.startPolling();
+            });
+        }
+
+        if (this.recheck) {
+            this.recheck = false;
+            this.checkForEvents();
+        } else if (this.liveLogs.length > 0) {
+            this.handleLiveLogs();
+        }
+    }
+
+    /**
+     * Route a log to its contract's handler (each log once)
+     */
+    async dispatchLog(log) {
+        const key = `${log.transactionHash}:${log.logIndex}`;
+        if (this.seenLogs.has(key)) return;
+        this.seenLogs.add(key);
+        this.handledLogs.push({
+            address: log.address, topics: log.topics, data: log.data,
+            blockNumber: log.blockNumber, transactionHash: log.transactionHash, logIndex: log.logIndex
+        });
+
+        const address = log.address.toLowerCase();
+        if (address === CONFIG.contracts.openSwap.toLowerCase()) {
+            await this.handleOpenSwapEvent(log);
+        } else if (address === CONFIG.contracts.openOracle.toLowerCase()) {
+            await this.handleOracleEvent(log);
+        } else if (this.hasBountyContract() && address === CONFIG.contracts.oracleBounty.toLowerCase()) {
+            await this.handleBountyEvent(log);
+        }
+    }
+
+    /**
+     * eth_getLogs filters for the tracked swap, narrowed by what is known so far.
+     * openSwap events are filtered on the indexed swapper; SwapCancelled and the
+     * bailout events index nothing, so they are filtered on topic only. Once
+     * SwapMatched gives the reportId, the match / cancel filters are replaced by the
+     * execution ones plus the oracle and bounty events for that report (a retargeted
+     * bounty is indexed by its new report, so BountyRetargeted is topic only).
+     * No two filters can return the same log.
+     * @returns {Array<{address: string, topics: Array}>}
+     */
+    getLogFilters() {
+        const ifaces = getInterfaces();
+        const topicsOf = (iface, names) => names.map(name => ifaces[iface].getEvent(name).topicHash);
+        const swapper = this.swapper ? ethers.zeroPadValue(this.swapper.toLowerCase(), 32) : null;
+        const openSwap = CONFIG.contracts.openSwap;
+
+        if (!this.reportId) {
+            // SwapMatched(swapId, fulfillmentFee, matcher indexed, reportId, swapper indexed)
+            return [
+                { address: openSwap, topics: swapper ? [topicsOf('openSwap', ['SwapMatched']), null, swapper] : [topicsOf('openSwap', ['SwapMatched'])] },
+                { address: openSwap, topics: [topicsOf('openSwap', ['SwapCancelled'])] }
+            ];
+        }
+
+        const reportTopic = ethers.toBeHex(BigInt(this.reportId), 32);
+        // SwapExecuted / SwapRefunded index swapper first
+        const filters = [
+            { address: openSwap, topics: swapper ? [topicsOf('openSwap', ['SwapExecuted', 'SwapRefunded']), swapper] : [topicsOf('openSwap', ['SwapExecuted', 'SwapRefunded'])] },
+            { address: openSwap, topics: [topicsOf('openSwap', ['SlippageBailout', 'ImpliedBlocksPerSecondBailout'])] },
+            {
+                address: CONFIG.contracts.openOracle,
+                topics: [topicsOf('openOracle', ['InitialReportSubmitted', 'ReportDisputed', 'ReportSettled', 'SettlementCallbackExecuted']), reportTopic]
+            }
+        ];
+        if (this.hasBountyContract()) {
+            filters.push(
+                { address: CONFIG.contracts.oracleBounty, topics: [topicsOf('oracleBounty', ['BountyInitialReportSubmitted', 'BountyRecalled']), reportTopic] },
+                { address: CONFIG.contracts.oracleBounty, topics: [topicsOf('oracleBounty', ['BountyRetargeted'])] }
+            );
+        }
+        return filters;
+    }
+
+    hasBountyContract() {
+        return Boolean(CONFIG.contracts.oracleBounty) &&
+            CONFIG.contracts.oracleBounty !== '0x0000000000000000000000000000000000000000';
+    }
+
     /**
      * Check for new events via RPC
+     * Logs matching getLogFilters() are handled in chain order, a chunk of blocks at a time
      */
     async checkForEvents() {
         if (!this.swapId) return;
-        if (this.isChecking) return; // Prevent overlapping calls
+        if (this.isChecking) {
+            // Prevent overlapping calls - run again once the current one is done
+            this.recheck = true;
+            return;
+        }
         this.isChecking = true;
+        const session = this.session;
 
         try {
             const provider = window.ethereum;
@@ -521,55 +977,74 @@ class StatusTracker {
             const currentBlockNum = parseInt(currentBlock, 16);
 
             // Start from creation block or last checked
-            const fromBlock = this.lastBlockChecked > 0
+            let fromBlock = this.lastBlockChecked > 0
                 ? this.lastBlockChecked + 1
                 : Math.max(0, currentBlockNum - 10); // Fallback: look back 10 blocks max
 
-            if (fromBlock > currentBlockNum) {
-                this.isChecking = false;
-                return;
-            }
-
-            const fromBlockHex = '0x' + fromBlock.toString(16);
-            const toBlockHex = '0x' + currentBlockNum.toString(16);
-
-            // Batch all getLogs calls into one request
-            const hasBountyContract = CONFIG.contracts.oracleBounty &&
-                CONFIG.contracts.oracleBounty !== '0x0000000000000000000000000000000000000000';
+            while (fromBlock <= currentBlockNum && this.isActive && this.session === session) {
+                const toBlock = Math.min(fromBlock + this.logRange - 1, currentBlockNum);
+                const fromBlockHex = '0x' + fromBlock.toString(16);
+                const toBlockHex = '0x' + toBlock.toString(16);
 
-            const batchCalls = [
-                { method: 'eth_getLogs', params: [{ address: CONFIG.contracts.openSwap, fromBlock: fromBlockHex, toBlock: toBlockHex }] },
-                { method: 'eth_getLogs', params: [{ address: CONFIG.contracts.openOracle, fromBlock: fromBlockHex, toBlock: toBlockHex }] }
-            ];
-            if (hasBountyContract) {
-                batchCalls.push({ method: 'eth_getLogs', params: [{ address: CONFIG.contracts.oracleBounty, fromBlock: fromBlockHex, toBlock: toBlockHex }] });
-            }
+                // Batch all getLogs calls into one request
+                const reportIdBefore = this.reportId;
+                let results;
+                try {
+                    results = await this.rpcCallBatch(this.getLogFilters().map(({ address, topics }) => ({
+                        method: 'eth_getLogs',
+                        params: [{ address, topics, fromBlock: fromBlockHex, toBlock: toBlockHex }]
+                    })));
+                } catch (e) {
+                    // Public RPCs cap the block range - retry smaller
+                    if (this.logRange > MIN_LOG_RANGE) {
+                        this.logRange = Math.max(MIN_LOG_RANGE, Math.floor(this.logRange / 2));
+                        continue;
+                    }
+                    throw e;
+                }
 
-            const [openSwapLogs, oracleLogs, bountyLogs] = await this.rpcCallBatch(batchCalls);
+                // Chain order, so e.g. reports are seen before the execution that ends tracking
+                const logs = results.flat().filter(Boolean).sort((a, b) =>
+                    parseInt(a.blockNumber, 16) - parseInt(b.blockNumber, 16) ||
+                    parseInt(a.logIndex, 16) - parseInt(b.logIndex, 16));
 
-            // Process logs in order
-            if (openSwapLogs && openSwapLogs.length > 0) {
-                for (const log of openSwapLogs) {
-                    await this.handleOpenSwapEvent(log);
+                let narrowedAt = null;
+                for (const log of logs) {
+                    if (this.session !== session) break;
+                    await this.dispatchLog(log);
+                    // Matched - the rest of the range needs the report's filters
+                    if (this.reportId !== reportIdBefore) {
+                        narrowedAt = parseInt(log.blockNumber, 16);
+                        break;
+                    }
                 }
-            }
-            if (oracleLogs && oracleLogs.length > 0) {
-                for (const log of oracleLogs) {
-                    await this.handleOracleEvent(log);
+
+                if (this.session !== session) break;
+                if (narrowedAt !== null) {
+                    this.lastBlockChecked = narrowedAt - 1;
+                    fromBlock = narrowedAt;
+                    continue;
                 }
+                this.lastBlockChecked = toBlock;
+                fromBlock = toBlock + 1;
             }
-            if (hasBountyContract && bountyLogs && bountyLogs.length > 0) {
-                for (const log of bountyLogs) {
-                    await this.handleBountyEvent(log);
+
+            // Caught up with the head - anything after this is live
+            if (this.session === session && fromBlock > currentBlockNum) {
+                const wasReplaying = this.replaying;
+                this.replaying = false;
+                // A report that became settleable during the replay is still waiting to be settled
+                if (wasReplaying && this.isActive && this.settleDeadline &&
+                    this.elements.stepSettled?.classList.contains(STEP_STATE.ACTIVE)) {
+                    this.announce(MILESTONE.SETTLEABLE);
                 }
             }
 
-            this.lastBlockChecked = currentBlockNum;
-
         } catch (error) {
             console.error('[StatusTracker] Error checking events:', error);
         } finally {
             this.isChecking = false;
+            this.afterCheck();
         }
     }
 
@@ -595,32 +1070,40 @@ class StatusTracker {
     }
 
     /**
-     * Handle openSwap contract events
-     * SwapMatched(uint256 swapId, uint256 fulfillmentFee, address matcher)
-     * SwapExecuted(address indexed swapper, address indexed matcher, uint256 swapId, uint256 sellTokenAmt, uint256 buyTokenAmt)
+     * Decode a log with one of the contract interfaces
+     * @param {'openSwap'|'openOracle'|'oracleBounty'} contract
+     * @returns {ethers.LogDescription|null} null for events not in the ABI or undecodable data
+     */
+    decodeLog(contract, log) {
+        try {
+            return getInterfaces()[contract].parseLog(log);
+        } catch (e) {
+            console.error(`[StatusTracker] Undecodable ${contract} log in ${log.transactionHash}:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Handle openSwap contract events for the tracked swap
      */
     async handleOpenSwapEvent(log) {
         if (!this.isActive) return; // Stop processing if swap is finished
 
-        const topic0 = log.topics[0];
+        const parsed = this.decodeLog('openSwap', log);
+        if (!parsed || !SWAP_EVENTS.has(parsed.name)) return;
+        const { name, args } = parsed;
+        const swapId = Number(args.swapId);
+        if (swapId !== this.swapId) return;
 
         const timestamp = await this.getBlockTimestamp(log.blockNumber);
         const timeStr = this.formatTime(new Date(timestamp * 1000));
 
-        if (topic0 === TOPICS.SWAP_MATCHED) {
-            // SwapMatched(uint256 swapId, uint256 fulfillmentFee, address indexed matcher, uint256 reportId, address indexed swapper)
-            // Topics: [topic0, matcher, swapper] - indexed addresses in topics
-            // Data: swapId (32 bytes) + fulfillmentFee (32 bytes) + reportId (32 bytes)
+        if (name === 'SwapMatched') {
             try {
-                const data = log.data.slice(2); // Remove 0x
-                const swapId = parseInt(data.slice(0, 64), 16);
-
-                if (swapId !== this.swapId) return;
-
-                // Indexed params are in topics: matcher = topics[1], swapper = topics[2]
-                const matcher = '0x' + log.topics[1].slice(26); // Last 20 bytes of topic
-                const fulfillmentFeeRaw = parseInt(data.slice(64, 128), 16); // 2nd word in data (1e7 scale)
-                const reportId = parseInt(data.slice(128, 192), 16); // 3rd word in data
+                const matcher = args.matcher;
+                this.swapper = this.swapper || args.swapper;
+                const fulfillmentFeeRaw = Number(args.fulfillmentFee); // 1e7 scale
+                const reportId = Number(args.reportId);
 
                 // Store fulfillment fee for expense tracking
                 this.fulfillmentFee = fulfillmentFeeRaw;
@@ -657,7 +1140,7 @@ class StatusTracker {
 
                 // Start live bounty timer (shows escalating bounty while waiting for initial report)
                 // Delay display by 1s to avoid jarring pop-in/out on quick initial reports
-                this.matchedTimestamp = Date.now();
+                this.matchedTimestamp = timestamp * 1000;
                 setTimeout(() => {
                     if (this.isActive && !this.initialReportReceived) {
                         this.startLiveBountyTimer();
@@ -670,8 +1153,8 @@ class StatusTracker {
                 this.scrollToBottom();
                 console.log(`[StatusTracker] SwapMatched: swapId=${swapId}, matcher=${matcher}, reportId=${reportId}`);
 
-                // Call matched callback with bailout deadline
-                if (this.onMatchedCallback) {
+                // Call matched callback with bailout deadline (not for a match replayed from history)
+                if (this.onMatchedCallback && !this.replaying) {
                     try {
                         this.onMatchedCallback(this.swapId, this.latencyBailoutDeadline);
                     } catch (e) {}
@@ -681,21 +1164,13 @@ class StatusTracker {
             }
         }
 
-        if (topic0 === TOPICS.SWAP_EXECUTED) {
-            // SwapExecuted(address indexed swapper, address indexed matcher, uint256 swapId, uint256 sellTokenAmt, uint256 buyTokenAmt)
-            // Topics: [topic0, swapper, matcher]
-            // Data: swapId (32 bytes) + sellTokenAmt (32 bytes) + buyTokenAmt (32 bytes)
+        if (name === 'SwapExecuted') {
             try {
-                const data = log.data.slice(2);
-                const swapId = parseInt(data.slice(0, 64), 16);
-
-                if (swapId !== this.swapId) return;
-
                 // Store execution tx hash for explorer link
                 this.executionTxHash = log.transactionHash;
 
-                const sellTokenAmt = BigInt('0x' + data.slice(64, 128));
-                const buyTokenAmt = BigInt('0x' + data.slice(128, 192));
+                const { sellTokenAmt, buyTokenAmt } = args;
+                this.executedAmounts = { sellTokenAmt, buyTokenAmt };
 
                 // Get the actual settler from the transaction's from address
                 let settler = null;
@@ -708,16 +1183,16 @@ class StatusTracker {
                     console.error('[StatusTracker] Error fetching tx for settler:', e);
                 }
 
-                // Determine if we received ETH or USDC based on amounts
-                // ETH has 18 decimals, USDC has 6 decimals
-                // If buyTokenAmt is large (> 1e12), it's likely ETH (18 decimals)
-                const isReceivingEth = buyTokenAmt > BigInt(1e12);
-                let receivedFormatted;
-                if (isReceivingEth) {
-                    receivedFormatted = `${(Number(buyTokenAmt) / 1e18).toFixed(6)} ETH`;
-                } else {
-                    receivedFormatted = `${(Number(buyTokenAmt) / 1e6).toFixed(2)} USDC`;
+                // Without order info, guess ETH vs USDC from the amount
+                // (ETH has 18 decimals, USDC has 6: anything > 1e12 is likely ETH)
+                if (!this.buyTokenAddress) {
+                    const isReceivingEth = buyTokenAmt > BigInt(1e12);
+                    this.buyTokenAddress = isReceivingEth ? ETH.address : CONFIG.tokens.USDC;
+                    this.sellTokenAddress = this.sellTokenAddress || (isReceivingEth ? CONFIG.tokens.USDC : ETH.address);
                 }
+                const buyToken = getToken(this.buyTokenAddress) || { symbol: '???', decimals: 18 };
+                const received = Number(buyTokenAmt) / 10 ** buyToken.decimals;
+                const receivedFormatted = `${received.toFixed(getDisplayDecimals(buyToken))} ${buyToken.symbol}`;
 
                 // Mark ALL previous steps as completed
                 this.updateStep('matched', STEP_STATE.COMPLETED);
@@ -742,7 +1217,7 @@ class StatusTracker {
                 this.setStepTime(this.elements.stepSettledTime, timeStr, log.transactionHash);
                 // Use stored lastPrice from initial report or dispute
                 this.elements.settledPrice.textContent = this.lastPrice || '—';
-                this.elements.settledPair.textContent = 'ETH/USD';
+                this.elements.settledPair.textContent = this.lastPair || 'ETH/USD';
                 if (settler) {
                     this.elements.settler.textContent = shortenAddress(settler);
                 }
@@ -756,7 +1231,7 @@ class StatusTracker {
                 this.elements.executedReceived.textContent = receivedFormatted;
 
                 // Calculate and display expenses
-                await this.calculateAndDisplayExpenses(log.transactionHash, sellTokenAmt, isReceivingEth);
+                await this.calculateAndDisplayExpenses(log.transactionHash, sellTokenAmt);
 
                 this.elements.stepExecutedDetails.style.display = 'block';
 
@@ -771,13 +1246,12 @@ class StatusTracker {
             }
         }
 
-        if (topic0 === TOPICS.SWAP_CANCELLED) {
+        if (name === 'SwapCancelled') {
             try {
-                const data = log.data.slice(2);
-                const swapId = parseInt(data.slice(0, 64), 16);
-
-                if (swapId !== this.swapId) return;
-
+                console.log(`[StatusTracker] SwapCancelled: swapId=${swapId}`);
+                if (this.elements.cancelSwapBtn) {
+                    this.elements.cancelSwapBtn.style.display = 'none';
+                }
                 this.updateStep('submitted', STEP_STATE.ERROR);
                 this.markComplete('Cancelled');
             } catch (e) {
@@ -786,13 +1260,8 @@ class StatusTracker {
         }
 
         // Bailout events - these are emitted before SwapRefunded when safety checks fail
-        if (topic0 === TOPICS.SLIPPAGE_BAILOUT) {
+        if (name === 'SlippageBailout') {
             try {
-                const data = log.data.slice(2);
-                const swapId = parseInt(data.slice(0, 64), 16);
-
-                if (swapId !== this.swapId) return;
-
                 this.bailoutReason = 'slippage';
                 console.log(`[StatusTracker] SlippageBailout: swapId=${swapId} - price moved outside tolerance`);
                 // The SwapRefunded event will follow and mark the swap as refunded
@@ -801,13 +1270,8 @@ class StatusTracker {
             }
         }
 
-        if (topic0 === TOPICS.IMPLIED_BLOCKS_BAILOUT) {
+        if (name === 'ImpliedBlocksPerSecondBailout') {
             try {
-                const data = log.data.slice(2);
-                const swapId = parseInt(data.slice(0, 64), 16);
-
-                if (swapId !== this.swapId) return;
-
                 this.bailoutReason = 'blocks';
                 console.log(`[StatusTracker] ImpliedBlocksPerSecondBailout: swapId=${swapId} - block timing anomaly detected`);
                 // The SwapRefunded event will follow and mark the swap as refunded
@@ -816,15 +1280,8 @@ class StatusTracker {
             }
         }
 
-        // SwapRefunded(uint256 swapId, address indexed swapper, address indexed matcher)
-        // Data: swapId only (addresses are indexed in topics)
-        if (topic0 === TOPICS.SWAP_REFUNDED) {
+        if (name === 'SwapRefunded') {
             try {
-                const data = log.data.slice(2);
-                const swapId = parseInt(data.slice(0, 64), 16);
-
-                if (swapId !== this.swapId) return;
-
                 // Store refund tx hash for explorer link
                 this.executionTxHash = log.transactionHash;
 
@@ -873,84 +1330,41 @@ class StatusTracker {
     }
 
     /**
-     * Handle openOracle contract events
-     * InitialReportSubmitted(uint256 indexed reportId, address reporter, uint256 amount1, uint256 amount2, ...)
-     * ReportDisputed(uint256 indexed reportId, address disputer, uint256 newAmount1, uint256 newAmount2, ...)
-     * Note: ReportSettled is atomic with SwapExecuted, so we handle settle in handleOpenSwapEvent
+     * Handle openOracle contract events for the tracked swap's report
+     * ReportSettled comes before the openSwap callback's SwapExecuted / SwapRefunded,
+     * SettlementCallbackExecuted after it.
      * Note: BountyClaimed (BountyInitialReportSubmitted) is atomic with InitialReportSubmitted
      */
     async handleOracleEvent(log) {
         if (!this.isActive) return; // Stop processing if swap is finished
 
-        const topic0 = log.topics[0];
-
-        // reportId is indexed as topic1
-        if (log.topics.length < 2) return;
-        const reportIdFromLog = parseInt(log.topics[1], 16);
-
-        // Skip oracle events if we don't have reportId yet (will be set from SwapMatched tx)
+        // Skip oracle events if we don't have reportId yet (will be set from SwapMatched)
         // This prevents capturing events from other swaps
         if (!this.reportId) return;
 
+        const parsed = this.decodeLog('openOracle', log);
+        if (!parsed) return;
+        const { name, args } = parsed;
+        const reportIdFromLog = Number(args.reportId);
+
         // Filter by reportId - must match our swap's reportId
         if (reportIdFromLog !== this.reportId) return;
 
         const timestamp = await this.getBlockTimestamp(log.blockNumber);
         const timeStr = this.formatTime(new Date(timestamp * 1000));
 
-        if (topic0 === TOPICS.INITIAL_REPORT_SUBMITTED) {
-            // InitialReportSubmitted(uint256 indexed reportId, address reporter, uint256 amount1, uint256 amount2,
-            //                        address indexed token1Address, address indexed token2Address, ...)
-            // Topics: [sig, reportId, token1Address, token2Address]
-            // Data: reporter + amount1 + amount2 + ...
+        if (name === 'InitialReportSubmitted') {
             try {
-                const data = log.data.slice(2);
-                const reporter = '0x' + data.slice(24, 64);
-                const amount1Raw = BigInt('0x' + data.slice(64, 128));
-                const amount2Raw = BigInt('0x' + data.slice(128, 192));
-
-                // Get token addresses from indexed topics (slice 26 to get last 40 hex chars = 20 bytes)
-                const token1Address = log.topics.length > 2 ? ('0x' + log.topics[2].slice(26)).toLowerCase() : null;
-                const token2Address = log.topics.length > 3 ? ('0x' + log.topics[3].slice(26)).toLowerCase() : null;
-
-                // Known addresses on Optimism
-                const WETH = '0x4200000000000000000000000000000000000006';
-                const USDC = '0x0b2c639c533813f4aa9d7837caf62653d097ff85';
-
-                // Determine token order based on openSwap logic:
-                // token1 = sellToken (or WETH if selling ETH)
-                // token2 = buyToken (or WETH if buying ETH)
-                const isToken1Weth = token1Address === WETH;
-                const isToken2Weth = token2Address === WETH;
-
-                let ethAmount, usdcAmount, price;
-                let amount1Label, amount2Label;
-
-                if (isToken1Weth) {
-                    // Selling WETH for USDC: token1=WETH(18), token2=USDC(6)
-                    ethAmount = Number(amount1Raw) / 1e18;
-                    usdcAmount = Number(amount2Raw) / 1e6;
-                    amount1Label = `${ethAmount.toFixed(6)} WETH`;
-                    amount2Label = `${usdcAmount.toFixed(2)} USDC`;
-                } else if (isToken2Weth) {
-                    // Selling USDC for WETH: token1=USDC(6), token2=WETH(18)
-                    usdcAmount = Number(amount1Raw) / 1e6;
-                    ethAmount = Number(amount2Raw) / 1e18;
-                    amount1Label = `${usdcAmount.toFixed(2)} USDC`;
-                    amount2Label = `${ethAmount.toFixed(6)} WETH`;
-                } else {
-                    // Unknown tokens - fallback
-                    ethAmount = Number(amount1Raw) / 1e18;
-                    usdcAmount = Number(amount2Raw) / 1e6;
-                    amount1Label = `${ethAmount.toFixed(6)} ???`;
-                    amount2Label = `${usdcAmount.toFixed(2)} ???`;
-                }
+                const { reporter, amount1: amount1Raw, amount2: amount2Raw } = args;
+                const token1Address = args.token1Address.toLowerCase();
+                const token2Address = args.token2Address.toLowerCase();
 
-                // ETH/USD price
-                price = ethAmount > 0 ? usdcAmount / ethAmount : 0;
-                const priceStr = `$${price.toFixed(2)}`;
+                const report = this.describeReport(token1Address, token2Address, amount1Raw, amount2Raw);
+                const { amount1Label, amount2Label, priceStr, pair } = report;
 
                 this.lastPrice = priceStr;
+                this.settlementTime = Number(args.settlementTime);
+                this.recordReport('initial', log, timestamp, reporter, amount1Raw, amount2Raw, report);
 
                 // Initial report received - stop bounty timer and bailout countdown
                 this.initialReportReceived = true;
@@ -970,23 +1384,16 @@ class StatusTracker {
                 if (initialReportLabel) initialReportLabel.textContent = 'Initial Report Submitted';
                 this.setStepTime(this.elements.stepInitialReportTime, timeStr, log.transactionHash);
                 this.elements.initialReportPrice.textContent = priceStr;
-                this.elements.initialReportPair.textContent = 'ETH/USD';
+                this.elements.initialReportPair.textContent = pair;
                 this.elements.initialReporter.textContent = shortenAddress(reporter);
                 this.elements.initialAmount1.textContent = amount1Label;
                 this.elements.initialAmount2.textContent = amount2Label;
 
                 // Display bounty claimed in USD (2 sig figs)
                 if (this.bountyPaid !== null && this.elements.initialBountyClaimed) {
-                    const isEthBounty = !this.bountyToken ||
-                        this.bountyToken === '0x0000000000000000000000000000000000000000';
-                    let bountyUsd;
-                    if (isEthBounty) {
-                        const bountyEth = Number(this.bountyPaid) / 1e18;
-                        const ethPrice = this.bountyParams?.ethPrice || price; // use oracle price as fallback
-                        bountyUsd = bountyEth * ethPrice;
-                    } else {
-                        bountyUsd = Number(this.bountyPaid) / 1e6; // USDC
-                    }
+                    // Use oracle price as fallback for ETH/USD
+                    const ethPrice = this.bountyParams?.ethPrice || this.lastEthPrice || 0;
+                    const bountyUsd = this.tokenToUsd(this.bountyToken || ETH.address, this.bountyPaid, ethPrice);
                     const formatted = bountyUsd >= 1 ? `$${bountyUsd.toFixed(2)}` : `$${bountyUsd.toPrecision(2)}`;
                     this.elements.initialBountyClaimed.textContent = formatted;
                 }
@@ -1002,48 +1409,19 @@ class StatusTracker {
             }
         }
 
-        if (topic0 === TOPICS.REPORT_DISPUTED) {
-            // ReportDisputed(uint256 indexed reportId, address disputer, uint256 newAmount1, uint256 newAmount2,
-            //                address indexed token1Address, address indexed token2Address, ...)
+        if (name === 'ReportDisputed') {
             try {
-                const data = log.data.slice(2);
-                const disputer = '0x' + data.slice(24, 64);
-                const amount1Raw = BigInt('0x' + data.slice(64, 128));
-                const amount2Raw = BigInt('0x' + data.slice(128, 192));
-
-                // Get token addresses from indexed topics
-                const token1Address = log.topics.length > 2 ? ('0x' + log.topics[2].slice(26)).toLowerCase() : null;
-                const token2Address = log.topics.length > 3 ? ('0x' + log.topics[3].slice(26)).toLowerCase() : null;
-
-                const WETH = '0x4200000000000000000000000000000000000006';
-                const isToken1Weth = token1Address === WETH;
-                const isToken2Weth = token2Address === WETH;
-
-                let ethAmount, usdcAmount, price;
-                let amount1Label, amount2Label;
-
-                if (isToken1Weth) {
-                    ethAmount = Number(amount1Raw) / 1e18;
-                    usdcAmount = Number(amount2Raw) / 1e6;
-                    amount1Label = `${ethAmount.toFixed(6)} WETH`;
-                    amount2Label = `${usdcAmount.toFixed(2)} USDC`;
-                } else if (isToken2Weth) {
-                    usdcAmount = Number(amount1Raw) / 1e6;
-                    ethAmount = Number(amount2Raw) / 1e18;
-                    amount1Label = `${usdcAmount.toFixed(2)} USDC`;
-                    amount2Label = `${ethAmount.toFixed(6)} WETH`;
-                } else {
-                    ethAmount = Number(amount1Raw) / 1e18;
-                    usdcAmount = Number(amount2Raw) / 1e6;
-                    amount1Label = `${ethAmount.toFixed(6)} ???`;
-                    amount2Label = `${usdcAmount.toFixed(2)} ???`;
-                }
+                const { disputer, newAmount1: amount1Raw, newAmount2: amount2Raw } = args;
+                const token1Address = args.token1Address.toLowerCase();
+                const token2Address = args.token2Address.toLowerCase();
 
-                price = ethAmount > 0 ? usdcAmount / ethAmount : 0;
-                const priceStr = `$${price.toFixed(2)}`;
+                const report = this.describeReport(token1Address, token2Address, amount1Raw, amount2Raw);
+                const { amount1Label, amount2Label, priceStr, pair } = report;
 
                 this.disputeCount++;
                 this.lastPrice = priceStr;
+                this.settlementTime = Number(args.settlementTime);
+                this.recordReport('dispute', log, timestamp, disputer, amount1Raw, amount2Raw, report);
 
                 // Mark all previous steps as completed
                 this.updateStep('matched', STEP_STATE.COMPLETED);
@@ -1055,11 +1433,12 @@ class StatusTracker {
                 this.elements.disputeCount.textContent = this.disputeCount.toString();
                 this.setStepTime(this.elements.stepDisputeTime, timeStr, log.transactionHash);
                 this.elements.disputePrice.textContent = priceStr;
-                this.elements.disputePair.textContent = 'ETH/USD';
+                this.elements.disputePair.textContent = pair;
                 this.elements.disputer.textContent = shortenAddress(disputer);
                 this.elements.disputeAmount1.textContent = amount1Label;
                 this.elements.disputeAmount2.textContent = amount2Label;
                 this.elements.stepDisputeDetails.style.display = 'block';
+                this.renderDisputeHistory();
 
                 // Restart settle timer (dispute resets the clock)
                 this.startSettleTimer(timestamp);
@@ -1070,6 +1449,37 @@ class StatusTracker {
                 console.error('[StatusTracker] Error decoding ReportDisputed:', e);
             }
         }
+
+        if (name === 'ReportSettled') {
+            this.stopSettleTimer();
+            this.updateStep('settled', STEP_STATE.COMPLETED);
+            const settledLabel = this.elements.stepSettled?.querySelector('.status-step-label');
+            if (settledLabel) settledLabel.textContent = 'Settled';
+            this.setStepTime(this.elements.stepSettledTime, timeStr, log.transactionHash);
+            this.elements.settledPrice.textContent = this.lastPrice || '—';
+            this.elements.settledPair.textContent = this.lastPair || 'ETH/USD';
+            this.elements.stepSettledDetails.style.display = 'block';
+            this.scrollToBottom();
+            console.log(`[StatusTracker] ReportSettled: reportId=${reportIdFromLog}, price=${args.price}`);
+        }
+
+        // openSwap's onSettle reverted: the report settled but the swap didn't finish,
+        // so its funds only come back through bailOut()
+        if (name === 'SettlementCallbackExecuted' &&
+            args.callbackContract.toLowerCase() === CONFIG.contracts.openSwap.toLowerCase() && !args.success) {
+            this.updateStep('executed', STEP_STATE.ERROR);
+            const executedLabel = this.elements.stepExecuted?.querySelector('.status-step-label');
+            if (executedLabel) executedLabel.textContent = 'Settlement Callback Failed';
+            this.elements.stepExecutedTime.textContent = 'Bail out to recover funds';
+            this.stopLatencyCountdown();
+            if (this.elements.bailoutRow) {
+                this.elements.bailoutRow.style.display = '';
+            }
+            this.setupBailoutButton();
+            this.announce(MILESTONE.BAILOUT_AVAILABLE);
+            this.scrollToBottom();
+            console.log(`[StatusTracker] SettlementCallbackExecuted: reportId=${reportIdFromLog} - openSwap callback failed`);
+        }
     }
 
     /**
@@ -1079,26 +1489,31 @@ class StatusTracker {
         if (!this.isActive) return;
         if (!this.reportId) return; // Need reportId to filter
 
-        const topic0 = log.topics[0];
+        const parsed = this.decodeLog('oracleBounty', log);
+        if (!parsed) return;
+        const { name, args } = parsed;
 
-        // reportId is indexed as topic1
-        if (log.topics.length < 2) return;
-        const reportIdFromLog = parseInt(log.topics[1], 16);
+        // A retargeted bounty is indexed by the report it moved to
+        const reportIdFromLog = Number(name === 'BountyRetargeted' ? args.oldReportId : args.reportId);
         if (reportIdFromLog !== this.reportId) return;
 
-        if (topic0 === TOPICS.BOUNTY_INITIAL_REPORT) {
-            // BountyInitialReportSubmitted(uint256 indexed reportId, uint256 bountyPaid, address bountyToken)
-            // Data: bountyPaid (0-64) + bountyToken (64-128)
-            try {
-                const data = log.data.slice(2);
-                this.bountyPaid = BigInt('0x' + data.slice(0, 64));
-                if (!this.bountyToken) {
-                    this.bountyToken = '0x' + data.slice(64 + 24, 128); // last 20 bytes of 2nd word
-                }
-                console.log(`[StatusTracker] BountyInitialReportSubmitted: reportId=${reportIdFromLog}, bountyPaid=${this.bountyPaid}, token=${this.bountyToken}`);
-            } catch (e) {
-                console.error('[StatusTracker] Error decoding BountyInitialReportSubmitted:', e);
+        if (name === 'BountyInitialReportSubmitted') {
+            this.bountyPaid = args.bountyPaid;
+            if (!this.bountyToken) {
+                this.bountyToken = args.bountyToken;
             }
+            console.log(`[StatusTracker] BountyInitialReportSubmitted: reportId=${reportIdFromLog}, bountyPaid=${this.bountyPaid}, token=${this.bountyToken}`);
+        }
+
+        // The bounty left our report before anyone claimed it - no bounty is paid for this swap
+        if (name === 'BountyRetargeted') {
+            this.stopLiveBountyTimer();
+            if (this.bountyPaid === null) this.bountyPaid = 0n;
+            console.log(`[StatusTracker] BountyRetargeted: bounty for report ${reportIdFromLog} moved to report ${args.newReportId}`);
+        }
+
+        if (name === 'BountyRecalled') {
+            console.log(`[StatusTracker] BountyRecalled: reportId=${reportIdFromLog}, amount=${args.amt}`);
         }
     }
 
@@ -1112,16 +1527,16 @@ class StatusTracker {
             const receipt = await this.rpcCall('eth_getTransactionReceipt', [txHash]);
             if (!receipt || !receipt.logs) return;
 
+            const bountyAddress = CONFIG.contracts.oracleBounty.toLowerCase();
             for (const log of receipt.logs) {
-                if (log.topics[0] === TOPICS.BOUNTY_INITIAL_REPORT) {
-                    // BountyInitialReportSubmitted(uint256 indexed reportId, uint256 bountyPaid, address bountyToken)
-                    const eventReportId = parseInt(log.topics[1], 16);
-                    if (eventReportId !== reportId) continue;
+                if (log.address.toLowerCase() !== bountyAddress) continue;
+                const parsed = this.decodeLog('oracleBounty', log);
+                if (parsed?.name === 'BountyInitialReportSubmitted') {
+                    if (Number(parsed.args.reportId) !== reportId) continue;
 
-                    const data = log.data.slice(2);
-                    this.bountyPaid = BigInt('0x' + data.slice(0, 64));
+                    this.bountyPaid = parsed.args.bountyPaid;
                     if (!this.bountyToken) {
-                        this.bountyToken = '0x' + data.slice(64 + 24, 128);
+                        this.bountyToken = parsed.args.bountyToken;
                     }
 
                     console.log(`[StatusTracker] BountyPaid from tx: reportId=${reportId}, bountyPaid=${this.bountyPaid}, token=${this.bountyToken}`);
@@ -1144,11 +1559,12 @@ class StatusTracker {
             if (!receipt || !receipt.logs) return;
 
             // Find ReportInstanceCreated event in the logs
+            const oracleAddress = CONFIG.contracts.openOracle.toLowerCase();
             for (const log of receipt.logs) {
-                if (log.topics[0] === TOPICS.REPORT_INSTANCE_CREATED) {
-                    // ReportInstanceCreated(uint256 indexed reportId, address indexed token1Address, address indexed token2Address, ...)
-                    // reportId is topic1 (indexed)
-                    const reportId = parseInt(log.topics[1], 16);
+                if (log.address.toLowerCase() !== oracleAddress) continue;
+                const parsed = this.decodeLog('openOracle', log);
+                if (parsed?.name === 'ReportInstanceCreated') {
+                    const reportId = Number(parsed.args.reportId);
                     this.reportId = reportId;
                     console.log(`[StatusTracker] Found reportId=${reportId} from ReportInstanceCreated in tx ${txHash}`);
                     return;
@@ -1178,13 +1594,168 @@ class StatusTracker {
         }
     }
 
+    /**
+     * Token info for an oracle report side (WETH is known even if the token list failed to load)
+     */
+    getReportToken(address) {
+        const token = getToken(address);
+        if (token) return token;
+        if (address && address === CONFIG.weth.toLowerCase()) {
+            return { address, symbol: 'WETH', decimals: 18 };
+        }
+        return { address, symbol: '???', decimals: 18 };
+    }
+
+    /**
+     * Format oracle report amounts and price
+     * Prices against a stablecoin side are shown in USD (e.g. ETH/USD), otherwise
+     * as token2 per token1. Remembers the pair and ETH/USD for later steps.
+     * @returns {{amount1Label, amount2Label, priceStr, pair}}
+     */
+    describeReport(token1Address, token2Address, amount1Raw, amount2Raw) {
+        const token1 = this.getReportToken(token1Address);
+        const token2 = this.getReportToken(token2Address);
+        const amount1 = Number(amount1Raw) / 10 ** token1.decimals;
+        const amount2 = Number(amount2Raw) / 10 ** token2.decimals;
+        const amount1Label = `${amount1.toFixed(getDisplayDecimals(token1))} ${token1.symbol}`;
+        const amount2Label = `${amount2.toFixed(getDisplayDecimals(token2))} ${token2.symbol}`;
+        const baseSymbol = (token) => isEthLike(token) ? 'ETH' : token.symbol;
+
+        let price, priceStr, pair, base;
+        if (isStablecoin(token2) || isStablecoin(token1)) {
+            // Quote the non-stable side in USD
+            const stableIsToken2 = isStablecoin(token2);
+            base = stableIsToken2 ? token1 : token2;
+            const baseAmount = stableIsToken2 ? amount1 : amount2;
+            const usdAmount = stableIsToken2 ? amount2 : amount1;
+            price = baseAmount > 0 ? usdAmount / baseAmount : 0;
+            priceStr = `$${price.toFixed(2)}`;
+            pair = `${baseSymbol(base)}/USD`;
+        } else {
+            price = amount1 > 0 ? amount2 / amount1 : 0;
+            priceStr = `${price.toPrecision(6)} ${token2.symbol}`;
+            pair = `${baseSymbol(token1)}/${baseSymbol(token2)}`;
+        }
+
+        this.lastPair = pair;
+        if (base && isEthLike(base) && price > 0) {
+            this.lastEthPrice = price;
+        }
+        return { amount1Label, amount2Label, price, priceStr, pair };
+    }
+
+    /**
+     * Add a report to reportHistory. The escalation multiplier is the new
+     * amount1 over the previous report's (the oracle grows each dispute by its
+     * multiplier until escalationHalt).
+     */
+    recordReport(kind, log, timestamp, by, amount1Raw, amount2Raw, { amount1Label, amount2Label, price, priceStr, pair }) {
+        const previous = this.reportHistory[this.reportHistory.length - 1];
+        const multiplier = previous && BigInt(previous.amount1) > 0n
+            ? Number(BigInt(amount1Raw) * 1000n / BigInt(previous.amount1)) / 1000
+            : null;
+        this.reportHistory.push({
+            kind,
+            timestamp,
+            txHash: log.transactionHash,
+            by,
+            amount1: amount1Raw.toString(),
+            amount2: amount2Raw.toString(),
+            amount1Label,
+            amount2Label,
+            price,
+            priceStr,
+            pair,
+            multiplier
+        });
+    }
+
+    /**
+     * Step chart of price against time since the initial report, plus a table
+     * row per report (shown once there has been a dispute)
+     */
+    renderDisputeHistory() {
+        const history = this.reportHistory;
+        if (!this.elements.disputeHistory || history.length < 2 || history[0].kind !== 'initial') return;
+
+        const initial = history[0];
+        const change = (price) => initial.price > 0 ? (price / initial.price - 1) * 100 : 0;
+        const formatChange = (pct) => `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%`;
+
+        const last = history[history.length - 1];
+        const furthest = history.reduce((max, r) => Math.abs(change(r.price)) > Math.abs(change(max.price)) ? r : max, initial);
+        this.elements.disputeMoved.textContent = furthest === last
+            ? formatChange(change(last.price))
+            : `${formatChange(change(last.price))} (furthest ${formatChange(change(furthest.price))})`;
+
+        this.elements.disputeTableBody.innerHTML = history.map((r, i) => `
+            <tr class="${r.kind}" title="${escapeHtml(`${r.amount1Label} / ${r.amount2Label}`)}">
+                <td>${r.kind === 'initial' ? 'Init' : i}</td>
+                <td>${formatElapsed(r.timestamp - initial.timestamp)}</td>
+                <td><a href="${CONFIG.blockExplorer}/tx/${r.txHash}" target="_blank" class="tx-link">${escapeHtml(r.priceStr)}</a></td>
+                <td>${r.kind === 'initial' ? '—' : formatChange(change(r.price))}</td>
+                <td>${escapeHtml(r.amount1Label)}</td>
+                <td>${r.multiplier === null ? '—' : `×${r.multiplier.toFixed(2)}`}</td>
+                <td>${shortenAddress(r.by)}</td>
+            </tr>
+        `).join('');
+
+        // Chart area inside the 320x140 viewBox (room for axis labels left and below)
+        const width = 320, height = 140, left = 52, right = 8, top = 8, bottom = 18;
+        const t0 = initial.timestamp;
+        const span = Math.max(last.timestamp - t0, 1);
+        const tMax = t0 + span * 1.1; // Let the last step run on a little
+        let pMin = Math.min(...history.map(r => r.price));
+        let pMax = Math.max(...history.map(r => r.price));
+        const pad = (pMax - pMin) * 0.1 || pMax * 0.01 || 1;
+        pMin -= pad;
+        pMax += pad;
+
+        const x = (t) => left + (t - t0) / (tMax - t0) * (width - left - right);
+        const y = (p) => top + (pMax - p) / (pMax - pMin) * (height - top - bottom);
+
+        let path = `M${x(t0).toFixed(1)},${y(initial.price).toFixed(1)}`;
+        for (const r of history.slice(1)) {
+            path += ` H${x(r.timestamp).toFixed(1)} V${y(r.price).toFixed(1)}`;
+        }
+        path += ` H${x(tMax).toFixed(1)}`;
+
+        const bottomY = height - bottom;
+        this.elements.disputeChart.innerHTML = `
+            <line class="chart-grid" x1="${left}" y1="${top}" x2="${left}" y2="${bottomY}"></line>
+            <line class="chart-grid" x1="${left}" y1="${bottomY}" x2="${width - right}" y2="${bottomY}"></line>
+            <line class="chart-initial" x1="${left}" y1="${y(initial.price).toFixed(1)}" x2="${width - right}" y2="${y(initial.price).toFixed(1)}"></line>
+            <path class="chart-line" d="${path}"></path>
+            ${history.map(r => `<circle class="chart-point ${r.kind}" cx="${x(r.timestamp).toFixed(1)}" cy="${y(r.price).toFixed(1)}" r="3"></circle>`).join('')}
+            <text x="${left - 4}" y="${top + 8}" text-anchor="end">${formatAxisPrice(pMax - pad)}</text>
+            <text x="${left - 4}" y="${bottomY}" text-anchor="end">${formatAxisPrice(pMin + pad)}</text>
+            <text x="${left}" y="${height - 4}">0s</text>
+            <text x="${width - right}" y="${height - 4}" text-anchor="end">${formatElapsed(last.timestamp - t0)}</text>
+        `;
+        this.elements.disputeHistory.style.display = '';
+    }
+
+    /**
+     * Convert a raw token amount to USD
+     * ETH/WETH use `ethPrice`, stablecoins $1, the sell token its price at creation
+     */
+    tokenToUsd(address, rawAmount, ethPrice) {
+        const token = this.getReportToken(address.toLowerCase());
+        const amount = Number(rawAmount) / 10 ** token.decimals;
+        if (isEthLike(token)) return amount * (ethPrice || 0);
+        if (isStablecoin(token)) return amount;
+        if (this.sellTokenAddress && address.toLowerCase() === this.sellTokenAddress.toLowerCase()) {
+            return amount * (this.sellTokenPriceUsd || 0);
+        }
+        return 0;
+    }
+
     /**
      * Calculate and display expenses for the executed swap
      * @param {string} executionTxHash - The execution tx hash (for gas calculation)
      * @param {BigInt} sellTokenAmt - The sell amount from the swap
-     * @param {boolean} isReceivingEth - Whether we received ETH (selling USDC)
      */
-    async calculateAndDisplayExpenses(executionTxHash, sellTokenAmt, isReceivingEth) {
+    async calculateAndDisplayExpenses(executionTxHash, sellTokenAmt) {
         try {
             // Format USD with 2 significant digits
             const formatUsd = (value) => {
@@ -1194,24 +1765,15 @@ class StatusTracker {
                 return `$${value.toPrecision(2)}`;
             };
 
-            // Get ETH price from the stored oracle price (lastPrice is like "$3,227.45")
-            let ethPrice = 0;
-            if (this.lastPrice) {
-                const priceStr = this.lastPrice.replace(/[$,]/g, '');
-                ethPrice = parseFloat(priceStr) || 0;
+            // ETH price from the oracle report if the pair was ETH/stable, else the price at creation
+            let ethPrice = this.lastEthPrice || this.bountyParams?.ethPrice || 0;
+            if (!ethPrice && this.lastPrice && this.lastPair === 'ETH/USD') {
+                ethPrice = parseFloat(this.lastPrice.replace(/[$,]/g, '')) || 0;
             }
 
             // Calculate swap notional in USD for percentage display
-            let swapNotionalUsd = 0;
-            if (sellTokenAmt) {
-                if (isReceivingEth) {
-                    // Selling USDC (6 decimals)
-                    swapNotionalUsd = Number(sellTokenAmt) / 1e6;
-                } else {
-                    // Selling ETH (18 decimals)
-                    swapNotionalUsd = (Number(sellTokenAmt) / 1e18) * ethPrice;
-                }
-            }
+            const sellTokenAddress = this.sellTokenAddress || ETH.address;
+            const swapNotionalUsd = sellTokenAmt ? this.tokenToUsd(sellTokenAddress, sellTokenAmt, ethPrice) : 0;
 
             // Format percentage for display
             const formatPct = (usdValue) => {
@@ -1225,19 +1787,7 @@ class StatusTracker {
             // 1. Net Bounty Cost (actual bounty paid from BountyInitialReportSubmitted)
             let netBountyCostUsd = 0;
             if (this.bountyPaid !== null) {
-                // Check if bounty token is ETH (zero address) or USDC
-                const isEthBounty = !this.bountyToken ||
-                    this.bountyToken === '0x0000000000000000000000000000000000000000' ||
-                    this.bountyToken.toLowerCase() === '0x0000000000000000000000000000000000000000';
-
-                if (isEthBounty) {
-                    // ETH bounty (18 decimals)
-                    const bountyEth = Number(this.bountyPaid) / 1e18;
-                    netBountyCostUsd = bountyEth * ethPrice;
-                } else {
-                    // USDC bounty (6 decimals, 1 USDC = $1)
-                    netBountyCostUsd = Number(this.bountyPaid) / 1e6;
-                }
+                netBountyCostUsd = this.tokenToUsd(this.bountyToken || ETH.address, this.bountyPaid, ethPrice);
             }
 
             if (this.elements.executedBountyCost) {
@@ -1250,16 +1800,7 @@ class StatusTracker {
             if (this.fulfillmentFee !== null && sellTokenAmt) {
                 // fulfillmentFee is 1e7 scale (1000 = 0.01%)
                 const feeRate = this.fulfillmentFee / 1e7;
-
-                if (isReceivingEth) {
-                    // Selling USDC (6 decimals)
-                    const sellAmountUsdc = Number(sellTokenAmt) / 1e6;
-                    fulfillFeeUsd = sellAmountUsdc * feeRate;
-                } else {
-                    // Selling ETH (18 decimals)
-                    const sellAmountEth = Number(sellTokenAmt) / 1e18;
-                    fulfillFeeUsd = sellAmountEth * ethPrice * feeRate;
-                }
+                fulfillFeeUsd = swapNotionalUsd * feeRate;
             }
 
             if (this.elements.executedFulfillFee) {
@@ -1325,6 +1866,13 @@ class StatusTracker {
             }
             totalExpensesUsd += gasCostsUsd;
 
+            this.expensesUsd = {
+                bounty: netBountyCostUsd,
+                fulfillFee: fulfillFeeUsd,
+                gas: gasCostsUsd,
+                total: totalExpensesUsd
+            };
+
             // 4. Total Expenses
             if (this.elements.executedTotalExpenses) {
                 this.elements.executedTotalExpenses.textContent = formatUsd(totalExpensesUsd) + formatPct(totalExpensesUsd);
@@ -1363,11 +1911,35 @@ class StatusTracker {
         this.onMatchedCallback = callback;
     }
 
+    /**
+     * Subscribe to tracker events
+     * 'updated' { swapId } - a step changed state
+     * 'checked' { swapId } - new logs were handled (a consistent point to serialize())
+     * 'finished' { swapId, status: 'Complete'|'Cancelled'|'Refunded', executedAmounts, expensesUsd }
+     * 'stopped' { swapId } - tracker closed before the swap finished
+     * 'closed' { swapId } - tracker closed (after 'stopped' / 'finished')
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => {
+            try {
+                callback({ event, ...data });
+            } catch (e) {
+                console.error(`[StatusTracker] Error in ${event} listener:`, e);
+            }
+        });
+    }
+
     /**
      * Mark tracking as complete
      */
     markComplete(status) {
         this.isActive = false;
+        this.finalStatus = status;
         this.stopTracking();
         this.stopSettleTimer();
 
@@ -1383,6 +1955,19 @@ class StatusTracker {
                 console.error('[StatusTracker] Error in onExecuted callback:', e);
             }
         }
+        if (status === 'Cancelled' && this.onCancelledCallback) {
+            try { this.onCancelledCallback(this.swapId); } catch (e) {}
+        }
+
+        if (status === 'Complete') this.announce(MILESTONE.EXECUTED);
+        if (status === 'Refunded') this.announce(MILESTONE.REFUNDED);
+
+        this.emit('finished', {
+            swapId: this.swapId,
+            status,
+            executedAmounts: this.executedAmounts,
+            expensesUsd: this.expensesUsd
+        });
 
         // Setup action buttons
         this.elements.viewTxBtn.onclick = () => {
@@ -1520,6 +2105,7 @@ class StatusTracker {
                 }
                 this.setupBailoutButton();
                 this.stopLatencyCountdown();
+                this.announce(MILESTONE.BAILOUT_AVAILABLE);
             } else {
                 // Update countdown display
                 if (this.elements.latencyCountdown) {
@@ -1626,12 +2212,29 @@ class StatusTracker {
                 this.elements.cancelSwapBtn.textContent = 'Tx Sent...';
 
                 // Wait for tx confirmation then hide and trigger callback
-                this.waitForTxConfirmation(txHash).then(() => {
-                    if (this.onCancelledCallback) {
-                        try { this.onCancelledCallback(this.swapId); } catch (e) {}
+                // (unless the SwapCancelled log was seen first and already finished the swap)
+                this.waitForTxConfirmation(txHash).then((success) => {
+                    if (!success) {
+                        // Reverted (e.g. matched meanwhile) - the swap carries on
+                        console.log(`[StatusTracker] Cancel tx reverted: ${txHash}`);
+                        showToast('Cancel Failed', `The cancel for swap #${this.swapId} reverted - still tracking it`, 'error');
+                        this.elements.cancelSwapBtn.disabled = false;
+                        this.elements.cancelSwapBtn.textContent = 'Cancel';
+                        return;
+                    }
+                    if (this.isActive) {
+                        if (this.onCancelledCallback) {
+                            try { this.onCancelledCallback(this.swapId); } catch (e) {}
+                        }
+                        this.emit('finished', { swapId: this.swapId, status: 'Cancelled', executedAmounts: null, expensesUsd: null });
+                        this.isActive = false;
                     }
                     this.hide();
-                }).catch(() => {});
+                }).catch(() => {
+                    // Not mined in time - a SwapCancelled log still finishes the swap if it lands
+                    this.elements.cancelSwapBtn.disabled = false;
+                    this.elements.cancelSwapBtn.textContent = 'Cancel';
+                });
 
             } catch (e) {
                 console.error('[StatusTracker] Cancel error:', e);
@@ -1643,6 +2246,7 @@ class StatusTracker {
 
     /**
      * Wait for transaction confirmation
+     * @returns {Promise<boolean>} False if the transaction reverted
      */
     async waitForTxConfirmation(txHash) {
         // Poll for receipt
@@ -1664,8 +2268,9 @@ class StatusTracker {
      * Start settle timer from report timestamp (restarts on each dispute)
      */
     startSettleTimer(reportTimestamp) {
+        this.settleDeadline = reportTimestamp + this.settlementTime;
         // Show button 3 seconds after settleable (reportTimestamp + settlementTime + 3)
-        const showButtonTime = reportTimestamp + this.settlementTime + 3;
+        const showButtonTime = this.settleDeadline + 3;
 
         // Clear any existing timer
         if (this.settleCountdownInterval) {
@@ -1679,9 +2284,12 @@ class StatusTracker {
 
         const checkSettle = () => {
             const now = Math.floor(Date.now() / 1000);
-            if (now >= showButtonTime) {
-                // Mark step as active so it's not washed out
+            // Settleable from the deadline (SETTLEABLE milestone, which auto-settle acts on) -
+            // mark the step active so it's not washed out
+            if (now >= this.settleDeadline && !this.elements.stepSettled?.classList.contains(STEP_STATE.ACTIVE)) {
                 this.updateStep('settled', STEP_STATE.ACTIVE);
+            }
+            if (now >= showButtonTime) {
                 if (this.elements.selfSettleBtn) {
                     this.elements.selfSettleBtn.style.display = '';
                 }
@@ -1699,6 +2307,7 @@ class StatusTracker {
      * Stop settle timer
      */
     stopSettleTimer() {
+        this.settleDeadline = null;
         if (this.settleCountdownInterval) {
             clearInterval(this.settleCountdownInterval);
             this.settleCountdownInterval = null;
@@ -1772,8 +2381,6 @@ class StatusTracker {
         if (!this.bountyParams || !this.elements.liveBounty) return;
 
         const { totalAmtDeposited, bountyStartAmt, roundLength, bountyMultiplier, maxRounds, bountyToken, ethPrice } = this.bountyParams;
-        const isEthBounty = !bountyToken || bountyToken === '0x0000000000000000000000000000000000000000';
-        const decimals = isEthBounty ? 18 : 6; // ETH or USDC
 
         // Format USD with 2 significant digits
         const formatUsd = (value) => {
@@ -1783,13 +2390,7 @@ class StatusTracker {
         };
 
         // Convert bounty amount to USD
-        const toUsd = (bountyRaw) => {
-            const amount = bountyRaw / (10 ** decimals);
-            if (isEthBounty) {
-                return amount * (ethPrice || 0);
-            }
-            return amount; // USDC is already USD
-        };
+        const toUsd = (bountyRaw) => this.tokenToUsd(bountyToken || ETH.address, bountyRaw, ethPrice);
 
         // Show initial bounty
         this.elements.liveBounty.style.display = '';
@@ -1841,8 +2442,7 @@ class StatusTracker {
 
         this.elements.selfSettleBtn.onclick = async () => {
             try {
-                this.elements.selfSettleBtn.disabled = true;
-                this.elements.selfSettleBtn.textContent = 'Settling...';
+                this.setSettleButton('Settling...', true);
 
                 // Call settle(reportId) on oracle contract
                 const reportIdHex = this.reportId.toString(16).padStart(64, '0');
@@ -1865,16 +2465,24 @@ class StatusTracker {
                 });
 
                 console.log(`[StatusTracker] Settle tx sent: ${txHash}`);
-                this.elements.selfSettleBtn.textContent = 'Tx Sent...';
+                this.setSettleButton('Tx Sent...', true);
 
             } catch (e) {
                 console.error('[StatusTracker] Settle error:', e);
-                this.elements.selfSettleBtn.disabled = false;
-                this.elements.selfSettleBtn.textContent = 'Settle';
+                this.setSettleButton('Settle', false);
             }
         };
     }
 
+    /**
+     * Label and enable/disable the settle button (auto-settle drives it too)
+     */
+    setSettleButton(text, disabled) {
+        if (!this.elements.selfSettleBtn) return;
+        this.elements.selfSettleBtn.textContent = text;
+        this.elements.selfSettleBtn.disabled = disabled;
+    }
+
     /**
      * Manually update with event data (for external calls)
      */
@@ -1975,6 +2583,3 @@ class StatusTracker {
         }
     }
 }
-
-// Export singleton instance
-export const statusTracker = new StatusTracker();
@@ -0,0 +1,260 @@
+/**
+ * Swap Parameter Builder
+ * Pure functions that turn plain inputs + market readings into the struct
+ * openSwap.createSwap() expects. No DOM or wallet access, so scripts can
+ * reproduce the exact params the UI would submit.
+ */
+
+import { CONFIG } from './config.js';
+import { ETH, parseTokenAmount } from './tokens.js';
+
+// Fixed protocol params (must match contract preflight checks)
+const BLOCKS_PER_SECOND = 500;
+const DISPUTE_MULTIPLIER = 130; // 1.3x per dispute
+const DELAY_MODE_PROTOCOL_FEE = 250; // 0.0025%
+const BOUNTY_ROUND_LENGTH = 1;
+const BOUNTY_MULTIPLIER = 11401; // 1.14x per round
+const BOUNTY_MAX_ROUNDS = 20;
+
+/**
+ * Convert wei to a float ETH amount (same result as parseFloat(ethers.formatEther(wei)))
+ */
+function weiToEth(wei) {
+    const digits = BigInt(wei).toString().padStart(19, '0');
+    return parseFloat(`${digits.slice(0, -18)}.${digits.slice(-18)}`);
+}
+
+/**
+ * Convert a float ETH amount to wei without scientific notation
+ */
+function ethToWei(amount) {
+    return parseTokenAmount(amount.toFixed(18), 18);
+}
+
+/**
+ * Convert a USD value to ERC20 base units (rounded with `round`)
+ */
+function usdToUnits(usd, priceUsd, decimals, round = Math.floor) {
+    return BigInt(round(usd / priceUsd * 10 ** decimals));
+}
+
+/**
+ * Get settlement-time volatility (raw σ as decimal)
+ * @param {object} vol - { krakenVol, candleVol } as reported by the volatility tracker
+ * @param {number} settlementTime - Settlement time in seconds
+ */
+export function getSettlementVolatility({ krakenVol = null, candleVol = null } = {}, settlementTime) {
+    if (krakenVol !== null) {
+        return krakenVol / 6.5; // already scaled to settlement time
+    }
+    if (candleVol !== null) {
+        return (candleVol / 1.5) / Math.sqrt(60 / settlementTime); // remove 1.5x, scale 1-min to settlement time
+    }
+    return 0.001; // fallback
+}
+
+/**
+ * Parse manual initial liquidity in sellToken units
+ * @throws {Error} code PREFLIGHT_FAILED unless it is a positive amount the token can represent
+ */
+function parseInitialLiquidity(value, sellToken) {
+    // Plain decimal number with no more decimals than the token has
+    const fraction = value.split('.')[1] || '';
+    const amount = /^(\d+\.?\d*|\.\d+)$/.test(value) && fraction.length <= sellToken.decimals
+        ? parseTokenAmount(value, sellToken.decimals)
+        : 0n;
+    if (amount <= 0n) {
+        const symbol = sellToken.symbol || 'sell token';
+        const error = new Error(`Initial liquidity "${value}" is not valid - enter a positive ${symbol} amount with at most ${sellToken.decimals} decimals, or leave it empty for auto`);
+        error.code = 'PREFLIGHT_FAILED';
+        throw error;
+    }
+    return amount;
+}
+
+/**
+ * Calculate bounty amounts in USD from initial liquidity
+ * bountyStartAmt = 0.5 * vol * initLiq, min 0.0065%, capped at 0.2%
+ * totalAmtDeposited = max(0.15% of initLiq, 2 * bountyStartAmt)
+ */
+export function calculateBountyUsd(initLiqUsd, volSettlement) {
+    const minBountyStartUsd = initLiqUsd * 0.000065; // 0.0065% floor
+    const maxBountyStartUsd = initLiqUsd * 0.002; // 0.2% cap
+    let bountyStartUsd = Math.max(0.5 * volSettlement * initLiqUsd, minBountyStartUsd);
+    bountyStartUsd = Math.min(bountyStartUsd, maxBountyStartUsd);
+
+    const minTotalUsd = initLiqUsd * 0.0015; // 0.15% floor
+    const totalBountyUsd = Math.max(minTotalUsd, bountyStartUsd * 2);
+
+    return { bountyStartUsd, totalBountyUsd };
+}
+
+/**
+ * Build createSwap() params from plain values
+ *
+ * @param {object} inputs
+ * @param {string} inputs.sellAmount - Human-readable sell amount (e.g. "0.05")
+ * @param {string} inputs.buyAmount - Human-readable expected buy amount
+ * @param {object} inputs.sellToken - { address, decimals, symbol }
+ * @param {object} inputs.buyToken - { address, decimals }
+ * @param {number} inputs.slippage - Slippage in percent (0.2 = 0.2%)
+ * @param {number} [inputs.expirationSeconds] - Defaults to 30
+ * @param {number} [inputs.settlementTime] - Defaults to CONFIG.defaults.settlementTime
+ * @param {string} [inputs.initialLiquidity] - Manual initial liquidity in sellToken units, or empty for auto
+ *   (anything else that isn't a positive amount throws with code PREFLIGHT_FAILED)
+ * @param {string} [inputs.settlerReward] - Manual settler reward in ETH, or empty for auto
+ * @param {boolean} [inputs.delayMode] - Pay protocol fee for delay compensation
+ *
+ * @param {object} marketState
+ * @param {number} marketState.ethPrice - ETH/USD price
+ * @param {number} [marketState.sellTokenPriceUsd] - sellToken/USD price, required when selling an ERC20
+ * @param {object} marketState.volatility - { krakenVol, candleVol }
+ * @param {object} marketState.gas - { matchCost, settleCost, disputeCostForInitLiq } in wei (BigInt)
+ *
+ * @returns {object} swapParams for openSwap.createSwap()
+ */
+export function buildSwapParams(inputs, marketState) {
+    const {
+        sellAmount,
+        buyAmount,
+        sellToken,
+        buyToken,
+        slippage,
+        expirationSeconds = 30,
+        settlementTime = CONFIG.defaults.settlementTime,
+        initialLiquidity: initLiqInput = '',
+        settlerReward: settlerRewardInput = '',
+        delayMode = false
+    } = inputs;
+    const { ethPrice, volatility = {}, gas } = marketState;
+
+    const isSellingEth = sellToken.address === ETH.address;
+    const sellPriceUsd = isSellingEth ? ethPrice : marketState.sellTokenPriceUsd;
+    if (!sellPriceUsd || sellPriceUsd <= 0) {
+        throw new Error(`No USD price for ${sellToken.symbol || sellToken.address}`);
+    }
+
+    // Parse amounts
+    const sellAmountWei = parseTokenAmount(sellAmount, sellToken.decimals);
+    const buyAmountWei = parseTokenAmount(buyAmount, buyToken.decimals);
+
+    // Calculate min out with slippage (1e7 precision to match toleranceRange)
+    const toleranceRange = Math.floor((slippage / 100) * 1e7);
+    let minOutWei = buyAmountWei - (buyAmountWei * BigInt(toleranceRange) / BigInt(10000000));
+
+    // Account for fulfillment fee (contract deducts fee from fulfillAmt before comparing to minOut)
+    // Fee is in 1e7 scale, e.g., 1000 = 0.01%
+    const fulfillFee = BigInt(CONFIG.defaults.maxFee);
+    minOutWei = minOutWei - (minOutWei * fulfillFee / BigInt(10000000));
+
+    // Use a higher minFulfillLiquidity to ensure matcher provides enough
+    const minFulfillLiquidity = buyAmountWei + (buyAmountWei * BigInt(500) / BigInt(10000)); // +5% buffer
+
+    // Calculate notional for settler reward calculation
+    const sellAmt = parseFloat(sellAmount);
+    const notionalUsd = sellAmt * sellPriceUsd;
+
+    // Gas compensation (900k L2 gas + L1 data fee)
+    const gasComp = weiToEth(gas.matchCost);
+
+    // Settler reward: max of gas-based calculation OR 0.001% of notional
+    const gasBasedSettlerReward = weiToEth(gas.settleCost);
+    const notionalBasedSettlerReward = (notionalUsd * 0.00001) / ethPrice; // 0.001% of notional in ETH
+    const defaultSettlerReward = Math.max(gasBasedSettlerReward, notionalBasedSettlerReward);
+    const settlerReward = settlerRewardInput && settlerRewardInput !== ''
+        ? parseFloat(settlerRewardInput)
+        : defaultSettlerReward;
+
+    // Calculate price tolerated (using 1e18 precision to match oracle)
+    const priceTolerated = (sellAmountWei * BigInt(10 ** 18)) / buyAmountWei;
+
+    // Initial liquidity: max(10% of sellAmt, dispute gas cost / 0.008%)
+    // Uses floored gas cost for init liq (clamps baseFee in low gas regime)
+    const gasCostWei = gas.disputeCostForInitLiq;
+    const tenPercentSell = sellAmountWei * BigInt(10) / BigInt(100);
+    let minInitLiq;
+    if (isSellingEth) {
+        // Selling ETH: minInitLiq = gasCost / 0.00008 = gasCost * 12500
+        minInitLiq = gasCostWei * BigInt(12500);
+    } else {
+        // Selling an ERC20: convert gas cost to USD then to sellToken units
+        const gasCostUsd = weiToEth(gasCostWei) * ethPrice;
+        const minInitLiqUsd = gasCostUsd * 12500;  // gasCost / 0.008%
+        minInitLiq = usdToUnits(minInitLiqUsd, sellPriceUsd, sellToken.decimals, Math.ceil);
+    }
+
+    // Use manual initial liquidity if provided, otherwise use calculated
+    let initialLiquidity;
+    const manualInitLiq = String(initLiqInput ?? '').trim();
+    if (manualInitLiq !== '' && manualInitLiq !== 'auto') {
+        initialLiquidity = parseInitialLiquidity(manualInitLiq, sellToken);
+    } else {
+        initialLiquidity = tenPercentSell > minInitLiq ? tenPercentSell : minInitLiq;
+    }
+    // Escalation halt is 3x sell amount (in sellToken units)
+    const escalationHalt = sellAmountWei * BigInt(3);
+
+    // Bounty based on settlement-time volatility
+    const volSettlement = getSettlementVolatility(volatility, settlementTime);
+    const initLiqUsd = isSellingEth
+        ? weiToEth(initialLiquidity) * ethPrice
+        : parseFloat(initialLiquidity.toString()) / 10 ** sellToken.decimals * sellPriceUsd;
+    const { bountyStartUsd, totalBountyUsd } = calculateBountyUsd(initLiqUsd, volSettlement);
+
+    // Bounty is paid in the sell token (ETH when selling ETH)
+    let bountyToken, bountyStartWei, bountyWei;
+    if (!isSellingEth) {
+        bountyToken = sellToken.address;
+        bountyStartWei = usdToUnits(bountyStartUsd, sellPriceUsd, sellToken.decimals);
+        bountyWei = usdToUnits(totalBountyUsd, sellPriceUsd, sellToken.decimals);
+    } else {
+        // ETH bounty (18 decimals)
+        bountyToken = ETH.address;
+        bountyStartWei = ethToWei(bountyStartUsd / ethPrice);
+        bountyWei = ethToWei(totalBountyUsd / ethPrice);
+    }
+
+    return {
+        sellAmount: sellAmountWei.toString(),
+        sellToken: sellToken.address,
+        minOut: minOutWei.toString(),
+        buyToken: buyToken.address,
+        minFulfillLiquidity: minFulfillLiquidity.toString(),
+        expirationSeconds: expirationSeconds,
+        gasCompensation: gasComp,
+        oracleParams: {
+            settlerReward: ethToWei(settlerReward).toString(),
+            initialLiquidity: initialLiquidity.toString(),
+            escalationHalt: escalationHalt.toString(),
+            settlementTime: settlementTime,
+            latencyBailout: CONFIG.defaults.latencyBailout,
+            maxGameTime: CONFIG.defaults.maxGameTime,
+            blocksPerSecond: BLOCKS_PER_SECOND,
+            disputeDelay: CONFIG.defaults.disputeDelay,
+            swapFee: CONFIG.defaults.swapFee,
+            protocolFee: delayMode ? DELAY_MODE_PROTOCOL_FEE : 0,
+            multiplier: DISPUTE_MULTIPLIER,
+            timeType: true
+        },
+        slippageParams: {
+            priceTolerated: priceTolerated.toString(),
+            toleranceRange: toleranceRange
+        },
+        fulfillFeeParams: {
+            maxFee: CONFIG.defaults.maxFee,
+            startingFee: CONFIG.defaults.startingFee,
+            roundLength: CONFIG.defaults.roundLength,
+            growthRate: CONFIG.defaults.growthRate,
+            maxRounds: CONFIG.defaults.maxRounds
+        },
+        // BountyParams - paid in the sell token
+        bountyParams: {
+            totalAmtDeposited: bountyWei.toString(),
+            bountyStartAmt: bountyStartWei.toString(),
+            roundLength: BOUNTY_ROUND_LENGTH,
+            bountyToken: bountyToken,
+            bountyMultiplier: BOUNTY_MULTIPLIER,
+            maxRounds: BOUNTY_MAX_ROUNDS
+        }
+    };
+}
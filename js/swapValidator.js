@@ -0,0 +1,258 @@
+/**
+ * Swap Parameter Validator
+ * Runs the createSwap() preflight rules against a built swapParams struct and
+ * returns every problem found, instead of stopping at the first one.
+ */
+
+import { ETH, getToken, isStablecoin, parseTokenAmount } from './tokens.js';
+
+export const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+const ONE_ETH = 10n ** 18n;
+
+// Per-swap caps enforced by the UI (ETH in wei, ERC20s by USD value)
+const MAX_SELL_ETH = ONE_ETH / 10n; // 0.1 ETH
+const MAX_SELL_USD = 300;
+const MAX_BOUNTY_ETH = ONE_ETH / 20n; // 0.05 ETH
+const MAX_BOUNTY_USD = 100;
+const MAX_SETTLER_REWARD = ONE_ETH / 100n; // 0.01 ETH
+const MAX_GAS_COMPENSATION = 0.01; // ETH
+
+/**
+ * Convert wei to a display string with the given precision
+ */
+function formatWei(wei, decimals, precision) {
+    return (Number(wei) / 10 ** decimals).toFixed(precision);
+}
+
+/**
+ * USD cap expressed in token units, or null without a price
+ */
+function usdCapToUnits(capUsd, priceUsd, decimals) {
+    if (!priceUsd || priceUsd <= 0) return null;
+    return parseTokenAmount((capUsd / priceUsd).toFixed(decimals), decimals);
+}
+
+/**
+ * Human-readable token amount for messages (drops trailing zeros)
+ */
+function formatUnits(units, decimals) {
+    return parseFloat(formatWei(units, decimals, Math.min(6, decimals))).toString();
+}
+
+/**
+ * Largest sell amount a single swap may have, in sellToken base units
+ * (null for an ERC20 without a USD price)
+ * @param {object} sellToken - { address, decimals, symbol }
+ * @param {number} [sellTokenPriceUsd]
+ */
+export function getMaxSellAmount(sellToken, sellTokenPriceUsd) {
+    if (sellToken.address === ETH.address) return MAX_SELL_ETH;
+    const priceUsd = sellTokenPriceUsd ?? (isStablecoin(sellToken) ? 1 : null);
+    return usdCapToUnits(MAX_SELL_USD, priceUsd, sellToken.decimals);
+}
+
+/**
+ * Validate swapParams before submission
+ *
+ * @param {object} params - swapParams as returned by buildSwapParams()
+ * @param {object} [context]
+ * @param {bigint} [context.sellBalance] - Cached sellToken balance (base units)
+ * @param {bigint} [context.ethBalance] - Cached ETH balance (wei)
+ * @param {number} [context.recommendedSlippage] - volatility.getRecommendedSlippage()
+ * @param {boolean} [context.volatilityFeedMissing] - volatility.isFeedMissing() for the pair
+ * @param {boolean} [context.manualSlippage] - Slippage was entered by the user
+ * @param {object} [context.sellToken] - { symbol, decimals }, looked up from the registry if omitted
+ * @param {number} [context.sellTokenPriceUsd] - Needed for the USD caps on ERC20 sells
+ *
+ * Balance rules are skipped when the matching balance is not supplied, and
+ * ERC20 caps when no price is supplied (stablecoins default to $1).
+ *
+ * @returns {Array<{code, field, severity, message, fix}>} Findings, empty when valid
+ */
+export function validateSwapParams(params, context = {}) {
+    const findings = [];
+    const add = (code, field, message, fix, severity = SEVERITY.ERROR) => {
+        findings.push({ code, field, severity, message, fix });
+    };
+
+    const oracle = params.oracleParams;
+    const sellAmount = BigInt(params.sellAmount);
+    const isSellingEth = params.sellToken === ETH.address;
+    const sellToken = context.sellToken || getToken(params.sellToken) || { symbol: 'tokens', decimals: 18 };
+    const sellPriceUsd = context.sellTokenPriceUsd ?? (isStablecoin(sellToken) ? 1 : null);
+
+    // Max sell amount limits
+    if (isSellingEth) {
+        if (sellAmount > MAX_SELL_ETH) {
+            add('SELL_LIMIT_EXCEEDED', 'sellAmount', 'Maximum sell amount is 0.1 ETH',
+                'Reduce the sell amount to 0.1 ETH or less');
+        }
+    } else {
+        const maxSell = getMaxSellAmount(sellToken, sellPriceUsd);
+        if (maxSell !== null && sellAmount > maxSell) {
+            const limit = `${formatUnits(maxSell, sellToken.decimals)} ${sellToken.symbol}`;
+            add('SELL_LIMIT_EXCEEDED', 'sellAmount', `Maximum sell amount is ${limit}`,
+                `Reduce the sell amount to ${limit} or less`);
+        }
+    }
+
+    // Slippage
+    if (BigInt(params.slippageParams.priceTolerated) === 0n) {
+        add('ZERO_PRICE_TOLERATED', 'slippageParams.priceTolerated', 'priceTolerated cannot be zero',
+            'Re-enter the sell amount so the expected output is recalculated');
+    }
+    if (params.slippageParams.toleranceRange === 0) {
+        add('ZERO_TOLERANCE_RANGE', 'slippageParams.toleranceRange', 'toleranceRange cannot be zero - check slippage',
+            'Set a slippage above 0%');
+    }
+    if (context.recommendedSlippage === 0) {
+        add('VOLATILITY_UNAVAILABLE', 'slippageParams.toleranceRange', 'Unable to calculate volatility - try again',
+            'Wait for volatility data to load');
+    }
+    if (context.volatilityFeedMissing) {
+        if (!context.manualSlippage) {
+            add('NO_VOLATILITY_FEED', 'slippageParams.toleranceRange', 'No volatility feed for this pair - slippage cannot be set automatically',
+                'Enter a slippage for this pair in the advanced settings');
+        } else {
+            add('NO_VOLATILITY_FEED', 'slippageParams.toleranceRange', 'No volatility feed for this pair - the bounty is sized with a 0.1% fallback volatility',
+                'Check the bounty and slippage suit this pair', SEVERITY.WARNING);
+        }
+    }
+
+    // Timing
+    if (params.expirationSeconds > 60) {
+        add('EXPIRATION_TOO_LONG', 'expirationSeconds', 'Expiration cannot exceed 60 seconds',
+            'Set expiration to 60 seconds or less');
+    }
+    if (oracle.settlementTime > 60) {
+        add('SETTLEMENT_TIME_TOO_LONG', 'oracleParams.settlementTime', 'Settlement time cannot exceed 60 seconds',
+            'Set settlement time to 60 seconds or less');
+    }
+    if (oracle.timeType && oracle.settlementTime < 4) {
+        add('SETTLEMENT_TIME_TOO_SHORT', 'oracleParams.settlementTime', 'Settlement time must be at least 4 seconds',
+            'Set settlement time to 4 seconds or more');
+    }
+    if (!oracle.timeType && oracle.settlementTime < 2) {
+        add('SETTLEMENT_TIME_TOO_SHORT', 'oracleParams.settlementTime', 'Settlement time must be at least 2 blocks',
+            'Set settlement time to 2 blocks or more');
+    }
+    if (oracle.maxGameTime > 1800) {
+        add('MAX_GAME_TIME_TOO_LONG', 'oracleParams.maxGameTime', 'maxGameTime cannot exceed 1800',
+            'Use the default maxGameTime');
+    }
+    if (oracle.latencyBailout > 60) {
+        add('LATENCY_BAILOUT_TOO_LONG', 'oracleParams.latencyBailout', 'Latency bailout cannot exceed 60 seconds',
+            'Use the default latency bailout');
+    }
+    if (oracle.blocksPerSecond !== 500) {
+        add('INVALID_BLOCKS_PER_SECOND', 'oracleParams.blocksPerSecond', 'blocksPerSecond must be 500',
+            'Use blocksPerSecond = 500');
+    }
+
+    // Oracle economics
+    if (BigInt(oracle.settlerReward) > MAX_SETTLER_REWARD) {
+        add('SETTLER_REWARD_TOO_HIGH', 'oracleParams.settlerReward', 'Settler reward cannot exceed 0.01 ETH',
+            'Lower the settler reward or leave it on auto');
+    }
+    if (oracle.swapFee > 10000 || oracle.protocolFee > 10000) {
+        add('FEE_TOO_HIGH', oracle.swapFee > 10000 ? 'oracleParams.swapFee' : 'oracleParams.protocolFee',
+            'swapFee and protocolFee cannot exceed 10000', 'Use the default oracle fees');
+    }
+    if (oracle.multiplier > 300) {
+        add('MULTIPLIER_TOO_HIGH', 'oracleParams.multiplier', 'multiplier cannot exceed 300',
+            'Use a dispute multiplier of 300 or less');
+    }
+
+    // initialLiquidity must be >= 9.9% of sellAmount and <= sellAmount
+    const initialLiquidity = BigInt(oracle.initialLiquidity);
+    const minInitialLiquidity = sellAmount * 99n / 1000n; // 9.9%
+    if (initialLiquidity < minInitialLiquidity) {
+        const pct = sellAmount > 0n ? (Number(initialLiquidity) / Number(sellAmount) * 100).toFixed(2) : '0.00';
+        add('INITIAL_LIQUIDITY_TOO_LOW', 'oracleParams.initialLiquidity',
+            `Initial liquidity (${pct}%) must be at least 9.9% of sell amount`,
+            'Raise initial liquidity or leave it on auto');
+    }
+    if (initialLiquidity > sellAmount) {
+        add('INITIAL_LIQUIDITY_TOO_HIGH', 'oracleParams.initialLiquidity', 'Initial liquidity cannot exceed sell amount',
+            'Lower initial liquidity to the sell amount or less');
+    }
+
+    // Matcher compensation
+    if (params.fulfillFeeParams.maxFee > 20000) {
+        add('FULFILL_FEE_TOO_HIGH', 'fulfillFeeParams.maxFee', 'Fulfillment fee cannot exceed 0.2%',
+            'Use the default fulfillment fee');
+    }
+    if (params.gasCompensation > MAX_GAS_COMPENSATION) {
+        add('GAS_COMPENSATION_TOO_HIGH', 'gasCompensation', 'Gas compensation cannot exceed 0.01 ETH',
+            'Wait for gas prices to come down');
+    }
+
+    // Bounty limits based on token
+    const bountyAmt = BigInt(params.bountyParams.totalAmtDeposited);
+    const bountyToken = params.bountyParams.bountyToken;
+    if (bountyToken === ETH.address) {
+        if (bountyAmt > MAX_BOUNTY_ETH) {
+            add('BOUNTY_TOO_HIGH', 'bountyParams.totalAmtDeposited', 'ETH bounty cannot exceed 0.05 ETH',
+                'Lower initial liquidity to reduce the bounty');
+        }
+    } else if (bountyToken === params.sellToken) {
+        const maxBounty = usdCapToUnits(MAX_BOUNTY_USD, sellPriceUsd, sellToken.decimals);
+        if (maxBounty !== null && bountyAmt > maxBounty) {
+            add('BOUNTY_TOO_HIGH', 'bountyParams.totalAmtDeposited',
+                `${sellToken.symbol} bounty cannot exceed ${formatUnits(maxBounty, sellToken.decimals)} ${sellToken.symbol}`,
+                'Lower initial liquidity to reduce the bounty');
+        }
+    }
+
+    // Balance coverage
+    const gasCompWei = parseTokenAmount(params.gasCompensation.toFixed(18), 18);
+    const settlerWei = BigInt(oracle.settlerReward);
+    if (isSellingEth) {
+        // ETH: need sellAmt + bounty + gasComp + settlerReward
+        if (context.sellBalance !== undefined) {
+            const balance = BigInt(context.sellBalance);
+            const totalNeeded = sellAmount + bountyAmt + gasCompWei + settlerWei;
+            if (totalNeeded > balance) {
+                add('INSUFFICIENT_BALANCE', 'sellAmount',
+                    `Need ${formatWei(totalNeeded - balance, 18, 6)} more ETH for swap + overhead`,
+                    'Reduce the sell amount or top up ETH');
+            }
+        }
+    } else {
+        // ERC20: need sellAmt + bounty (if bounty is the sell token)
+        if (context.sellBalance !== undefined && bountyToken === params.sellToken) {
+            const balance = BigInt(context.sellBalance);
+            const totalNeeded = sellAmount + bountyAmt;
+            if (totalNeeded > balance) {
+                const precision = Math.min(4, sellToken.decimals);
+                add('INSUFFICIENT_BALANCE', 'sellAmount',
+                    `Need ${formatWei(totalNeeded - balance, sellToken.decimals, precision)} more ${sellToken.symbol} for swap + bounty`,
+                    `Reduce the sell amount or top up ${sellToken.symbol}`);
+            }
+        }
+
+        // Still need ETH for settlerReward + gasCompensation
+        if (context.ethBalance !== undefined) {
+            const ethBalance = BigInt(context.ethBalance);
+            const ethNeeded = gasCompWei + settlerWei;
+            if (ethNeeded > ethBalance) {
+                add('INSUFFICIENT_ETH', 'oracleParams.settlerReward',
+                    `Need ${formatWei(ethNeeded - ethBalance, 18, 6)} more ETH for settler reward + gas compensation`,
+                    'Top up ETH to cover settler reward and gas compensation');
+            }
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * True if any finding blocks submission
+ */
+export function hasBlockingFindings(findings) {
+    return findings.some(f => f.severity === SEVERITY.ERROR);
+}
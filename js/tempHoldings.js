@@ -0,0 +1,117 @@
+/**
+ * Temp Holdings
+ * openSwap and oracleBounty park a payout in `tempHolding` when its transfer
+ * fails (e.g. a blocklisted recipient). This lists the held balances for an
+ * address across the configured tokens and withdraws them.
+ */
+
+import { CONFIG } from './config.js';
+import { openSwap } from './contract.js';
+import { TOKENS, ETH } from './tokens.js';
+
+class TempHoldingsManager {
+    constructor() {
+        this.holdings = []; // Non-zero holdings from the last check of the connected address
+        this.listeners = new Set();
+    }
+
+    /**
+     * Contracts that can hold funds, with their withdraw calls
+     */
+    getSources() {
+        const sources = [{
+            name: 'openSwap',
+            address: CONFIG.contracts.openSwap,
+            withdraw: (token, holder) => openSwap.withdrawTempHolding(token, holder)
+        }];
+        if (CONFIG.contracts.oracleBounty && CONFIG.contracts.oracleBounty !== ETH.address) {
+            sources.push({
+                name: 'oracleBounty',
+                address: CONFIG.contracts.oracleBounty,
+                withdraw: (token, holder) => openSwap.withdrawBountyTempHolding(token, holder)
+            });
+        }
+        return sources;
+    }
+
+    /**
+     * Tokens a source can hold: openSwap pays ETH out as WETH when the send
+     * fails, so only oracleBounty holds native ETH (under the zero address)
+     */
+    getTokens(source) {
+        return TOKENS.filter(t => t.address && (!t.isNative || source.name === 'oracleBounty'));
+    }
+
+    /**
+     * Read every source/token tempHolding for an address (one batched request
+     * per 100 reads - the token list is long and this runs after every swap)
+     * @param {string} holder
+     * @param {object} [options]
+     * @param {boolean} [options.isSelf] - Holder is the connected wallet (updates the header badge)
+     * @returns {Promise<{holdings: Array<{source, token, amount: bigint}>, errors: number}>} Non-zero holdings
+     */
+    async check(holder, { isSelf = false } = {}) {
+        const pairs = [];
+        for (const source of this.getSources()) {
+            for (const token of this.getTokens(source)) {
+                pairs.push({ source, token });
+            }
+        }
+
+        const amounts = await openSwap.readTempHoldings(pairs.map(({ source, token }) => ({
+            source: source.name,
+            holder,
+            token: token.address
+        })));
+        const errors = amounts.filter(amount => amount === null).length;
+        const holdings = pairs
+            .map((pair, i) => ({ ...pair, amount: amounts[i] }))
+            .filter(h => h.amount !== null && h.amount > 0n);
+
+        if (isSelf) {
+            this.holdings = holdings;
+            this.emit('updated', { holder, holdings });
+        }
+        return { holdings, errors };
+    }
+
+    /**
+     * Withdraw a holding. The contracts always pay the address the funds are
+     * held for - any account can trigger it, but not redirect it.
+     * @param {string} sourceName - 'openSwap' | 'oracleBounty'
+     * @param {string} tokenAddress
+     * @param {string} holder
+     */
+    async withdraw(sourceName, tokenAddress, holder) {
+        const source = this.getSources().find(s => s.name === sourceName);
+        if (!source) throw new Error(`Unknown holding contract: ${sourceName}`);
+        console.log(`[TempHoldings] Withdrawing ${tokenAddress} from ${sourceName} to ${holder}`);
+        return await source.withdraw(tokenAddress, holder);
+    }
+
+    /**
+     * Forget the connected address's holdings (disconnect / network change)
+     */
+    clear() {
+        this.holdings = [];
+        this.emit('updated', { holder: null, holdings: [] });
+    }
+
+    /**
+     * Add event listener
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const tempHoldings = new TempHoldingsManager();
@@ -0,0 +1,149 @@
+/**
+ * Token USD Prices
+ * ETH/WETH follow the Coinbase ETH-USD feed, stablecoins are $1 and every
+ * other listed token is polled from the Coinbase spot price API. Imported
+ * tokens are never priced - their symbol could name any Coinbase market.
+ */
+
+import { isStablecoin, isEthLike } from './tokens.js';
+
+const SPOT_URL = 'https://api.coinbase.com/v2/prices';
+const CANDLES_URL = 'https://api.exchange.coinbase.com/products';
+const HISTORY_WINDOW = 30 * 60; // Seconds either side of a timestamp searched for a candle
+const POLL_INTERVAL = 10000; // 10 seconds
+
+class TokenPrices {
+    constructor() {
+        this.prices = new Map(); // symbol -> USD price
+        this.historical = new Map(); // `${symbol}:${minute}` -> USD price or null
+        this.tracked = [];
+        this.interval = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * USD price for a token, or null if not known yet
+     * @param {object} token - { address, symbol }
+     * @param {number} ethPrice - Current ETH/USD price
+     */
+    getPriceUsd(token, ethPrice) {
+        if (!token || token.isCustom) return null;
+        if (isEthLike(token)) return ethPrice || null;
+        if (isStablecoin(token)) return 1;
+        return this.prices.get(token.symbol) ?? null;
+    }
+
+    /**
+     * True if the token's price has to be fetched
+     */
+    needsFetch(token) {
+        return token && !token.isCustom && !isEthLike(token) && !isStablecoin(token);
+    }
+
+    /**
+     * Fetch spot price for a symbol from Coinbase
+     */
+    async fetchPrice(symbol) {
+        const response = await fetch(`${SPOT_URL}/${encodeURIComponent(symbol)}-USD/spot`);
+        if (!response.ok) throw new Error(`No Coinbase price for ${symbol}`);
+        const json = await response.json();
+        const price = parseFloat(json?.data?.amount);
+        if (!isFinite(price) || price <= 0) throw new Error(`Invalid Coinbase price for ${symbol}`);
+        return price;
+    }
+
+    /**
+     * USD price of a token at a past time, or null if Coinbase has no price
+     * ETH/WETH use ETH-USD, stablecoins are $1
+     * @param {object} token - { address, symbol }
+     * @param {number} timestamp - Unix seconds
+     */
+    async getHistoricalPriceUsd(token, timestamp) {
+        if (!token || token.isCustom) return null;
+        if (isStablecoin(token)) return 1;
+        return await this.fetchHistoricalPrice(isEthLike(token) ? 'ETH' : token.symbol, timestamp);
+    }
+
+    /**
+     * Close of the Coinbase 1-minute candle nearest to `timestamp` (cached)
+     */
+    async fetchHistoricalPrice(symbol, timestamp) {
+        const minute = Math.floor(timestamp / 60) * 60;
+        const key = `${symbol}:${minute}`;
+        if (this.historical.has(key)) return this.historical.get(key);
+
+        let price = null;
+        try {
+            const start = minute - HISTORY_WINDOW;
+            const end = minute + HISTORY_WINDOW;
+            const response = await fetch(`${CANDLES_URL}/${encodeURIComponent(symbol)}-USD/candles?granularity=60&start=${start}&end=${end}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            // [time, low, high, open, close, volume], minutes without trades are missing
+            const candles = await response.json();
+            let nearest = null;
+            for (const candle of candles) {
+                if (!nearest || Math.abs(candle[0] - minute) < Math.abs(nearest[0] - minute)) {
+                    nearest = candle;
+                }
+            }
+            if (nearest) price = parseFloat(nearest[4]);
+        } catch (e) {
+            // Not cached - a later export may succeed
+            console.error(`[TokenPrices] No historical ${symbol} price at ${timestamp}: ${e.message}`);
+            return null;
+        }
+
+        this.historical.set(key, price);
+        return price;
+    }
+
+    /**
+     * Poll prices for the given tokens (replaces the previous set)
+     */
+    track(tokens) {
+        this.tracked = tokens.filter(t => this.needsFetch(t));
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+        if (this.tracked.length === 0) return;
+
+        this.refresh();
+        this.interval = setInterval(() => this.refresh(), POLL_INTERVAL);
+    }
+
+    /**
+     * Refresh all tracked prices
+     */
+    async refresh() {
+        const symbols = [...new Set(this.tracked.map(t => t.symbol))];
+        await Promise.all(symbols.map(async (symbol) => {
+            try {
+                const price = await this.fetchPrice(symbol);
+                this.prices.set(symbol, price);
+                this.emit('price', { symbol, price });
+            } catch (e) {
+                console.error(`[TokenPrices] ${e.message}`);
+                this.emit('error', { symbol, error: e });
+            }
+        }));
+    }
+
+    /**
+     * Add event listener
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const tokenPrices = new TokenPrices();
@@ -1,5 +1,7 @@
 /**
- * Token List - ETH and USDC only
+ * Token Registry
+ * ETH and USDC are built in; everything else comes from the network's token list
+ * or was imported by address (persisted per chain, flagged unverified).
  * USDC address is read dynamically from CONFIG to support network switching
  */
 
@@ -23,7 +25,128 @@ export const USDC = {
     logo: 'https://assets.coingecko.com/coins/images/6319/small/usdc.png'
 };
 
-export const TOKENS = [ETH, USDC];
+const BUILTIN_TOKENS = [ETH, USDC];
+
+// Active network's tokens (built-ins first). Mutated in place by loadTokenList()
+export const TOKENS = [...BUILTIN_TOKENS];
+
+// Symbols treated as $1 when the list does not tag them
+const STABLECOIN_SYMBOLS = new Set(['USDC', 'USDC.e', 'USDbC', 'USDT', 'USDT0', 'DAI', 'LUSD', 'sUSD', 'FRAX']);
+
+const IPFS_GATEWAY = 'https://ipfs.io/ipfs/';
+
+const CUSTOM_TOKENS_KEY = 'openswap_custom_tokens';
+
+/**
+ * Resolve ipfs:// logo URIs to an HTTP gateway
+ */
+function resolveLogo(uri) {
+    if (!uri) return null;
+    if (uri.startsWith('ipfs://')) return IPFS_GATEWAY + uri.slice(7);
+    return uri;
+}
+
+/**
+ * Load the active network's token list into TOKENS
+ * Keeps the built-ins on failure so the ETH/USDC pair always works.
+ * @returns {Array} TOKENS
+ */
+export async function loadTokenList() {
+    TOKENS.splice(BUILTIN_TOKENS.length);
+    const chainId = CONFIG.chainId;
+    if (!CONFIG.tokenListUrl) {
+        addCustomTokens();
+        return TOKENS;
+    }
+
+    try {
+        const response = await fetch(CONFIG.tokenListUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const list = await response.json();
+
+        // Network may have changed while fetching
+        if (chainId !== CONFIG.chainId) return TOKENS;
+
+        const seen = new Set(TOKENS.map(t => t.address.toLowerCase()));
+        for (const entry of list.tokens || []) {
+            if (entry.chainId !== chainId || !entry.address) continue;
+            const key = entry.address.toLowerCase();
+            if (seen.has(key)) continue;
+            seen.add(key);
+            TOKENS.push({
+                address: entry.address,
+                symbol: entry.symbol,
+                name: entry.name,
+                decimals: entry.decimals,
+                logo: resolveLogo(entry.logoURI),
+                tags: entry.tags || []
+            });
+        }
+        console.log(`[Tokens] Loaded ${TOKENS.length - BUILTIN_TOKENS.length} tokens for chain ${chainId}`);
+    } catch (e) {
+        console.error('[Tokens] Failed to load token list:', e);
+    }
+    if (chainId === CONFIG.chainId) addCustomTokens();
+    return TOKENS;
+}
+
+function getCustomTokensKey() {
+    return `${CUSTOM_TOKENS_KEY}_${CONFIG.chainId}`;
+}
+
+/**
+ * Imported tokens for the active chain, as stored
+ */
+function loadCustomTokens() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getCustomTokensKey()) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        console.log('[Tokens] Ignoring invalid stored custom tokens');
+        return [];
+    }
+}
+
+function saveCustomTokens(tokens) {
+    localStorage.setItem(getCustomTokensKey(), JSON.stringify(tokens));
+}
+
+/**
+ * Append stored imports that are not already in TOKENS
+ */
+function addCustomTokens() {
+    for (const stored of loadCustomTokens()) {
+        if (getToken(stored.address)) continue;
+        TOKENS.push({ ...stored, logo: null, isCustom: true });
+    }
+}
+
+/**
+ * Import a token by address (metadata read on-chain) and persist it for this chain
+ * @param {object} metadata - { address, name, symbol, decimals }
+ * @returns {object} The registry entry
+ */
+export function importToken({ address, name, symbol, decimals }) {
+    const existing = getToken(address);
+    if (existing) return existing;
+
+    const token = { address, name, symbol, decimals };
+    saveCustomTokens([...loadCustomTokens(), token]);
+    const entry = { ...token, logo: null, isCustom: true };
+    TOKENS.push(entry);
+    console.log(`[Tokens] Imported ${symbol} (${address}) on chain ${CONFIG.chainId}`);
+    return entry;
+}
+
+/**
+ * Remove an imported token from the registry and storage
+ */
+export function removeCustomToken(address) {
+    const addr = address.toLowerCase();
+    saveCustomTokens(loadCustomTokens().filter(t => t.address.toLowerCase() !== addr));
+    const index = TOKENS.findIndex(t => t.isCustom && t.address.toLowerCase() === addr);
+    if (index !== -1) TOKENS.splice(index, 1);
+}
 
 /**
  * Find token by address (checks dynamically)
@@ -31,9 +154,31 @@ export const TOKENS = [ETH, USDC];
 export function getToken(address) {
     if (!address) return null;
     const addr = address.toLowerCase();
-    if (addr === ETH.address.toLowerCase()) return ETH;
-    if (addr === USDC.address.toLowerCase()) return USDC;
-    return null;
+    return TOKENS.find(t => t.address.toLowerCase() === addr) || null;
+}
+
+/**
+ * True for USD stablecoins (priced at $1)
+ */
+export function isStablecoin(token) {
+    // Imported tokens can use any symbol, so never trust one as a $1 stable
+    if (!token || token.isCustom) return false;
+    return (token.tags || []).includes('stablecoin') || STABLECOIN_SYMBOLS.has(token.symbol);
+}
+
+/**
+ * True for native ETH or the network's WETH (priced off the ETH/USD feed)
+ */
+export function isEthLike(token) {
+    if (!token?.address) return false;
+    return token.address === ETH.address || token.address.toLowerCase() === CONFIG.weth.toLowerCase();
+}
+
+/**
+ * Decimals to show for a human-readable amount of this token
+ */
+export function getDisplayDecimals(token) {
+    return isStablecoin(token) ? 2 : Math.min(6, token.decimals);
 }
 
 /**
@@ -0,0 +1,300 @@
+/**
+ * Tracker Registry
+ * One StatusTracker per tracked swap, so several in-flight swaps are followed
+ * at once. Only one timeline is expanded at a time; the dock above it lists
+ * every tracked swap with its current step and switches between them.
+ * Active trackers are saved to localStorage per chain + swapId after each
+ * check and picked up again by restore() after a reload.
+ */
+
+import { CONFIG } from './config.js';
+import { StatusTracker } from './statusTracker.js';
+import { escapeHtml } from './ui.js';
+
+const MAX_TRACKERS = 8; // Finished trackers beyond this are dropped, oldest first
+const STORAGE_PREFIX = 'openswap_tracker_';
+
+// BigInts (amounts, bounty params) survive JSON as { bigint: '123' }
+const toJson = (value) => JSON.stringify(value, (key, v) => typeof v === 'bigint' ? { bigint: v.toString() } : v);
+const fromJson = (text) => JSON.parse(text, (key, v) =>
+    v && typeof v === 'object' && Object.keys(v).length === 1 && typeof v.bigint === 'string' ? BigInt(v.bigint) : v);
+
+class TrackerRegistry {
+    constructor() {
+        this.trackers = new Map(); // swapId string -> StatusTracker, oldest first
+        this.expandedId = null;
+        this.listeners = new Set();
+        this.onExecutedCallback = null;
+        this.onCancelledCallback = null;
+        this.onMatchedCallback = null;
+        this.renderQueued = false;
+        this.saved = new Map(); // storage key -> last JSON written (skips unchanged writes)
+    }
+
+    getStorageKey(chainId, swapId) {
+        return `${STORAGE_PREFIX}${chainId}_${swapId}`;
+    }
+
+    /**
+     * Save an active tracker's snapshot
+     */
+    save(tracker) {
+        if (!tracker.isActive || !tracker.chainId) return;
+        const key = this.getStorageKey(tracker.chainId, tracker.swapId);
+        const json = toJson(tracker.serialize());
+        if (this.saved.get(key) === json) return;
+        try {
+            localStorage.setItem(key, json);
+            this.saved.set(key, json);
+        } catch (e) {
+            console.log('[Trackers] Could not save tracker state:', e.message);
+        }
+    }
+
+    forget(tracker) {
+        if (!tracker.chainId) return;
+        const key = this.getStorageKey(tracker.chainId, tracker.swapId);
+        localStorage.removeItem(key);
+        this.saved.delete(key);
+    }
+
+    /**
+     * Resume the saved trackers for the current network, oldest swap first, and set
+     * aside (without forgetting) any running for another network
+     */
+    restore() {
+        for (const [key, tracker] of this.trackers) {
+            if (tracker.chainId !== CONFIG.chainId) {
+                tracker.stopTracking();
+                this.drop(key);
+            }
+        }
+
+        // Collect keys first - removing entries while walking localStorage.key(i) shifts the indices
+        const prefix = `${STORAGE_PREFIX}${CONFIG.chainId}_`;
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key?.startsWith(prefix)) keys.push(key);
+        }
+
+        const snapshots = [];
+        for (const key of keys) {
+            try {
+                snapshots.push({ key, snapshot: fromJson(localStorage.getItem(key)) });
+            } catch (e) {
+                console.log(`[Trackers] Dropping unreadable ${key}`);
+                localStorage.removeItem(key);
+            }
+        }
+
+        snapshots.sort((a, b) => (a.snapshot.submittedTimestamp || 0) - (b.snapshot.submittedTimestamp || 0));
+        for (const { key, snapshot } of snapshots) {
+            const id = String(snapshot.swapId);
+            if (this.trackers.has(id)) continue;
+            const tracker = this.create(id);
+            this.expand(id);
+            tracker.restore(snapshot).catch(e => {
+                console.error(`[Trackers] Could not restore swap ${id}:`, e);
+                tracker.stopTracking();
+                localStorage.removeItem(key);
+                this.drop(id);
+            });
+        }
+        this.render();
+    }
+
+    /**
+     * Start (or restart) tracking a swap and expand its timeline
+     * Same arguments as StatusTracker.startTracking()
+     * @returns {Promise<StatusTracker>}
+     */
+    async track(swapId, txHash = null, orderInfo = null, creationBlock = null, options = {}) {
+        const key = String(swapId);
+        let tracker = this.trackers.get(key);
+        if (!tracker) {
+            tracker = this.create(key);
+        }
+        this.expand(key);
+        await tracker.startTracking(swapId, txHash, orderInfo, creationBlock, options);
+        this.prune();
+        this.render();
+        return tracker;
+    }
+
+    create(key) {
+        const tracker = new StatusTracker();
+        tracker.onExecuted(id => this.onExecutedCallback?.(id));
+        tracker.onCancelled(id => this.onCancelledCallback?.(id));
+        tracker.onMatched((id, deadline) => this.onMatchedCallback?.(id, deadline));
+        tracker.on(({ event, ...data }) => {
+            if (event === 'checked') {
+                this.save(tracker);
+                return;
+            }
+            if (event === 'finished' || event === 'closed') {
+                this.forget(tracker);
+            }
+            if (event === 'closed') {
+                this.drop(key);
+            } else {
+                this.render();
+            }
+            this.emit(event, data);
+        });
+
+        this.trackers.set(key, tracker);
+        document.getElementById('statusTrackers').appendChild(tracker.elements.tracker);
+        return tracker;
+    }
+
+    /**
+     * Tracker for a swap, or null
+     */
+    get(swapId) {
+        return this.trackers.get(String(swapId)) || null;
+    }
+
+    /**
+     * Trackers still following their swap
+     */
+    getActive() {
+        return [...this.trackers.values()].filter(t => t.isActive);
+    }
+
+    /**
+     * Show one swap's full timeline (collapses the others)
+     */
+    expand(swapId) {
+        const key = String(swapId);
+        if (!this.trackers.has(key)) return;
+        this.expandedId = key;
+        this.trackers.forEach((tracker, id) => tracker.setExpanded(id === key));
+        this.render();
+    }
+
+    /**
+     * Stop tracking a swap and remove it
+     */
+    close(swapId) {
+        this.get(swapId)?.hide(); // Emits 'closed', which drops it
+    }
+
+    drop(key) {
+        const tracker = this.trackers.get(key);
+        if (!tracker) return;
+        tracker.elements.tracker.remove();
+        this.trackers.delete(key);
+        this.emit('dropped', { swapId: tracker.swapId });
+
+        if (this.expandedId === key) {
+            // Show the newest remaining swap, preferring live ones
+            const remaining = [...this.trackers.entries()].reverse();
+            const next = remaining.find(([, t]) => t.isActive) || remaining[0];
+            this.expandedId = null;
+            if (next) this.expand(next[0]);
+        }
+        this.render();
+    }
+
+    /**
+     * Drop the oldest finished trackers beyond MAX_TRACKERS (live ones are kept)
+     */
+    prune() {
+        for (const [key, tracker] of this.trackers) {
+            if (this.trackers.size <= MAX_TRACKERS) break;
+            if (!tracker.isActive && key !== this.expandedId) this.close(key);
+        }
+    }
+
+    /**
+     * Scroll the expanded timeline into view
+     */
+    scrollIntoView() {
+        this.get(this.expandedId)?.elements.tracker.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Re-render the dock once per tick (step updates come in bursts)
+     */
+    render() {
+        if (this.renderQueued) return;
+        this.renderQueued = true;
+        queueMicrotask(() => {
+            this.renderQueued = false;
+            this.renderDock();
+        });
+    }
+
+    renderDock() {
+        const dock = document.getElementById('trackerDock');
+        if (!dock) return;
+
+        // A single swap needs no switcher
+        if (this.trackers.size < 2) {
+            dock.classList.remove('visible');
+            dock.innerHTML = '';
+            return;
+        }
+
+        dock.classList.add('visible');
+        dock.innerHTML = [...this.trackers.values()].reverse().map(tracker => {
+            const s = tracker.getSummary();
+            const key = String(s.swapId);
+            const status = s.live ? s.step : (s.status || 'Stopped');
+            return `
+                <div class="tracker-dock-item ${key === this.expandedId ? 'active' : ''} ${s.live ? 'live' : 'done'} ${s.state}" data-swap-id="${escapeHtml(key)}">
+                    <span class="tracker-dock-dot"></span>
+                    <span class="tracker-dock-id">#${escapeHtml(key)}</span>
+                    <span class="tracker-dock-label">${escapeHtml(s.label)}</span>
+                    <span class="tracker-dock-step">${escapeHtml(status)}</span>
+                    ${s.live ? '' : `<button class="tracker-dock-close" data-close="${escapeHtml(key)}" title="Remove">×</button>`}
+                </div>
+            `;
+        }).join('');
+
+        dock.querySelectorAll('.tracker-dock-item').forEach(item => {
+            item.onclick = (e) => {
+                if (e.target.dataset.close) {
+                    this.close(e.target.dataset.close);
+                    return;
+                }
+                this.expand(item.dataset.swapId);
+            };
+        });
+    }
+
+    /**
+     * Called with the swapId when any tracked swap executes
+     */
+    onExecuted(callback) {
+        this.onExecutedCallback = callback;
+    }
+
+    onCancelled(callback) {
+        this.onCancelledCallback = callback;
+    }
+
+    onMatched(callback) {
+        this.onMatchedCallback = callback;
+    }
+
+    /**
+     * Subscribe to every tracker's events (see StatusTracker.on(); all carry swapId),
+     * plus 'dropped' when a tracker is removed (closed, pruned or set aside on a network switch)
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const trackers = new TrackerRegistry();
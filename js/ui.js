@@ -5,6 +5,7 @@
 
 /**
  * Show toast notification
+ * Title and message are plain text - they can carry on-chain token symbols, so they are escaped
  */
 export function showToast(title, message, type = 'info') {
     const container = document.getElementById('toastContainer');
@@ -25,8 +26,8 @@ export function showToast(title, message, type = 'info') {
             ${iconPaths[type] || iconPaths.info}
         </svg>
         <div class="toast-content">
-            <div class="toast-title">${title}</div>
-            ${message ? `<div class="toast-message">${message}</div>` : ''}
+            <div class="toast-title">${escapeHtml(title)}</div>
+            ${message ? `<div class="toast-message">${escapeHtml(message)}</div>` : ''}
         </div>
         <button class="toast-close">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="16" height="16">
@@ -170,10 +171,10 @@ export function debounce(func, wait) {
 /**
  * Copy to clipboard
  */
-export async function copyToClipboard(text) {
+export async function copyToClipboard(text, message = 'Address copied to clipboard') {
     try {
         await navigator.clipboard.writeText(text);
-        showToast('Copied', 'Address copied to clipboard', 'success');
+        showToast('Copied', message, 'success');
         return true;
     } catch (err) {
         console.error('Failed to copy:', err);
@@ -181,6 +182,20 @@ export async function copyToClipboard(text) {
     }
 }
 
+/**
+ * Save text as a file download
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Shorten address for display
  */
@@ -189,6 +204,15 @@ export function shortenAddress(address, chars = 4) {
     return `${address.slice(0, chars + 2)}...${address.slice(-chars)}`;
 }
 
+/**
+ * Escape text for insertion into HTML (token list / on-chain strings are untrusted)
+ */
+export function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c]);
+}
+
 /**
  * Check if valid Ethereum address
  */
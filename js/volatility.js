@@ -8,9 +8,14 @@
  * 3. Kraken-based: Uses Kraken trades bucketed into 15s intervals, σ scaled to 4s
  *
  * Final slippage = max(6.5x IQR, 1.5σ candle volatility, 6.5σ Kraken)
+ *
+ * Volatility is for the pair being swapped: each side is priced in USD (ETH/WETH
+ * as ETH, stablecoins as $1), so ETH/USDC uses ETH-USD candles and a pair of two
+ * volatile tokens uses the ratio of their USD candles. Kraken only covers ETH/USD.
  */
 
 import { CONFIG } from './config.js';
+import { isStablecoin, isEthLike } from './tokens.js';
 
 class VolatilityTracker {
     constructor() {
@@ -23,6 +28,34 @@ class VolatilityTracker {
         this.calculating = false;
         this.intervalId = null;
         this.currentSettlementTime = null; // Track current settlement time
+        this.legs = ['ETH']; // Coinbase USD products priced against each other, stablecoins left out
+        this.missingProducts = new Set(); // Symbols Coinbase has no USD candles for
+    }
+
+    /**
+     * Track the volatility of the pair being swapped (order doesn't matter)
+     */
+    setPair(sellToken, buyToken) {
+        // An imported token's symbol could name any Coinbase market - its pair has no feed
+        const tokens = [sellToken, buyToken];
+        const legs = tokens.some(token => token?.isCustom) ? [] : [...new Set(tokens
+            .filter(token => !isStablecoin(token))
+            .map(token => isEthLike(token) ? 'ETH' : token.symbol))].sort();
+        if (legs.join('/') === this.legs.join('/')) return;
+
+        this.legs = legs;
+        this.lastCandleVol = null;
+        this.lastKrakenVol = null;
+        console.log(`[Volatility] Pair changed to ${legs.join('/') || 'no feed'}, recalculating...`);
+        this.calculate(true);
+    }
+
+    /**
+     * True when the pair has no volatility source: both sides are stablecoins,
+     * one is an imported token, or Coinbase doesn't list a USD market for one of them
+     */
+    isFeedMissing() {
+        return this.legs.length === 0 || this.legs.some(symbol => this.missingProducts.has(symbol));
     }
 
     /**
@@ -68,14 +101,23 @@ class VolatilityTracker {
         this.calculating = true;
 
         const settlementTime = this.currentSettlementTime || CONFIG.defaults.settlementTime || 4;
+        const legs = this.legs;
 
         try {
             // Calculate both candle and Kraken volatility in parallel
-            await Promise.all([
+            const [candleVol, krakenVol] = await Promise.all([
                 this.calculateCandleVol(),
                 this.calculateKrakenVol()
             ]);
 
+            // Pair changed while fetching - its own calculation reports instead
+            if (legs !== this.legs) {
+                this.calculating = false;
+                return this.getRecommendedSlippage();
+            }
+            if (candleVol !== null) this.lastCandleVol = candleVol;
+            if (krakenVol !== null) this.lastKrakenVol = krakenVol;
+
             // Emit update
             this.emit({ iqr: this.lastIQR, candleVol: this.lastCandleVol, krakenVol: this.lastKrakenVol, returns: 0, settlementTime });
             this.calculating = false;
@@ -293,19 +335,20 @@ class VolatilityTracker {
     }
 
     /**
-     * Fetch 1-minute candles from Coinbase (last 30 minutes)
+     * Fetch 1-minute <symbol>-USD candles from Coinbase (last 30 minutes)
      * Returns array of [time, low, high, open, close, volume]
      */
-    async fetchCandles() {
+    async fetchCandles(symbol) {
         try {
             const end = Math.floor(Date.now() / 1000);
             const start = end - 30 * 60; // 30 minutes ago
 
-            const url = `https://api.exchange.coinbase.com/products/ETH-USD/candles?granularity=60&start=${start}&end=${end}`;
+            const url = `https://api.exchange.coinbase.com/products/${encodeURIComponent(symbol)}-USD/candles?granularity=60&start=${start}&end=${end}`;
             const response = await fetch(url);
 
             if (!response.ok) {
-                console.warn('[Volatility] Failed to fetch candles:', response.status);
+                if (response.status === 404) this.missingProducts.add(symbol);
+                console.warn(`[Volatility] Failed to fetch ${symbol}-USD candles:`, response.status);
                 return null;
             }
 
@@ -352,18 +395,30 @@ class VolatilityTracker {
         return volBound;
     }
 
+    /**
+     * Candles of one token priced in the other, from their USD candles at the same minutes
+     * (minutes without trades are missing from either side and are skipped)
+     */
+    ratioCandles(base, quote) {
+        const quoteCloses = new Map(quote.map(candle => [candle[0], candle[4]]));
+        return base
+            .filter(candle => quoteCloses.get(candle[0]) > 0)
+            .map(candle => [candle[0], null, null, null, candle[4] / quoteCloses.get(candle[0]), null]);
+    }
+
     /**
      * Calculate candle-based volatility (called alongside IQR calculation)
      */
     async calculateCandleVol() {
         try {
-            const candles = await this.fetchCandles();
-            if (!candles) return null;
+            if (this.legs.length === 0) return null;
+            const series = await Promise.all(this.legs.map(symbol => this.fetchCandles(symbol)));
+            if (series.some(candles => !candles)) return null;
+            const candles = series.length === 1 ? series[0] : this.ratioCandles(series[0], series[1]);
 
             const vol = this.calculateCandleVolatility(candles);
             if (vol !== null) {
-                this.lastCandleVol = vol;
-                console.log(`[Volatility] Candle 2σ: ${(vol * 100).toFixed(4)}% (${candles.length} candles)`);
+                console.log(`[Volatility] ${this.legs.join('/')} candle 2σ: ${(vol * 100).toFixed(4)}% (${candles.length} candles)`);
             }
             return vol;
         } catch (error) {
@@ -416,6 +471,7 @@ class VolatilityTracker {
      * - Apply 6.5x multiplier for slippage
      */
     async calculateKrakenVol() {
+        if (this.legs.length !== 1 || this.legs[0] !== 'ETH') return null;
         try {
             const trades = await this.fetchKrakenTrades();
             if (!trades || trades.length < 10) {
@@ -500,8 +556,6 @@ class VolatilityTracker {
             // Apply 6.5x multiplier for slippage (same as IQR method)
             const slippage = sigmaSettlement * 6.5;
 
-            this.lastKrakenVol = slippage;
-
             console.log(`[Volatility] Kraken: σ_15s=${(sigma15s * 100).toFixed(4)}%, σ_${settlementTime}s=${(sigmaSettlement * 100).toFixed(4)}%, 6.5σ=${(slippage * 100).toFixed(4)}% (${buckets.length} buckets, ${recentTrades.length} trades)`);
 
             return slippage;
@@ -4,6 +4,9 @@
  */
 
 import { CONFIG, ERC20_ABI } from './config.js';
+import { multicall } from './multicall.js';
+
+const CALLS_POLL_INTERVAL = 2000; // ms between wallet_getCallsStatus polls
 
 class WalletManager {
     constructor() {
@@ -170,6 +173,35 @@ class WalletManager {
         }
     }
 
+    /**
+     * Get several token balances in one batched read (Multicall3, else a JSON-RPC batch)
+     * Tokens whose batched read fails are fetched individually via getTokenBalance.
+     * @param {string[]} tokenAddresses - Token contract addresses (zero address for ETH)
+     * @param {string} blockTag - Optional block tag: "latest", "pending", or block number
+     * @returns {Promise<bigint[]>} Balances in the same order
+     */
+    async getTokenBalances(tokenAddresses, blockTag = 'latest') {
+        if (!this.address) return tokenAddresses.map(() => BigInt(0));
+
+        const erc20 = new ethers.Interface(ERC20_ABI);
+        const calls = tokenAddresses.map(tokenAddress =>
+            tokenAddress === '0x0000000000000000000000000000000000000000'
+                ? multicall.ethBalance(this.address)
+                : { target: tokenAddress, iface: erc20, method: 'balanceOf', args: [this.address] });
+
+        let results;
+        try {
+            results = await multicall.read(calls, { blockTag });
+        } catch (e) {
+            console.error('[Wallet] Batched balance fetch failed, fetching individually:', e);
+            results = calls.map(() => ({ success: false }));
+        }
+
+        return await Promise.all(results.map((result, i) => result.success
+            ? BigInt(result.result[0])
+            : this.getTokenBalance(tokenAddresses[i], blockTag)));
+    }
+
     /**
      * Direct RPC call to configured network
      */
@@ -189,6 +221,34 @@ class WalletManager {
         return data.result;
     }
 
+    /**
+     * Read ERC20 name/symbol/decimals via direct RPC (works without a connected wallet)
+     * @returns {Promise<{address, name, symbol, decimals}>}
+     */
+    async getTokenMetadata(tokenAddress) {
+        const address = ethers.getAddress(tokenAddress);
+        const code = await this.rpcCall('eth_getCode', [address, 'latest']);
+        if (!code || code === '0x') {
+            throw new Error('No contract at this address');
+        }
+
+        const iface = new ethers.Interface(ERC20_ABI);
+        const read = async (method) => {
+            const result = await this.rpcCall('eth_call', [
+                { to: address, data: iface.encodeFunctionData(method) },
+                'latest'
+            ]);
+            return iface.decodeFunctionResult(method, result)[0];
+        };
+
+        try {
+            const [name, symbol, decimals] = await Promise.all([read('name'), read('symbol'), read('decimals')]);
+            return { address, name, symbol, decimals: Number(decimals) };
+        } catch (e) {
+            throw new Error('Contract does not implement ERC20 name/symbol/decimals');
+        }
+    }
+
     /**
      * Get token allowance
      */
@@ -207,13 +267,77 @@ class WalletManager {
      */
     async approve(tokenAddress, spenderAddress, amount) {
         if (!this.signer) throw new Error('Wallet not connected');
-        if (!amount) throw new Error('Approval amount required');
+        if (amount === undefined || amount === null) throw new Error('Approval amount required');
 
         const contract = new ethers.Contract(tokenAddress, ERC20_ABI, this.signer);
         const tx = await contract.approve(spenderAddress, amount);
         return await tx.wait();
     }
 
+    /**
+     * Sign EIP-712 typed data with the connected account
+     * @returns {Promise<string>} Signature
+     */
+    async signTypedData(domain, types, value) {
+        if (!this.signer) throw new Error('Wallet not connected');
+        return await this.signer.signTypedData(domain, types, value);
+    }
+
+    /**
+     * True if the wallet can send several calls as one atomic batch on the
+     * current network (EIP-5792 wallet_sendCalls)
+     */
+    async supportsAtomicBatch() {
+        if (!this.isAvailable() || !this.address) return false;
+        const chainIdHex = `0x${CONFIG.chainId.toString(16)}`;
+        try {
+            const capabilities = await window.ethereum.request({
+                method: 'wallet_getCapabilities',
+                params: [this.address, [chainIdHex]]
+            });
+            const chain = capabilities?.[chainIdHex] || {};
+            // `atomic.status` since EIP-5792 v2, `atomicBatch.supported` before
+            return ['supported', 'ready'].includes(chain.atomic?.status) || chain.atomicBatch?.supported === true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Send calls as one atomic batch (EIP-5792) and wait until it is included
+     * @param {Array<{to: string, data: string, value?: bigint}>} calls
+     * @returns {Promise<Array>} Receipts: { transactionHash, blockNumber (hex), status, logs }
+     */
+    async sendCalls(calls) {
+        if (!this.address) throw new Error('Wallet not connected');
+        const result = await window.ethereum.request({
+            method: 'wallet_sendCalls',
+            params: [{
+                version: '2.0.0',
+                chainId: `0x${CONFIG.chainId.toString(16)}`,
+                from: this.address,
+                atomicRequired: true,
+                calls: calls.map(({ to, data, value = 0n }) => ({ to, data, value: ethers.toQuantity(value) }))
+            }]
+        });
+        const id = typeof result === 'string' ? result : result.id; // v1 returned the bare id
+
+        while (true) {
+            await new Promise(resolve => setTimeout(resolve, CALLS_POLL_INTERVAL));
+            const status = await window.ethereum.request({ method: 'wallet_getCallsStatus', params: [id] });
+            // 100 pending, 200 confirmed, 4xx-6xx failed (v1: 'PENDING' / 'CONFIRMED')
+            if (status.status === 100 || status.status === 'PENDING') continue;
+            if (status.status === 200 || status.status === 'CONFIRMED') {
+                const receipts = status.receipts || [];
+                if (receipts.some(r => r.status !== '0x1')) {
+                    throw new Error(`Batched transaction ${receipts[0]?.transactionHash || id} reverted`);
+                }
+                return receipts;
+            }
+            throw new Error(`Batched calls failed (status ${status.status})`);
+        }
+    }
+
     /**
      * Set up wallet event listeners
      */
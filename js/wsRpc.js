@@ -0,0 +1,238 @@
+/**
+ * WebSocket JSON-RPC
+ * eth_subscribe transport for RPC endpoints that speak WebSockets. Used only
+ * when the network has a wsUrl (or one is set in localStorage under
+ * openswap_ws_url_<chainId>); public HTTP endpoints keep to polling.
+ * Subscriptions don't survive a dropped connection - listeners get
+ * 'disconnected', then 'connected' after a reconnect, and subscribe again.
+ */
+
+import { CONFIG } from './config.js';
+
+const REQUEST_TIMEOUT = 10000; // ms before a request without a response is rejected
+
+class WsRpc {
+    constructor() {
+        this.ws = null;
+        this.url = null;
+        this.connecting = null; // In-flight connect promise
+        this.nextId = 1;
+        this.pending = new Map(); // request id -> { resolve, reject, timer }
+        this.subscriptions = new Map(); // subscription id -> callback
+        this.listeners = new Set();
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 5;
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.isConnected = false;
+    }
+
+    /**
+     * WebSocket endpoint for the current network, or null
+     */
+    getUrl() {
+        return localStorage.getItem(`openswap_ws_url_${CONFIG.chainId}`) || CONFIG.wsUrl || null;
+    }
+
+    /**
+     * True when the current network has a WebSocket endpoint
+     */
+    isAvailable() {
+        return typeof WebSocket !== 'undefined' && Boolean(this.getUrl());
+    }
+
+    /**
+     * Open the connection (no-op if already open to the current network's endpoint)
+     */
+    connect() {
+        const url = this.getUrl();
+        if (!url) return Promise.reject(new Error('No WebSocket endpoint for this network'));
+        if (this.url !== url) {
+            // Network switched - the old endpoint's subscriptions are meaningless
+            this.disconnect();
+        }
+        if (this.isConnected) return Promise.resolve();
+        if (this.connecting) return this.connecting;
+
+        this.url = url;
+        this.connecting = new Promise((resolve, reject) => {
+            let opened = false;
+            const ws = new WebSocket(url);
+            this.ws = ws;
+
+            ws.onopen = () => {
+                opened = true;
+                this.isConnected = true;
+                this.connecting = null;
+                const reconnected = this.reconnectAttempts > 0;
+                this.reconnectAttempts = 0;
+                console.log(`[WsRpc] Connected to ${url}`);
+                resolve();
+                if (reconnected) this.emit('connected');
+            };
+
+            ws.onmessage = (event) => this.handleMessage(event.data);
+
+            ws.onerror = () => {
+                console.log('[WsRpc] WebSocket error');
+            };
+
+            ws.onclose = () => {
+                if (this.ws !== ws) return; // Replaced by disconnect()
+                this.ws = null;
+                this.connecting = null;
+                this.isConnected = false;
+                this.failPending(new Error('WebSocket closed'));
+                this.subscriptions.clear();
+                if (!opened) {
+                    reject(new Error(`Could not connect to ${url}`));
+                } else {
+                    console.log('[WsRpc] Connection closed');
+                    this.emit('disconnected');
+                }
+                this.attemptReconnect();
+            };
+        });
+        return this.connecting;
+    }
+
+    /**
+     * Reconnect with exponential backoff, up to maxReconnectAttempts
+     */
+    attemptReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.log('[WsRpc] Max reconnection attempts reached');
+            this.emit('failed');
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
+        console.log(`[WsRpc] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().catch(() => {});
+        }, delay);
+    }
+
+    /**
+     * Close the connection without reconnecting
+     */
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        const ws = this.ws;
+        this.ws = null;
+        this.connecting = null;
+        this.isConnected = false;
+        this.failPending(new Error('WebSocket closed'));
+        this.subscriptions.clear();
+        if (ws) ws.close();
+    }
+
+    /**
+     * Close the connection (and stop reconnecting) when nothing is subscribed
+     */
+    disconnectIfIdle() {
+        if (this.subscriptions.size === 0) this.disconnect();
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (e) {
+            console.log('[WsRpc] Ignoring invalid message');
+            return;
+        }
+
+        if (message.method === 'eth_subscription') {
+            const callback = this.subscriptions.get(message.params?.subscription);
+            if (callback) callback(message.params.result);
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+        clearTimeout(request.timer);
+        if (message.error) {
+            request.reject(new Error(message.error.message));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    failPending(error) {
+        this.pending.forEach(request => {
+            clearTimeout(request.timer);
+            request.reject(error);
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * Send a JSON-RPC request over the connection
+     */
+    async request(method, params = []) {
+        await this.connect();
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`${method} timed out`));
+            }, REQUEST_TIMEOUT);
+            this.pending.set(id, { resolve, reject, timer });
+            this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+        });
+    }
+
+    /**
+     * eth_subscribe
+     * @param {'newHeads'|'logs'} type
+     * @param {Array} params - e.g. [{ address, topics }] for logs
+     * @param {Function} callback - Called with each notification's result
+     * @returns {Promise<string>} Subscription id
+     */
+    async subscribe(type, params, callback) {
+        const id = await this.request('eth_subscribe', [type, ...params]);
+        this.subscriptions.set(id, callback);
+        return id;
+    }
+
+    /**
+     * eth_unsubscribe; closes the connection once nothing is subscribed
+     */
+    async unsubscribe(id) {
+        if (!this.subscriptions.delete(id)) return;
+        if (this.subscriptions.size === 0) {
+            this.disconnect();
+            return;
+        }
+        try {
+            await this.request('eth_unsubscribe', [id]);
+        } catch (e) {
+            // Connection gone - the subscription went with it
+        }
+    }
+
+    /**
+     * Add event listener
+     */
+    on(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * Emit event to listeners
+     */
+    emit(event, data = {}) {
+        this.listeners.forEach(callback => callback({ event, ...data }));
+    }
+}
+
+// Singleton instance
+export const wsRpc = new WsRpc();